@@ -0,0 +1,251 @@
+// --- Touch Analytics Screen ---
+// Post-run dashboard over the touch log: a heatmap of where touches land on the body, a
+// histogram of touch heights, rhythm over the run and left/right balance, with CSV export.
+import { analyzeTouches, downloadTouchCsv, HEIGHT_BIN_SIZE, MAX_BODY_HEIGHT } from './touchAnalytics.js';
+
+const analyticsOverlay = document.getElementById('analytics-overlay');
+const analyticsScopeSelect = document.getElementById('analytics-scope');
+const analyticsSummaryElement = document.getElementById('analytics-summary');
+const analyticsHeatmapCanvas = document.getElementById('analytics-heatmap-canvas');
+const analyticsHeightCanvas = document.getElementById('analytics-height-canvas');
+const analyticsRhythmCanvas = document.getElementById('analytics-rhythm-canvas');
+const analyticsBalanceElement = document.getElementById('analytics-balance');
+const analyticsExportButton = document.getElementById('analytics-export-button');
+
+const BODY_Y_MIN = -0.05; // Body charts span a little below the feet up to MAX_BODY_HEIGHT
+const HEAT_RADIUS = 14;   // px
+const HEAT_COLOR = '255, 140, 0';
+
+// Landmark heights on the silhouette, in body heights (feet to nose)
+const KNEE_Y = 0.27, HIP_Y = 0.52, SHOULDER_Y = 0.84, HEAD_Y = 0.97;
+const HEIGHT_GUIDES = [['knee', KNEE_Y], ['hip', HIP_Y], ['chest', 0.72], ['head', HEAD_Y]];
+
+let touchLog = null;
+
+// Both body charts share one vertical scale, so a histogram bar lines up with the silhouette beside it
+function bodyChartScale(canvas) {
+    return canvas.height / (MAX_BODY_HEIGHT - BODY_Y_MIN);
+}
+const bodyChartY = (canvas, y) => canvas.height - (y - BODY_Y_MIN) * bodyChartScale(canvas);
+
+function addSummaryRow(label, value) {
+    const term = document.createElement('dt');
+    term.innerText = label;
+    const detail = document.createElement('dd');
+    detail.innerText = value;
+    analyticsSummaryElement.append(term, detail);
+}
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(2)} s`;
+const formatPercent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+function renderSummary(analysis) {
+    analyticsSummaryElement.replaceChildren();
+    addSummaryRow('Touches', analysis.touchCount);
+    addSummaryRow('Time between touches', analysis.meanIntervalMs === null ? '—' : `${formatSeconds(analysis.meanIntervalMs)} on average`);
+    addSummaryRow('Rhythm consistency', analysis.consistency === null ? '—' : formatPercent(analysis.consistency));
+}
+
+// A plain figure, player's left on the left as in the mirrored webcam view
+function drawSilhouette(ctx, canvas) {
+    const scale = bodyChartScale(canvas);
+    const toX = (x) => canvas.width / 2 + x * scale;
+    const toY = (y) => bodyChartY(canvas, y);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = 10;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    const limb = (points) => {
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(toX(x), toY(y)) : ctx.lineTo(toX(x), toY(y))));
+        ctx.stroke();
+    };
+    limb([[-0.13, SHOULDER_Y], [0.13, SHOULDER_Y]]);
+    limb([[0, SHOULDER_Y + 0.04], [0, HIP_Y]]);
+    limb([[-0.08, HIP_Y], [0.08, HIP_Y]]);
+    limb([[-0.08, HIP_Y], [-0.08, KNEE_Y], [-0.08, 0]]);
+    limb([[0.08, HIP_Y], [0.08, KNEE_Y], [0.08, 0]]);
+    limb([[-0.13, SHOULDER_Y], [-0.18, 0.66], [-0.2, 0.5]]);
+    limb([[0.13, SHOULDER_Y], [0.18, 0.66], [0.2, 0.5]]);
+    ctx.beginPath();
+    ctx.arc(toX(0), toY(HEAD_Y), 0.07 * scale, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.fillStyle = '#aaa';
+    ctx.font = '11px Helvetica, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText('L', 4, canvas.height - 4);
+    ctx.textAlign = 'right';
+    ctx.fillText('R', canvas.width - 4, canvas.height - 4);
+}
+
+// Each touch adds a soft spot; overlapping spots add up to brighter heat
+function renderHeatmap(analysis) {
+    const canvas = analyticsHeatmapCanvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawSilhouette(ctx, canvas);
+    const scale = bodyChartScale(canvas);
+    ctx.globalCompositeOperation = 'lighter';
+    analysis.heatPoints.forEach(({ x, y }) => {
+        const px = canvas.width / 2 + x * scale;
+        const py = bodyChartY(canvas, Math.min(MAX_BODY_HEIGHT, y));
+        const gradient = ctx.createRadialGradient(px, py, 0, px, py, HEAT_RADIUS);
+        gradient.addColorStop(0, `rgba(${HEAT_COLOR}, 0.45)`);
+        gradient.addColorStop(1, `rgba(${HEAT_COLOR}, 0)`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(px - HEAT_RADIUS, py - HEAT_RADIUS, HEAT_RADIUS * 2, HEAT_RADIUS * 2);
+    });
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+// Horizontal bars per height band, with guide lines at the knee, hip, chest and head
+function renderHeightHistogram(analysis) {
+    const canvas = analyticsHeightCanvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const { heightBins } = analysis;
+    const maxCount = Math.max(1, ...heightBins);
+    const labelWidth = 34;
+    const barSpace = canvas.width - labelWidth - 20;
+
+    ctx.font = '10px Helvetica, sans-serif';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.setLineDash([3, 3]);
+    HEIGHT_GUIDES.forEach(([label, y]) => {
+        const py = bodyChartY(canvas, y);
+        ctx.beginPath();
+        ctx.moveTo(labelWidth, py);
+        ctx.lineTo(canvas.width, py);
+        ctx.stroke();
+        ctx.fillStyle = '#aaa';
+        ctx.textAlign = 'right';
+        ctx.fillText(label, labelWidth - 4, py + 3);
+    });
+    ctx.setLineDash([]);
+
+    heightBins.forEach((count, i) => {
+        if (count === 0) return;
+        const top = bodyChartY(canvas, (i + 1) * HEIGHT_BIN_SIZE);
+        const bottom = bodyChartY(canvas, i * HEIGHT_BIN_SIZE);
+        const barWidth = (count / maxCount) * barSpace;
+        ctx.fillStyle = '#00a5ff';
+        ctx.fillRect(labelWidth, top + 1, barWidth, bottom - top - 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.fillText(count, labelWidth + barWidth + 3, (top + bottom) / 2 + 3);
+    });
+}
+
+// Time since the previous touch for every touch, with the average and rolling consistency
+function renderRhythm(analysis) {
+    const canvas = analyticsRhythmCanvas;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    const { intervals, rollingConsistency, meanIntervalMs } = analysis;
+    ctx.font = '10px Helvetica, sans-serif';
+    if (intervals.length === 0) {
+        ctx.fillStyle = '#aaa';
+        ctx.textAlign = 'center';
+        ctx.fillText('Needs at least two touches', width / 2, height / 2);
+        return;
+    }
+
+    const top = 14;
+    const plotHeight = height - top - 4;
+    const maxMs = Math.max(...intervals) * 1.1;
+    const toX = (i) => intervals.length === 1 ? width / 2 : 6 + (i / (intervals.length - 1)) * (width - 12);
+    const toY = (ms) => top + plotHeight - (ms / maxMs) * plotHeight;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, toY(meanIntervalMs));
+    ctx.lineTo(width, toY(meanIntervalMs));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = '#00a5ff';
+    intervals.forEach((ms, i) => {
+        ctx.beginPath();
+        ctx.arc(toX(i), toY(ms), 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // Consistency on its own 0-100% scale
+    ctx.strokeStyle = '#ffd700';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    rollingConsistency.forEach((value, i) => {
+        if (value === null) return;
+        const y = top + plotHeight - value * plotHeight;
+        if (drawing) ctx.lineTo(toX(i), y);
+        else ctx.moveTo(toX(i), y);
+        drawing = true;
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#00a5ff';
+    ctx.fillText(`● time between touches (up to ${formatSeconds(maxMs)})`, 4, 10);
+    ctx.fillStyle = '#ffd700';
+    ctx.textAlign = 'right';
+    ctx.fillText('— consistency', width - 4, 10);
+}
+
+function balanceRow(label, { left, right }) {
+    const row = document.createElement('div');
+    row.className = 'balance-row';
+    const total = left + right;
+    const caption = document.createElement('span');
+    caption.innerText = total === 0 ? `${label}: —` : `${label}: L ${left} · R ${right}`;
+    const bar = document.createElement('div');
+    bar.className = 'balance-bar';
+    const leftShare = document.createElement('div');
+    leftShare.style.width = total === 0 ? '50%' : `${(left / total) * 100}%`;
+    bar.append(leftShare);
+    row.append(caption, bar);
+    return row;
+}
+
+function renderBalance(analysis) {
+    analyticsBalanceElement.replaceChildren(
+        balanceRow('Limb used', analysis.balance.limbs),
+        balanceRow('Side of the body', analysis.balance.contact)
+    );
+}
+
+function render() {
+    const touches = analyticsScopeSelect.value === 'session'
+        ? touchLog.runs.flatMap(run => run.touches)
+        : (touchLog.lastRun ? touchLog.lastRun.touches : []);
+    const analysis = analyzeTouches(touches);
+    renderSummary(analysis);
+    renderHeatmap(analysis);
+    renderHeightHistogram(analysis);
+    renderRhythm(analysis);
+    renderBalance(analysis);
+}
+
+// log is the game's TouchLog
+export function showAnalytics(log) {
+    touchLog = log;
+    render();
+    analyticsOverlay.classList.add('visible');
+}
+
+export function hideAnalytics() {
+    analyticsOverlay.classList.remove('visible');
+}
+
+// Clicking the dimmed backdrop closes the screen; clicks inside the panel do not
+analyticsOverlay.addEventListener('click', (e) => {
+    if (e.target === analyticsOverlay) hideAnalytics();
+});
+
+analyticsScopeSelect.addEventListener('change', () => render());
+
+analyticsExportButton.addEventListener('click', () => downloadTouchCsv(touchLog));
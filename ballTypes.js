@@ -0,0 +1,104 @@
+// --- Ball Types ---
+// The balls the game can be played with. Each one is described relative to the size 5
+// football, which is the ball the physics settings tune, so difficulty presets and the
+// tuning panel shape every ball the same way. Each type also paints its own texture.
+
+const BALL_TYPE_STORAGE_KEY = 'keepUps.ballType';
+
+export const BALL_TYPES = {
+    FOOTBALL: 'football',
+    BEACH: 'beach',
+    TENNIS: 'tennis'
+};
+
+export const DEFAULT_BALL_TYPE = BALL_TYPES.FOOTBALL;
+
+// --- Textures ---
+// Each painter draws onto a square 2D canvas context; the renderer wraps it around the sphere.
+
+function paintFootball(context, size) {
+    context.fillStyle = '#FFFFFF';
+    context.fillRect(0, 0, size, size);
+    context.fillStyle = '#000000';
+    const drawPentagon = (x, y, radius) => {
+        context.beginPath();
+        for (let i = 0; i < 5; i++) {
+            context.lineTo(x + radius * Math.cos(i * 2 * Math.PI / 5 - Math.PI / 2),
+                           y + radius * Math.sin(i * 2 * Math.PI / 5 - Math.PI / 2));
+        }
+        context.closePath(); context.fill();
+    };
+    const unit = size / 128;
+    drawPentagon(64 * unit, 32 * unit, 20 * unit); drawPentagon(32 * unit, 80 * unit, 18 * unit); drawPentagon(96 * unit, 80 * unit, 18 * unit);
+}
+
+// Six bright panels from pole to pole, so the spin is easy to see
+function paintBeachBall(context, size) {
+    const colors = ['#FF3B30', '#FFFFFF', '#FFCC00', '#FFFFFF', '#007AFF', '#FFFFFF'];
+    const stripeWidth = size / colors.length;
+    colors.forEach((color, i) => {
+        context.fillStyle = color;
+        context.fillRect(i * stripeWidth, 0, stripeWidth + 1, size);
+    });
+}
+
+// Optic yellow felt with the curving white seam
+function paintTennisBall(context, size) {
+    context.fillStyle = '#D7E84B';
+    context.fillRect(0, 0, size, size);
+    context.strokeStyle = '#FFFFFF';
+    context.lineWidth = size * 0.04;
+    context.beginPath();
+    for (let x = 0; x <= size; x += 2) {
+        const y = size / 2 + Math.sin((x / size) * 4 * Math.PI) * size * 0.22;
+        if (x === 0) context.moveTo(x, y);
+        else context.lineTo(x, y);
+    }
+    context.stroke();
+}
+
+// --- Registry ---
+// Multipliers on the physics settings' ball values (radius, density, bounce, drag, spin drag)
+// and on how much spin touches give and how hard that spin curves the ball.
+export const BALL_TYPE_DEFS = {
+    [BALL_TYPES.FOOTBALL]: {
+        label: 'Size 5 football',
+        radius: 1, density: 1, restitution: 1, linearDamping: 1, angularDamping: 1, spinTransfer: 1, magnus: 1,
+        paintTexture: paintFootball
+    },
+    // Big and light: floats down slowly, bounces high and swerves a lot
+    [BALL_TYPES.BEACH]: {
+        label: 'Beach ball (kids)',
+        radius: 1.5, density: 0.1, restitution: 1.25, linearDamping: 6, angularDamping: 2, spinTransfer: 0.8, magnus: 4,
+        paintTexture: paintBeachBall
+    },
+    // Small and heavy for its size: a precise, lively target for skill practice
+    [BALL_TYPES.TENNIS]: {
+        label: 'Tennis ball (skills)',
+        radius: 0.35, density: 4, restitution: 1.25, linearDamping: 0.8, angularDamping: 0.8, spinTransfer: 1.3, magnus: 0.6,
+        paintTexture: paintTennisBall
+    }
+};
+
+// The physical properties of a ball of this type under these physics settings
+export function ballProperties(settings, type = DEFAULT_BALL_TYPE) {
+    const def = BALL_TYPE_DEFS[type] || BALL_TYPE_DEFS[DEFAULT_BALL_TYPE];
+    return {
+        radius: settings.ballRadius * def.radius,
+        density: settings.ballDensity * def.density,
+        restitution: Math.min(1, settings.ballRestitution * def.restitution),
+        linearDamping: settings.ballLinearDamping * def.linearDamping,
+        angularDamping: settings.ballAngularDamping * def.angularDamping,
+        spinTransfer: settings.spinTransfer * def.spinTransfer,
+        magnusStrength: settings.magnusStrength * def.magnus
+    };
+}
+
+export function loadBallType() {
+    const saved = localStorage.getItem(BALL_TYPE_STORAGE_KEY);
+    return BALL_TYPE_DEFS[saved] ? saved : DEFAULT_BALL_TYPE;
+}
+
+export function saveBallType(type) {
+    localStorage.setItem(BALL_TYPE_STORAGE_KEY, type);
+}
@@ -0,0 +1,205 @@
+// --- Player Calibration ---
+// A short guided routine that measures how a player appears on camera (floor line,
+// knee reach, side-to-side range) and turns it into the landmark-to-world mapping
+// mapLandmarkToWorld uses. Results are saved as named profiles in localStorage.
+
+const PROFILES_STORAGE_KEY = 'keepUps.calibrationProfiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'keepUps.activeCalibrationProfile';
+const MIN_VISIBILITY = 0.5; // Landmarks below this don't count toward a calibration step
+
+// The hardcoded mapping the game shipped with; used until a player calibrates
+export const DEFAULT_MAPPING = {
+    worldWidth: 3.5,  // Match this to your game space width
+    worldHeight: 3.5, // Match this to how high you want tracking to reach
+    xOffset: 0,       // Center horizontally
+    yOffset: 0.1      // Adjust based on ground level
+};
+export const DEFAULT_PROFILE_NAME = 'Default';
+
+// Where calibrated players end up in the world
+const STANDING_ANKLE_WORLD_Y = 0.3;  // Feet rest just above the pitch
+const RAISED_KNEE_WORLD_Y = 2.0;     // A comfortable knee raise reaches the ball's usual touch height
+const PLAY_HALF_WIDTH = 1.5;         // A side step reaches this far from the pitch center
+const WORLD_SCALE_LIMITS = { min: 1.5, max: 10 }; // Guard against a botched step producing an unplayable mapping
+
+// Seated players are mapped from their upper body instead (see upperBodyMapping)
+const SEATED_SHOULDER_WORLD_Y = 1.2;      // Shoulders sit here, so a raised hand reaches the ball's usual touch height
+const SEATED_SHOULDER_WORLD_WIDTH = 0.9;  // ...and are this wide, which sets the scale
+
+const L_SHOULDER = 11, R_SHOULDER = 12;
+const L_HIP = 23, R_HIP = 24, L_KNEE = 25, R_KNEE = 26, L_ANKLE = 27, R_ANKLE = 28;
+
+const visible = (landmarks, ...indices) => indices.every(i => landmarks[i] && landmarks[i].visibility >= MIN_VISIBILITY);
+const hipCenterX = (landmarks) => (landmarks[L_HIP].x + landmarks[R_HIP].x) / 2;
+
+// Each step collects samples for durationMs of visible tracking. sample() returns false when
+// the landmarks it needs are missing, pausing the step and showing hint instead.
+export const CALIBRATION_STEPS = [
+    {
+        id: 'stand',
+        instruction: 'Stand still with your full body in view',
+        hint: 'Ankles not visible — step back from the camera',
+        durationMs: 2500,
+        sample(landmarks, measurements) {
+            if (!visible(landmarks, L_HIP, R_HIP, L_ANKLE, R_ANKLE)) return false;
+            measurements.ankleYSum = (measurements.ankleYSum || 0) + (landmarks[L_ANKLE].y + landmarks[R_ANKLE].y) / 2;
+            measurements.centerXSum = (measurements.centerXSum || 0) + hipCenterX(landmarks);
+            measurements.standSamples = (measurements.standSamples || 0) + 1;
+            return true;
+        }
+    },
+    {
+        id: 'leftKnee',
+        instruction: 'Raise your LEFT knee as high as is comfortable',
+        hint: 'Left knee not visible',
+        durationMs: 2500,
+        sample(landmarks, measurements) {
+            if (!visible(landmarks, L_KNEE)) return false;
+            measurements.leftKneeMinY = Math.min(measurements.leftKneeMinY ?? 1, landmarks[L_KNEE].y);
+            return true;
+        }
+    },
+    {
+        id: 'rightKnee',
+        instruction: 'Raise your RIGHT knee as high as is comfortable',
+        hint: 'Right knee not visible',
+        durationMs: 2500,
+        sample(landmarks, measurements) {
+            if (!visible(landmarks, R_KNEE)) return false;
+            measurements.rightKneeMinY = Math.min(measurements.rightKneeMinY ?? 1, landmarks[R_KNEE].y);
+            return true;
+        }
+    },
+    {
+        id: 'stepLeft',
+        instruction: 'Take a big step to your LEFT',
+        hint: 'Hips not visible',
+        durationMs: 2000,
+        sample(landmarks, measurements) {
+            if (!visible(landmarks, L_HIP, R_HIP)) return false;
+            // Raw camera x is unmirrored: the player's left is the larger x
+            measurements.leftmostX = Math.max(measurements.leftmostX ?? 0, hipCenterX(landmarks));
+            return true;
+        }
+    },
+    {
+        id: 'stepRight',
+        instruction: 'Now a big step to your RIGHT',
+        hint: 'Hips not visible',
+        durationMs: 2000,
+        sample(landmarks, measurements) {
+            if (!visible(landmarks, L_HIP, R_HIP)) return false;
+            measurements.rightmostX = Math.min(measurements.rightmostX ?? 1, hipCenterX(landmarks));
+            return true;
+        }
+    }
+];
+
+function clampScale(value) {
+    return Math.min(WORLD_SCALE_LIMITS.max, Math.max(WORLD_SCALE_LIMITS.min, value));
+}
+
+// Turn step measurements into the scale and offsets used by mapLandmarkToWorld:
+//   gameX = (0.5 - x) * worldWidth + xOffset
+//   gameY = (1 - y) * worldHeight + yOffset
+export function computeMapping(measurements) {
+    const ankleY = measurements.ankleYSum / measurements.standSamples;
+    const kneeReachY = (measurements.leftKneeMinY + measurements.rightKneeMinY) / 2;
+    const worldHeight = clampScale((RAISED_KNEE_WORLD_Y - STANDING_ANKLE_WORLD_Y) / Math.max(1e-3, ankleY - kneeReachY));
+    const yOffset = STANDING_ANKLE_WORLD_Y - (1 - ankleY) * worldHeight;
+
+    const sideRange = measurements.leftmostX - measurements.rightmostX;
+    const worldWidth = clampScale((2 * PLAY_HALF_WIDTH) / Math.max(1e-3, sideRange));
+    const midX = (measurements.leftmostX + measurements.rightmostX) / 2;
+    const xOffset = -(0.5 - midX) * worldWidth; // Center of the player's range maps to the pitch center
+
+    return { worldWidth, worldHeight, xOffset, yOffset };
+}
+
+// Mapping in the same form as computeMapping's that puts this pose's shoulder midpoint at
+// centerWorldX and a fixed height, scaled by shoulder width. No calibration needed: it follows
+// however close the player sits to the camera. Null when the shoulders aren't tracked.
+export function upperBodyMapping(landmarks, centerWorldX = 0) {
+    if (!landmarks || !visible(landmarks, L_SHOULDER, R_SHOULDER)) return null;
+    const left = landmarks[L_SHOULDER], right = landmarks[R_SHOULDER];
+    const scale = clampScale(SEATED_SHOULDER_WORLD_WIDTH / Math.max(1e-3, Math.abs(left.x - right.x)));
+    const centerX = (left.x + right.x) / 2;
+    const shoulderY = (left.y + right.y) / 2;
+    return {
+        worldWidth: scale,
+        worldHeight: scale,
+        xOffset: centerWorldX - (0.5 - centerX) * scale,
+        yOffset: SEATED_SHOULDER_WORLD_Y - (1 - shoulderY) * scale
+    };
+}
+
+export class CalibrationWizard {
+    constructor(profileName) {
+        this.profileName = profileName;
+        this.stepIndex = 0;
+        this.stepElapsedMs = 0;
+        this.measurements = {};
+        this.waitingForLandmarks = false;
+    }
+
+    get currentStep() {
+        return CALIBRATION_STEPS[this.stepIndex] || null;
+    }
+
+    get isComplete() {
+        return this.stepIndex >= CALIBRATION_STEPS.length;
+    }
+
+    get stepProgress() {
+        const step = this.currentStep;
+        return step ? Math.min(1, this.stepElapsedMs / step.durationMs) : 1;
+    }
+
+    // Feed the latest pose once per game frame
+    update(landmarks, stepMs) {
+        const step = this.currentStep;
+        if (!step) return;
+        this.waitingForLandmarks = !landmarks || !step.sample(landmarks, this.measurements);
+        if (this.waitingForLandmarks) return;
+        this.stepElapsedMs += stepMs;
+        if (this.stepElapsedMs >= step.durationMs) {
+            this.stepIndex++;
+            this.stepElapsedMs = 0;
+        }
+    }
+
+    createProfile() {
+        return {
+            name: this.profileName,
+            createdAt: new Date().toISOString(),
+            ...computeMapping(this.measurements)
+        };
+    }
+}
+
+// --- Profile Storage ---
+export function loadProfiles() {
+    try {
+        const profiles = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+        return Array.isArray(profiles) ? profiles : [];
+    } catch (error) {
+        console.warn("Ignoring unreadable calibration profiles:", error);
+        return [];
+    }
+}
+
+// Saving under an existing name replaces that profile (used when recalibrating)
+export function saveProfile(profile) {
+    const profiles = loadProfiles().filter(existing => existing.name !== profile.name);
+    profiles.push(profile);
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+export function getActiveProfile() {
+    const name = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+    return loadProfiles().find(profile => profile.name === name) || null;
+}
+
+export function setActiveProfileName(name) {
+    localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, name);
+}
@@ -0,0 +1,53 @@
+// --- Control Schemes ---
+// How the player plays. Standing play kicks with the legs. Seated play is for anyone who can't
+// stand and kick (wheelchair users, someone rehabbing an injury, kids at a desk): the hands touch
+// the ball, the world is mapped from the upper body and the reset gesture works sitting down.
+// Scores only compare within a scheme.
+import { BODY_PARTS } from './touchScoring.js';
+import { DEFAULT_GESTURES, SEATED_GESTURES } from './gestures.js';
+
+const CONTROL_SCHEME_STORAGE_KEY = 'keepUps.controlScheme';
+
+export const CONTROL_SCHEMES = {
+    STANDING: 'standing',
+    SEATED: 'seated'
+};
+
+export const DEFAULT_CONTROL_SCHEME = CONTROL_SCHEMES.STANDING;
+
+const L_SHOULDER = 11, R_SHOULDER = 12, L_WRIST = 15, R_WRIST = 16;
+const L_KNEE = 25, R_KNEE = 26, L_ANKLE = 27, R_ANKLE = 28;
+
+// inFrameLandmarks must all be tracked before a run starts (inFrameParts names them for the
+// player). bodyParts are the parts that count, or null for the player's choice in ⚙.
+// upperBodyMapping maps from the shoulders rather than the calibration profile.
+export const CONTROL_SCHEME_DEFS = {
+    [CONTROL_SCHEMES.STANDING]: {
+        label: 'Standing',
+        inFrameLandmarks: [L_KNEE, R_KNEE, L_ANKLE, R_ANKLE],
+        inFrameParts: 'knees and feet',
+        bodyParts: null,
+        gestures: DEFAULT_GESTURES,
+        upperBodyMapping: false
+    },
+    [CONTROL_SCHEMES.SEATED]: {
+        label: 'Seated (hands)',
+        inFrameLandmarks: [L_SHOULDER, R_SHOULDER, L_WRIST, R_WRIST],
+        inFrameParts: 'shoulders and hands',
+        bodyParts: [BODY_PARTS.HANDS],
+        gestures: SEATED_GESTURES,
+        upperBodyMapping: true
+    }
+};
+
+// Runs saved before seated play existed were all standing
+export const controlSchemeOfRun = (run) => run.controlScheme || DEFAULT_CONTROL_SCHEME;
+
+export function loadControlScheme() {
+    const saved = localStorage.getItem(CONTROL_SCHEME_STORAGE_KEY);
+    return CONTROL_SCHEME_DEFS[saved] ? saved : DEFAULT_CONTROL_SCHEME;
+}
+
+export function saveControlScheme(scheme) {
+    localStorage.setItem(CONTROL_SCHEME_STORAGE_KEY, scheme);
+}
@@ -0,0 +1,204 @@
+// --- Drills ---
+// Structured challenges on top of keep-ups: send the ball through a hoop, keep every touch in a
+// height band, hit targets left and right in turn, or beat the clock. Each drill is data: the
+// targets it places on the pitch (sensor colliders the core builds and the page draws), the goal
+// that counts toward passing, the time limit and how fast a pass must be for more stars.
+// DrillRun scores one attempt from the core's touches and sensor events; add a drill by adding
+// an entry to DRILL_DEFS.
+
+const DRILL_STORAGE_KEY = 'keepUps.drill';
+const DRILL_BEST_STORAGE_KEY = 'keepUps.drillBest';
+
+export const DRILLS = {
+    HOOP: 'hoop',
+    HEIGHT_BAND: 'heightBand',
+    SIDE_TARGETS: 'sideTargets',
+    BEAT_THE_CLOCK: 'beatTheClock'
+};
+
+export const TARGET_SHAPES = {
+    CYLINDER: 'cylinder', // { radius, halfHeight }, upright
+    BOX: 'box'            // { halfExtents: { x, y, z } }
+};
+
+// How a target is drawn; the physics only cares about its shape
+export const TARGET_STYLES = {
+    HOOP: 'hoop', // A ring around a thin disc sensor
+    ZONE: 'zone', // A glowing box
+    BAND: 'band'  // A see-through slab across the pitch
+};
+
+export const DRILL_GOALS = {
+    TOUCHES: 'touches',                   // { count }: any touches
+    TOUCHES_IN_TARGET: 'touchesInTarget', // { target, count, strict }: touches with the ball in the target; strict fails on any other
+    ENTER_TARGETS: 'enterTargets'         // { targets, count, direction?, alternate? }: the ball entering targets
+};
+
+export const DRILL_RESULTS = {
+    PASSED: 'passed',
+    TIME_UP: 'timeUp',
+    OUTSIDE_TARGET: 'outsideTarget', // A strict drill's touch missed its target
+    ABANDONED: 'abandoned'           // The ball was lost or the run was reset first
+};
+
+// Positions are world coordinates: the pitch top is at y = -0.4, knees are around y = 1.2 and
+// heads around y = 3; negative x is the player's left. Sensor discs sit a little inside their
+// rings, so a ball clipping the rim doesn't count. starTimesMs: pass within these for 2 and 3 stars.
+export const DRILL_DEFS = {
+    [DRILLS.HOOP]: {
+        label: 'Through the hoop',
+        description: 'Send the ball up through the hoop 3 times',
+        timeLimitMs: 60000,
+        starTimesMs: [40000, 25000],
+        targets: [
+            { id: 'hoop', style: TARGET_STYLES.HOOP, shape: TARGET_SHAPES.CYLINDER, radius: 0.45, halfHeight: 0.03, ringRadius: 0.6, position: { x: 0, y: 3.2, z: 0 } }
+        ],
+        goal: { type: DRILL_GOALS.ENTER_TARGETS, targets: ['hoop'], count: 3, direction: 'up' } // Not the drop from the spawn point
+    },
+    [DRILLS.HEIGHT_BAND]: {
+        label: 'Height band',
+        description: 'Make 10 touches, every one inside the band',
+        timeLimitMs: 60000,
+        starTimesMs: [35000, 20000],
+        targets: [
+            { id: 'band', style: TARGET_STYLES.BAND, shape: TARGET_SHAPES.BOX, halfExtents: { x: 2.75, y: 0.4, z: 2.75 }, position: { x: 0, y: 1.4, z: 0 } }
+        ],
+        goal: { type: DRILL_GOALS.TOUCHES_IN_TARGET, target: 'band', count: 10, strict: true }
+    },
+    [DRILLS.SIDE_TARGETS]: {
+        label: 'Left, right',
+        description: 'Hit the lit target, left and right in turn, 6 times',
+        timeLimitMs: 90000,
+        starTimesMs: [60000, 40000],
+        targets: [
+            { id: 'left', style: TARGET_STYLES.ZONE, shape: TARGET_SHAPES.BOX, halfExtents: { x: 0.5, y: 0.5, z: 0.6 }, position: { x: -1.6, y: 2.6, z: 0 } },
+            { id: 'right', style: TARGET_STYLES.ZONE, shape: TARGET_SHAPES.BOX, halfExtents: { x: 0.5, y: 0.5, z: 0.6 }, position: { x: 1.6, y: 2.6, z: 0 } }
+        ],
+        goal: { type: DRILL_GOALS.ENTER_TARGETS, targets: ['left', 'right'], count: 6, alternate: true }
+    },
+    [DRILLS.BEAT_THE_CLOCK]: {
+        label: 'Beat the clock',
+        description: 'Make 20 touches in 30 seconds',
+        timeLimitMs: 30000,
+        starTimesMs: [25000, 18000],
+        targets: [],
+        goal: { type: DRILL_GOALS.TOUCHES, count: 20 }
+    }
+};
+
+export const DRILL_RESULT_LABELS = {
+    [DRILL_RESULTS.PASSED]: 'Passed',
+    [DRILL_RESULTS.TIME_UP]: 'Out of time',
+    [DRILL_RESULTS.OUTSIDE_TARGET]: 'Touch outside the band',
+    [DRILL_RESULTS.ABANDONED]: 'Ball lost'
+};
+
+// 1 star for a pass, more for a fast one
+export const maxDrillStars = (def) => 1 + def.starTimesMs.length;
+
+export function drillStars(def, timeMs) {
+    return 1 + def.starTimesMs.filter(limitMs => timeMs <= limitMs).length;
+}
+
+// One attempt at a drill. The core feeds it game time while a run is in play, each touch with
+// the targets the ball was in, and each time the ball enters a target.
+export class DrillRun {
+    constructor(id) {
+        this.id = id;
+        this.def = DRILL_DEFS[id];
+        this.elapsedMs = 0;    // Playing time; pauses don't count
+        this.progress = 0;     // Toward def.goal.count
+        this.result = null;    // { passed, reason, stars, timeMs, progress, count } once decided
+    }
+
+    get remainingMs() {
+        return this.def.timeLimitMs === null ? null : Math.max(0, this.def.timeLimitMs - this.elapsedMs);
+    }
+
+    // Targets that count next: in an alternating drill only the one whose turn it is
+    get activeTargets() {
+        const { goal } = this.def;
+        if (goal.type === DRILL_GOALS.TOUCHES_IN_TARGET) return [goal.target];
+        if (goal.type !== DRILL_GOALS.ENTER_TARGETS) return [];
+        return goal.alternate ? [goal.targets[this.progress % goal.targets.length]] : goal.targets;
+    }
+
+    tick(stepMs) {
+        if (this.result) return;
+        this.elapsedMs += stepMs;
+        if (this.remainingMs === 0) this.finish(DRILL_RESULTS.TIME_UP);
+    }
+
+    // insideTargets: ids of the targets the ball was in when touched. Returns true if the touch counted.
+    touch(insideTargets) {
+        if (this.result) return false;
+        const { goal } = this.def;
+        if (goal.type === DRILL_GOALS.TOUCHES) return this.advance();
+        if (goal.type !== DRILL_GOALS.TOUCHES_IN_TARGET) return false;
+        if (insideTargets.has(goal.target)) return this.advance();
+        if (goal.strict) this.finish(DRILL_RESULTS.OUTSIDE_TARGET);
+        return false;
+    }
+
+    // The ball entered a target moving at velocity. Returns true if it counted.
+    enterTarget(targetId, velocity) {
+        if (this.result) return false;
+        const { goal } = this.def;
+        if (goal.type !== DRILL_GOALS.ENTER_TARGETS || !this.activeTargets.includes(targetId)) return false;
+        if (goal.direction === 'up' && velocity.y <= 0) return false;
+        return this.advance();
+    }
+
+    advance() {
+        this.progress++;
+        if (this.progress >= this.def.goal.count) this.finish(DRILL_RESULTS.PASSED);
+        return true;
+    }
+
+    finish(reason) {
+        if (this.result) return;
+        const passed = reason === DRILL_RESULTS.PASSED;
+        this.result = {
+            id: this.id,
+            passed,
+            reason,
+            stars: passed ? drillStars(this.def, this.elapsedMs) : 0,
+            timeMs: Math.round(this.elapsedMs),
+            progress: this.progress,
+            count: this.def.goal.count
+        };
+    }
+}
+
+// The chosen drill, or null for free play
+export function loadDrill() {
+    const saved = localStorage.getItem(DRILL_STORAGE_KEY);
+    return DRILL_DEFS[saved] ? saved : null;
+}
+
+export function saveDrill(drill) {
+    if (drill) localStorage.setItem(DRILL_STORAGE_KEY, drill);
+    else localStorage.removeItem(DRILL_STORAGE_KEY);
+}
+
+// Best stars per drill, kept in the browser
+export function loadDrillBest() {
+    try {
+        return JSON.parse(localStorage.getItem(DRILL_BEST_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Returns true if the result beat the saved best
+export function saveDrillResult(result) {
+    const best = loadDrillBest();
+    const previous = best[result.id];
+    const isBetter = result.passed && (!previous || result.stars > previous.stars
+        || (result.stars === previous.stars && result.timeMs < previous.timeMs));
+    if (isBetter) {
+        best[result.id] = { stars: result.stars, timeMs: result.timeMs };
+        localStorage.setItem(DRILL_BEST_STORAGE_KEY, JSON.stringify(best));
+    }
+    return isBetter;
+}
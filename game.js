@@ -1,21 +1,61 @@
 // --- Imports ---
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js'; // Use specific version
-import RAPIER from 'https://cdn.skypack.dev/@dimforge/rapier3d-compat';
+import * as THREE from './vendor/three/three.module.min.js'; // Vendored copies, see tools/vendorLibraries.js
+import RAPIER from './vendor/rapier/rapier.es.js';
+import { PoseRecorder, parseRecording, downloadRecording } from './poseRecording.js';
+import {
+    MediaPipePoseProvider, MediaPipeMultiPoseProvider, SyntheticSkeletonProvider, ScriptedPoseProvider, ReplayPoseProvider,
+    createKneeJuggleScript, createTwoPlayerJuggleScript, listCameras, CAMERA_RESOLUTIONS, DEFAULT_CAMERA_RESOLUTION
+} from './poseProviders.js';
+import { TOUCH_MODES } from './touchPhysics.js';
+import {
+    LIMBS, LIMB_LABELS, BODY_PARTS, BODY_PART_DEFS, BODY_PART_PRESETS, SELECTABLE_BODY_PARTS, normalizeBodyParts, matchingBodyPartPreset,
+    limbsOfBodyParts
+} from './touchScoring.js';
+import { LIMB_SHAPES } from './limbShapes.js';
+import { RUN_END_REASONS, RUN_END_LABELS, saveRun, loadRunHistory, summarizeRuns } from './sessionHistory.js';
+import { DEFAULT_FILTER_SETTINGS } from './poseFilter.js';
+import { showStats, toggleStats } from './statsScreen.js';
+import { TouchLog } from './touchAnalytics.js';
+import { showAnalytics } from './analyticsScreen.js';
+import { GESTURE_ACTIONS } from './gestures.js';
+import { GAME_STATES } from './gameState.js';
+import { SoundEngine, SOUNDS, isMilestone } from './sounds.js';
+import { RunRecorder, RunPlayback, parseRunReplay, downloadRunReplay } from './runReplay.js';
+import {
+    PHYSICS_SETTING_DEFS, DIFFICULTY_PRESETS, DIFFICULTY_LABELS, DEFAULT_PHYSICS_SETTINGS, matchingDifficulty,
+    normalizePhysicsSettings, physicsSettingsFromQuery, physicsSettingsToUrl, loadPhysicsSettings, savePhysicsSettings,
+    parsePhysicsSettings, downloadPhysicsSettings
+} from './physicsSettings.js';
+import { PLAYER_MODES, MAX_PLAYERS, PLAYER_COLORS, playerCountForMode } from './players.js';
+import {
+    CalibrationWizard, DEFAULT_MAPPING, DEFAULT_PROFILE_NAME,
+    loadProfiles, saveProfile, getActiveProfile, setActiveProfileName
+} from './calibration.js';
+import { GameCore, CORE_EVENTS, COUNTDOWN_MS, GROUND_Y } from './gameCore.js';
+import { BALL_TYPE_DEFS, loadBallType, saveBallType } from './ballTypes.js';
+import { CONTROL_SCHEMES, CONTROL_SCHEME_DEFS, controlSchemeOfRun, loadControlScheme, saveControlScheme } from './controlSchemes.js';
+import { TrackingAdvisor, trackedJoints, visibilityLevel, measureBrightness } from './trackingDiagnostics.js';
+import {
+    QUALITY_TIERS, QUALITY_MODES, TARGET_FRAME_RATES, QualityManager, qualityTier, tierPixelRatio,
+    loadQualitySettings, saveQualitySettings
+} from './qualitySettings.js';
+import { GameApi, API_EVENTS, API_COMMANDS, normalizeApiSettings } from './gameApi.js';
+import { DRILL_DEFS, DRILL_RESULT_LABELS, TARGET_STYLES, maxDrillStars, loadDrill, saveDrill, loadDrillBest, saveDrillResult } from './drills.js';
 
 // --- Global Variables ---
 let scene, camera, renderer, clock;
-let physicsWorld, eventQueue;
-let ballMesh, groundMesh;
-let ballBody, groundBody;
-let leftKneeCollider, rightKneeCollider, leftFootCollider, rightFootCollider;
-let leftKneeMesh, rightKneeMesh, leftFootMesh, rightFootMesh; // Visual representations
-let leftLegLine, rightLegLine; // Lines connecting knees and feet
-const playerColliderRadius = 0.13; // Keep physics collider size consistent
+let groundMesh, directionalLight;
+let detailGeometries = null; // Round meshes' shared geometries, built at the quality tier's detail
+const playerMarkers = []; // Per player slot: marker meshes and leg lines (see initThree)
+const ballMeshes = []; // One per possible ball, created once; unused ones stay hidden
+const ballShadowMeshes = []; // Blob shadows under the balls and markers, so players can judge depth
+const markerShadowMeshes = new Map(); // Marker mesh -> its shadow
+const drillTargetMeshes = new Map(); // Drill target id -> its mesh, rebuilt with the world (see syncDrillTargets)
 const kneeMarkerRadius = 0.2; // Visual size for knee circle
 const footMarkerSize = { w: 0.35, h: 0.12, d: 0.35 }; // Width, height, depth for shoe marker
-const ballRadius = 0.25;
-let score = 0;
-let ballJustHitPlayer = false;
+const BALL_MODEL_RADIUS = DEFAULT_PHYSICS_SETTINGS.ballRadius; // Ball geometry size; meshes are scaled to the live radius
+const ballTextures = {}; // Ball type -> its painted texture (see initThree)
+const WEAK_FOOT_STORAGE_KEY = 'keepUps.weakFoot';
 
 // DOM Elements
 const videoElement = document.getElementById('webcam');
@@ -24,31 +64,209 @@ const overlayCtx = overlayCanvas.getContext('2d');
 const gameContainer = document.getElementById('game-container');
 const loadingMessage = document.getElementById('loading-message');
 const scoreElement = document.getElementById('score');
-const tposeIndicatorElement = document.getElementById('tpose-indicator'); // NEW
+const limbBreakdownElement = document.getElementById('limb-breakdown');
+const comboIndicatorElement = document.getElementById('combo-indicator');
+const tposeIndicatorElement = document.getElementById('tpose-indicator'); // Gesture progress feedback
+const gameStateBanner = document.getElementById('game-state-banner');
+const pauseButton = document.getElementById('pause-button');
 
 // New Instructions Elements
 const instructionsButton = document.getElementById('instructions-button');
 const instructionsOverlay = document.getElementById('instructions-overlay');
 let instructionsTimeout = null;
+const statsButton = document.getElementById('stats-button');
+const analyticsButton = document.getElementById('analytics-button');
+
+// Recording / Replay Elements
+const recordButton = document.getElementById('record-button');
+const loadReplayButton = document.getElementById('load-replay-button');
+const replayFileInput = document.getElementById('replay-file-input');
+const inputSourceSelect = document.getElementById('input-source-select');
+const touchModeSelect = document.getElementById('touch-mode-select');
+const playerModeSelect = document.getElementById('player-mode-select');
+const controlSchemeSelect = document.getElementById('control-scheme-select');
+const drillSelect = document.getElementById('drill-select');
+const drillStatusElement = document.getElementById('drill-status');
+
+// Tracking Filter Elements
+const trackingButton = document.getElementById('tracking-button');
+const trackingPanel = document.getElementById('tracking-panel');
+const trackingReadoutElement = document.getElementById('tracking-readout');
+
+// Quality Elements
+const qualityButton = document.getElementById('quality-button');
+const qualityPanel = document.getElementById('quality-panel');
+const qualitySelect = document.getElementById('quality-select');
+const qualityTargetSelect = document.getElementById('quality-target-fps');
+const qualityReadoutElement = document.getElementById('quality-readout');
+
+// Camera & Diagnostics Elements
+const cameraButton = document.getElementById('camera-button');
+const cameraPanel = document.getElementById('camera-panel');
+const cameraSelect = document.getElementById('camera-select');
+const cameraResolutionSelect = document.getElementById('camera-resolution-select');
+const diagnosticsToggle = document.getElementById('diagnostics-toggle');
+const diagnosticsHud = document.getElementById('diagnostics-hud');
+const diagnosticsRatesElement = document.getElementById('diagnostics-rates');
+const diagnosticsJointsElement = document.getElementById('diagnostics-joints');
+const trackingWarningsElement = document.getElementById('tracking-warnings');
+
+// Physics Settings Elements
+const physicsButton = document.getElementById('physics-button');
+const physicsPanel = document.getElementById('physics-panel');
+const ballTypeSelect = document.getElementById('ball-type-select');
+const bodyPartPresetSelect = document.getElementById('body-part-preset');
+const bodyPartTogglesContainer = document.getElementById('body-part-toggles');
+const physicsDifficultySelect = document.getElementById('physics-difficulty');
+const physicsSettingsContainer = document.getElementById('physics-settings');
+const physicsShareButton = document.getElementById('physics-share');
+const physicsSaveButton = document.getElementById('physics-save');
+const physicsLoadButton = document.getElementById('physics-load');
+const physicsFileInput = document.getElementById('physics-file-input');
+const physicsShareStatus = document.getElementById('physics-share-status');
+
+// Sound Elements
+const soundButton = document.getElementById('sound-button');
+const soundPanel = document.getElementById('sound-panel');
+const soundMutedCheckbox = document.getElementById('sound-muted');
+const soundVolumeSlider = document.getElementById('sound-volume');
+
+// Instant Replay Elements
+const instantReplayButton = document.getElementById('instant-replay-button');
+const instantReplayPanel = document.getElementById('instant-replay-panel');
+const instantReplayTitle = document.getElementById('instant-replay-title');
+const instantReplayPlayButton = document.getElementById('instant-replay-play');
+const instantReplayScrub = document.getElementById('instant-replay-scrub');
+const instantReplayTime = document.getElementById('instant-replay-time');
+const instantReplaySpeedSelect = document.getElementById('instant-replay-speed');
+const instantReplayOrbitCheckbox = document.getElementById('instant-replay-orbit');
+const instantReplaySaveButton = document.getElementById('instant-replay-save');
+const instantReplayLoadButton = document.getElementById('instant-replay-load');
+const instantReplayCloseButton = document.getElementById('instant-replay-close');
+const instantReplayFileInput = document.getElementById('instant-replay-file-input');
+
+// Calibration Elements
+const calibrationSelect = document.getElementById('calibration-select');
+const calibrationPanel = document.getElementById('calibration-panel');
+const calibrationInstructionElement = document.getElementById('calibration-instruction');
+const calibrationProgressBar = document.getElementById('calibration-progress-bar');
+const calibrationHintElement = document.getElementById('calibration-hint');
+const calibrationCancelButton = document.getElementById('calibration-cancel-button');
+
+let gameLoopStarted = false;
+
+// --- Pose Input State ---
+let poseProvider = null;          // Source the game loop currently reads poses from
+let providerBeforeReplay = null;  // Restored when a replay or finite script finishes
+const inputProviders = {};        // Selectable sources, created lazily by getInputProvider
+
+// --- Camera State ---
+const CAMERA_STORAGE_KEY = 'keepUps.camera';
+let cameraSettings = loadCameraSettings(); // { deviceId, resolution } the webcam sources open
+
+function loadCameraSettings() {
+    try {
+        const { deviceId = null, resolution } = JSON.parse(localStorage.getItem(CAMERA_STORAGE_KEY)) || {};
+        return { deviceId, resolution: CAMERA_RESOLUTIONS[resolution] ? resolution : DEFAULT_CAMERA_RESOLUTION };
+    } catch (error) {
+        return { deviceId: null, resolution: DEFAULT_CAMERA_RESOLUTION };
+    }
+}
 
-let lastPoseResults = null;
+// --- Recording & Replay State ---
+const poseRecorder = new PoseRecorder();
+let physicsBeforeReplay = null; // Restored when a replay recorded with other physics settings finishes
+let filterSettingsBeforeReplay = null; // Likewise for the pose filter's tuning
+
+// --- Calibration State ---
+let worldMapping = getActiveProfile() || DEFAULT_MAPPING; // Landmark-to-world scale and offsets
+let calibrationWizard = null; // Set while the calibration routine runs; the ball is held until it finishes
+const NEW_CALIBRATION_OPTION = '__new__';
 
 // --- Configurable Game Parameters ---
-const COLLISION_BASE_IMPULSE_Y = 0.7;
-const MAX_UPWARD_VELOCITY = 5;
-const Z_DAMPING = 0.8;
-const Z_CORRECTION_FACTOR = 0.1;
-const GRAVITY_Y = -8;
-
-// --- T-Pose Reset Variables ---
-let isTPosing = false;
-let tPoseStartTime = 0;
-const T_POSE_DURATION_THRESHOLD_MS = 700; // ms
-const T_POSE_RESET_COOLDOWN_MS = 2000;     // 2 seconds after reset
-let tPoseResetCooldownActive = false;
-const LANDMARK_VISIBILITY_THRESHOLD = 0.4; // Visibility needed for T-pose check
-// Landmark indices (check Mediapipe documentation for confirmation)
-const L_SHOULDER = 11, R_SHOULDER = 12, L_ELBOW = 13, R_ELBOW = 14, L_WRIST = 15, R_WRIST = 16;
+// Gravity, touch strength and the ball's feel are tunable at runtime (see physicsSettings.js);
+// a shared link's settings win over the saved ones and become the saved ones
+const sharedPhysicsSettings = physicsSettingsFromQuery(window.location.search);
+let physicsSettings = sharedPhysicsSettings || loadPhysicsSettings();
+if (sharedPhysicsSettings) savePhysicsSettings(sharedPhysicsSettings);
+let ballType = loadBallType(); // Football, beach ball or tennis ball (see ballTypes.js)
+
+// --- Touch Mode ---
+const TOUCH_MODE_STORAGE_KEY = 'keepUps.touchMode';
+let touchMode = localStorage.getItem(TOUCH_MODE_STORAGE_KEY) === TOUCH_MODES.ASSISTED ? TOUCH_MODES.ASSISTED : TOUCH_MODES.REALISTIC;
+
+// --- Body Parts ---
+// Which body parts touch the ball and score: feet only, all body, or anything between
+const BODY_PARTS_STORAGE_KEY = 'keepUps.bodyParts';
+let bodyParts = loadBodyParts();
+
+function loadBodyParts() {
+    try {
+        return normalizeBodyParts(JSON.parse(localStorage.getItem(BODY_PARTS_STORAGE_KEY)));
+    } catch (error) {
+        return normalizeBodyParts(null);
+    }
+}
+
+// --- Control Scheme ---
+let controlScheme = loadControlScheme(); // Standing or seated play (see controlSchemes.js)
+
+// --- Drill ---
+let drill = loadDrill(); // Drill id (see drills.js), or null for free play
+
+// --- Player Mode ---
+const PLAYER_MODE_STORAGE_KEY = 'keepUps.playerMode';
+let playerMode = loadPlayerMode(); // The mode in play; replays and scripts switch it without saving
+
+function loadPlayerMode() {
+    const saved = localStorage.getItem(PLAYER_MODE_STORAGE_KEY);
+    return Object.values(PLAYER_MODES).includes(saved) ? saved : PLAYER_MODES.SINGLE;
+}
+
+// --- Pose Filter State ---
+const FILTER_SETTINGS_STORAGE_KEY = 'keepUps.poseFilter';
+let measuredPoseIntervalMs = 0; // Smoothed time between pose samples
+let lastPoseArrivalMs = null;
+let poseOverlayStale = false;   // New pose results arrived; redraw the webcam overlay after the next step
+
+// --- Diagnostics State ---
+const DIAGNOSTICS_STORAGE_KEY = 'keepUps.diagnostics';
+const DIAGNOSTICS_UPDATE_MS = 250;  // The HUD and warnings refresh this often
+const POSE_STALL_MS = 1000;         // No pose for this long reads as 0 fps
+const MAX_SHOWN_WARNINGS = 3;
+const trackingAdvisor = new TrackingAdvisor();
+let lastDiagnosticsUpdateMs = -Infinity;
+let measuredFrameIntervalMs = 0;    // Smoothed time between rendered frames
+
+// --- Quality State ---
+// Auto mode starts from the tier it settled on last time
+let qualitySettings = loadQualitySettings();
+const qualityManager = new QualityManager({
+    tierIndex: QUALITY_TIERS.indexOf(qualityTier(qualitySettings.autoTier)),
+    targetFps: qualitySettings.targetFps
+});
+let activeQualityTier = null; // Tier the scene and pose model are set up for
+
+// --- Touch Analytics State ---
+const touchLog = new TouchLog(); // Every touch of the session, for the 📈 dashboard
+
+// --- Game Core ---
+// The rules, physics and scoring live in gameCore.js; this file feeds it poses and
+// draws, plays and saves what it reports
+const core = new GameCore({
+    RAPIER,
+    playerMode,
+    touchMode,
+    physicsSettings,
+    ballType,
+    bodyParts,
+    controlScheme,
+    drill,
+    worldMapping,
+    filterSettings: loadFilterSettings(),
+    weakFoot: localStorage.getItem(WEAK_FOOT_STORAGE_KEY) === LIMBS.RIGHT_FOOT ? LIMBS.RIGHT_FOOT : LIMBS.LEFT_FOOT
+});
+const { gameState, touchScorer } = core;
 
 // --- Instructions Handling ---
 function showInstructions() {
@@ -83,18 +301,1116 @@ instructionsOverlay.addEventListener('click', () => {
     hideInstructions();
 });
 
-// --- Initialization Functions (initThree, createSoccerTexture, init, initRapier, initMediapipe) ---
+pauseButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    core.togglePause();
+    pauseButton.blur();
+});
+
+window.addEventListener('keydown', (e) => {
+    if (e.key.toLowerCase() === 'p' && !e.repeat) core.togglePause();
+});
+
+statsButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    hideInstructions();
+    showStats(core.controlScheme);
+});
+
+analyticsButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    hideInstructions();
+    showAnalytics(touchLog);
+});
+
+// --- Recording & Replay Handling ---
+function toggleRecording() {
+    if (!core.isReady) return; // Still loading
+    if (poseRecorder.isRecording) {
+        const recording = poseRecorder.stop();
+        recordButton.classList.remove('recording');
+        if (recording.frames.length > 0) downloadRecording(recording);
+    } else {
+        if (providerBeforeReplay) finishTemporaryProvider();
+        const seed = Math.floor(Math.random() * 0xffffffff);
+        resetSimulation(seed);
+        poseRecorder.start(seed, {
+            playerMode: playerMode === PLAYER_MODES.SINGLE ? undefined : playerMode,
+            physics: physicsSettings,
+            ballType: core.ballType, // What's in play, which a host page may have set for this session
+            bodyParts: core.bodyParts,
+            controlScheme: core.controlScheme,
+            drill: core.drillDef ? core.drill : undefined,
+            touchMode: core.touchMode,
+            worldMapping,
+            filterSettings: core.poseFilter.settings
+        });
+        recordButton.classList.add('recording');
+    }
+}
+
+function startReplay(recording) {
+    if (!core.isReady) throw new Error('Game is still loading');
+    if (poseRecorder.isRecording) toggleRecording();
+    setPlayerMode(recording.playerMode || PLAYER_MODES.SINGLE, { persist: false }); // Play it back the way it was played
+    if (recording.physics) {
+        if (!physicsBeforeReplay) physicsBeforeReplay = physicsSettings;
+        applyPhysicsSettings(recording.physics, { persist: false });
+    }
+    // Older recordings didn't store these; they replay with the current choices
+    if (recording.ballType) setBallType(recording.ballType, { persist: false });
+    if (recording.bodyParts) setBodyParts(recording.bodyParts, { persist: false });
+    setControlScheme(recording.controlScheme || CONTROL_SCHEMES.STANDING, { persist: false }); // Older recordings were all standing
+    setDrill(recording.drill || null, { persist: false });
+    if (recording.touchMode) core.touchMode = recording.touchMode;
+    if (recording.worldMapping) core.worldMapping = recording.worldMapping;
+    // Older recordings didn't store the filter tuning either; they replay with the defaults, the same in every session.
+    // Updated in place: the filters share the settings object.
+    if (!filterSettingsBeforeReplay) filterSettingsBeforeReplay = { ...core.poseFilter.settings };
+    Object.assign(core.poseFilter.settings, DEFAULT_FILTER_SETTINGS, recording.filterSettings);
+    resetSimulation(recording.seed);
+    loadingMessage.style.color = '';
+    loadingMessage.style.display = 'block';
+    loadingMessage.innerText = `Replaying session (${recording.frames.length} frames)...`;
+    useTemporaryProvider(new ReplayPoseProvider(recording)); // Replay works without a webcam
+}
+
+recordButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleRecording();
+});
+
+loadReplayButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    replayFileInput.click();
+});
+
+replayFileInput.addEventListener('change', async () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = ''; // Allow loading the same file again
+    if (!file) return;
+    try {
+        startReplay(parseRecording(await file.text()));
+    } catch (error) {
+        console.error("Failed to load pose recording:", error);
+        loadingMessage.style.display = 'block';
+        loadingMessage.innerText = `Replay error: ${error.message}`;
+        loadingMessage.style.color = 'red';
+    }
+});
+
+// --- Pose Input Handling ---
+// Sources are created per player count, since two-player modes need a source that sees two people
+function getInputProvider(name) {
+    const playerCount = playerCountForMode(playerMode);
+    const key = `${name}:${playerCount}`;
+    if (!inputProviders[key]) {
+        if (name === 'webcam') {
+            const options = {
+                videoElement, onVideoResize: resizeOverlayToVideo, ...cameraSettings,
+                modelComplexity: currentQualityTier().poseModelComplexity
+            };
+            inputProviders[key] = playerCount > 1
+                ? new MediaPipeMultiPoseProvider({ ...options, numPoses: playerCount })
+                : new MediaPipePoseProvider(options);
+        } else if (name === 'synthetic') {
+            inputProviders[key] = new SyntheticSkeletonProvider({ canvas: overlayCanvas, playerCount });
+        } else if (name === 'scripted') {
+            const script = playerCount > 1 ? createTwoPlayerJuggleScript() : createKneeJuggleScript();
+            inputProviders[key] = new ScriptedPoseProvider(script, { label: 'Scripted demo' });
+        } else {
+            throw new Error(`Unknown input source: ${name}`);
+        }
+    }
+    return inputProviders[key];
+}
+
+// Switch the game to a new pose source; the game loop starts once the first source is running
+async function usePoseProvider(provider) {
+    if (poseProvider === provider) return;
+    if (poseProvider) poseProvider.stop();
+    poseProvider = provider;
+    core.clearPoses();
+    overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+    if (!gameState.is(GAME_STATES.LOADING)) core.waitForPlayer(); // A new source starts a new run
+
+    await provider.start(onProviderResults);
+    if (gameState.is(GAME_STATES.LOADING)) core.waitForPlayer();
+    startGameLoop();
+}
+
+// Replays and finite scripts run on top of the chosen source and hand control back when done
+function useTemporaryProvider(provider) {
+    if (!providerBeforeReplay) providerBeforeReplay = poseProvider;
+    usePoseProvider(provider).catch(reportInputError);
+}
+
+function finishTemporaryProvider() {
+    loadingMessage.style.display = 'block';
+    loadingMessage.innerText = `${poseProvider.label} finished. Final score: ${touchScorer.touchCount}`;
+    setTimeout(() => { if (!providerBeforeReplay) loadingMessage.style.display = 'none'; }, 3000);
+    setPlayerMode(loadPlayerMode(), { persist: false }); // Also swaps the source to restore for the player count
+    const previous = providerBeforeReplay;
+    providerBeforeReplay = null;
+    if (physicsBeforeReplay) {
+        applyPhysicsSettings(physicsBeforeReplay, { persist: false });
+        physicsBeforeReplay = null;
+    }
+    if (filterSettingsBeforeReplay) {
+        Object.assign(core.poseFilter.settings, filterSettingsBeforeReplay);
+        filterSettingsBeforeReplay = null;
+    }
+    setBallType(ballType, { persist: false });
+    setBodyParts(bodyParts, { persist: false });
+    setControlScheme(controlScheme, { persist: false });
+    setDrill(drill, { persist: false });
+    core.touchMode = touchMode;
+    core.worldMapping = worldMapping;
+    if (previous) {
+        usePoseProvider(previous).catch(reportInputError);
+    } else {
+        poseProvider.stop();
+        poseProvider = null;
+        core.clearPoses();
+    }
+}
+
+function selectInputSource(name) {
+    providerBeforeReplay = null; // An explicit choice replaces any running replay
+    loadingMessage.style.display = 'block';
+    loadingMessage.style.color = '';
+    loadingMessage.innerText = name === 'webcam'
+        ? 'Initializing Mediapipe... (Allow Webcam Access)'
+        : `Input: ${getInputProvider(name).label}`;
+    usePoseProvider(getInputProvider(name)).then(() => {
+        if (name === 'webcam') loadingMessage.innerText = 'Webcam active! Get ready...';
+        // First webcam session with no saved profile: walk the player through calibration
+        if (name === 'webcam' && loadProfiles().length === 0 && !calibrationWizard) startCalibration('Player 1');
+        if (name === 'synthetic') loadingMessage.innerText = 'Drag knees/ankles, or Q/E knees, A/D feet, arrows to move, hold T to reset, H to pause';
+        setTimeout(() => { if (!providerBeforeReplay) loadingMessage.style.display = 'none'; }, name === 'synthetic' ? 8000 : 3000);
+    }).catch(reportInputError);
+}
+
+function reportInputError(error) {
+    console.error("Pose input error:", error);
+    loadingMessage.style.display = 'block';
+    loadingMessage.innerText = poseProvider instanceof MediaPipePoseProvider // Includes the multi-person webcam
+        ? 'Webcam error. Allow access & reload, or pick another input.'
+        : `Input error: ${error.message}`;
+    loadingMessage.style.color = 'red';
+}
+
+function onProviderResults(results) {
+    if (!(poseProvider instanceof ReplayPoseProvider)) poseRecorder.addFrame(results);
+    const now = performance.now();
+    if (lastPoseArrivalMs !== null) measuredPoseIntervalMs += (now - lastPoseArrivalMs - measuredPoseIntervalMs) * 0.1;
+    lastPoseArrivalMs = now;
+    core.addPoseResults(results); // Assigned to players at the start of the next step
+    poseOverlayStale = true;
+}
+
+// Clicking a foot in the breakdown marks it as the weak foot for weak-foot streaks
+limbBreakdownElement.addEventListener('click', (e) => {
+    const limb = e.target.dataset && e.target.dataset.limb;
+    if (limb !== LIMBS.LEFT_FOOT && limb !== LIMBS.RIGHT_FOOT) return;
+    touchScorer.weakFoot = limb;
+    localStorage.setItem(WEAK_FOOT_STORAGE_KEY, limb);
+    updateLimbBreakdown();
+});
+updateLimbBreakdown();
+
+// --- Player Mode Handling ---
+// Switching modes rebuilds the world with the right number of player colliders and balls.
+// Like the ball, replays and scripts use their own mode without saving it as the player's choice.
+function setPlayerMode(mode, { persist = true } = {}) {
+    if (persist) localStorage.setItem(PLAYER_MODE_STORAGE_KEY, mode);
+    if (mode === playerMode) return;
+    playerMode = mode;
+    playerModeSelect.value = mode;
+    drillSelect.disabled = mode !== PLAYER_MODES.SINGLE;
+    core.setPlayerMode(mode);
+    if (!core.isReady) return;
+    resetSimulation(Math.floor(Math.random() * 0xffffffff));
+    // The live source must see as many people as the mode has players
+    if (providerBeforeReplay) providerBeforeReplay = getInputProvider(inputSourceSelect.value);
+    else if (poseProvider) selectInputSource(inputSourceSelect.value);
+}
+
+playerModeSelect.value = playerMode;
+playerModeSelect.addEventListener('change', () => {
+    setPlayerMode(playerModeSelect.value);
+    playerModeSelect.blur();
+});
+
+// --- Control Scheme Handling ---
+// Like the ball, replays use the recorded scheme without saving it as the player's choice.
+// A change abandons the run in play, which was scored with the other scheme's limbs.
+function setControlScheme(scheme, { persist = true } = {}) {
+    if (persist) {
+        controlScheme = scheme;
+        saveControlScheme(scheme);
+    }
+    controlSchemeSelect.value = scheme;
+    if (scheme === core.controlScheme) return;
+    core.setControlScheme(scheme);
+    updateBodyPartControls();
+    updateLimbBreakdown();
+    if (core.isReady) resetSimulation(Math.floor(Math.random() * 0xffffffff));
+}
+
+controlSchemeSelect.replaceChildren(...Object.entries(CONTROL_SCHEME_DEFS).map(([id, { label }]) => new Option(label, id)));
+controlSchemeSelect.value = controlScheme;
+controlSchemeSelect.addEventListener('change', () => {
+    setControlScheme(controlSchemeSelect.value);
+    controlSchemeSelect.blur();
+});
+
+// --- Drill Handling ---
+// Replays use the recorded drill without saving it as the player's choice. A change abandons the
+// run in play and rebuilds the world with the drill's targets. Drills are single-player.
+function setDrill(id, { persist = true } = {}) {
+    if (persist) {
+        drill = id;
+        saveDrill(id);
+    }
+    drillSelect.value = id || '';
+    if (id === core.drill) return;
+    core.setDrill(id);
+    if (core.isReady) resetSimulation(Math.floor(Math.random() * 0xffffffff));
+}
+
+// Each drill is listed with the best stars earned in it
+function updateDrillOptions() {
+    const best = loadDrillBest();
+    drillSelect.replaceChildren(new Option('Free play', ''), ...Object.entries(DRILL_DEFS).map(([id, def]) => {
+        const option = new Option(best[id] ? `${def.label} ${starText(best[id].stars, def)}` : def.label, id);
+        option.title = def.description;
+        return option;
+    }));
+    drillSelect.value = core.drill || '';
+}
+
+const starText = (stars, def) => '★'.repeat(stars) + '☆'.repeat(maxDrillStars(def) - stars);
+
+updateDrillOptions();
+drillSelect.disabled = playerMode !== PLAYER_MODES.SINGLE;
+drillSelect.addEventListener('change', () => {
+    setDrill(drillSelect.value || null);
+    drillSelect.blur();
+});
+
+function setTouchMode(mode, { persist = true } = {}) {
+    if (persist) {
+        touchMode = mode;
+        localStorage.setItem(TOUCH_MODE_STORAGE_KEY, mode);
+    }
+    touchModeSelect.value = mode;
+    core.touchMode = mode;
+}
+
+touchModeSelect.value = touchMode;
+touchModeSelect.addEventListener('change', () => {
+    setTouchMode(touchModeSelect.value);
+    touchModeSelect.blur();
+});
+
+// --- Tracking Filter Handling ---
+function loadFilterSettings() {
+    try {
+        return { ...DEFAULT_FILTER_SETTINGS, ...JSON.parse(localStorage.getItem(FILTER_SETTINGS_STORAGE_KEY)) };
+    } catch (error) {
+        return { ...DEFAULT_FILTER_SETTINGS };
+    }
+}
+
+// Each control in the panel carries data-setting naming the filter setting it edits
+function initTrackingPanel() {
+    trackingPanel.querySelectorAll('[data-setting]').forEach(control => {
+        const key = control.dataset.setting;
+        const output = trackingPanel.querySelector(`output[for="${control.id}"]`);
+        control.value = core.poseFilter.settings[key];
+        if (output) output.value = control.value;
+        control.addEventListener('input', () => {
+            core.poseFilter.settings[key] = control.type === 'range' ? Number(control.value) : control.value;
+            if (output) output.value = control.value;
+            localStorage.setItem(FILTER_SETTINGS_STORAGE_KEY, JSON.stringify(core.poseFilter.settings));
+        });
+    });
+}
+
+function updateTrackingReadout() {
+    if (!trackingPanel.classList.contains('visible')) return;
+    const poseRate = measuredPoseIntervalMs > 0 ? 1000 / measuredPoseIntervalMs : 0;
+    trackingReadoutElement.innerText =
+        `Pose: ${poseRate.toFixed(0)} Hz · Mediapipe latency: ${core.measuredPoseLatencyMs.toFixed(0)} ms`;
+}
+
+// The settings panels all drop down in the same spot, so only one is open at a time
+function toggleHudPanel(panel) {
+    document.querySelectorAll('.hud-panel').forEach(other => {
+        if (other !== panel) other.classList.remove('visible');
+    });
+    panel.classList.toggle('visible');
+}
+
+trackingButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleHudPanel(trackingPanel);
+});
+
+initTrackingPanel();
+
+// --- Quality Handling ---
+// Auto mode follows the quality manager; otherwise the chosen tier stays put
+function currentQualityTier() {
+    return qualitySettings.mode === QUALITY_MODES.AUTO ? QUALITY_TIERS[qualityManager.tierIndex] : qualityTier(qualitySettings.mode);
+}
+
+function applyQualityTier(tier) {
+    if (tier === activeQualityTier) return;
+    activeQualityTier = tier;
+    renderer.setPixelRatio(tierPixelRatio(tier, window.devicePixelRatio));
+
+    // Materials compile differently with and without shadows
+    if (renderer.shadowMap.enabled !== tier.shadows) {
+        renderer.shadowMap.enabled = tier.shadows;
+        scene.traverse(object => { if (object.material) object.material.needsUpdate = true; });
+    }
+    directionalLight.castShadow = tier.shadows;
+    if (directionalLight.shadow.mapSize.x !== tier.shadowMapSize) {
+        directionalLight.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+        if (directionalLight.shadow.map) {
+            directionalLight.shadow.map.dispose();
+            directionalLight.shadow.map = null; // Recreated at the new size on the next render
+        }
+    }
+
+    if (detailGeometries.segments !== tier.segments) {
+        const geometries = createDetailGeometries(tier.segments);
+        const replacements = new Map(['ball', 'knee', 'head', 'thigh'].map(key => [detailGeometries[key], geometries[key]]));
+        scene.traverse(object => { if (object.isMesh && replacements.has(object.geometry)) object.geometry = replacements.get(object.geometry); });
+        replacements.forEach((_, old) => old.dispose());
+        detailGeometries = geometries;
+    }
+
+    Object.values(inputProviders).filter(isWebcamProvider).forEach(provider => {
+        provider.setModelComplexity(tier.poseModelComplexity).catch(error => console.error("Failed to switch pose model:", error));
+    });
+}
+
+function setQualitySettings(changes) {
+    qualitySettings = { ...qualitySettings, ...changes };
+    saveQualitySettings(qualitySettings);
+    qualityManager.targetFps = qualitySettings.targetFps;
+    qualityTargetSelect.disabled = qualitySettings.mode !== QUALITY_MODES.AUTO; // The target only steers auto mode
+    applyQualityTier(currentQualityTier());
+}
+
+// Frame and pose timings feed the manager, which moves a tier up or down when they call for it
+function updateQuality(frameStartMs, frameIntervalMs) {
+    if (qualitySettings.mode !== QUALITY_MODES.AUTO) return;
+    const nowMs = performance.now();
+    const tierIndex = qualityManager.update({
+        nowMs,
+        frameIntervalMs,
+        workMs: nowMs - frameStartMs,
+        poseLatencyMs: isWebcamProvider(poseProvider) ? core.measuredPoseLatencyMs : 0
+    });
+    if (tierIndex === null) return;
+    setQualitySettings({ autoTier: QUALITY_TIERS[tierIndex].id });
+}
+
+const POSE_MODEL_LABELS = ['lite', 'full', 'heavy'];
+
+function updateQualityReadout() {
+    if (!qualityPanel.classList.contains('visible')) return;
+    const tier = currentQualityTier();
+    const fps = measuredFrameIntervalMs > 0 ? 1000 / measuredFrameIntervalMs : 0;
+    qualityReadoutElement.innerText = `Now: ${tier.label}${qualitySettings.mode === QUALITY_MODES.AUTO ? ' (auto)' : ''} · `
+        + `${fps.toFixed(0)} fps · ${POSE_MODEL_LABELS[tier.poseModelComplexity]} pose model`;
+}
+
+qualitySelect.replaceChildren(new Option('Auto (adapts to this device)', QUALITY_MODES.AUTO),
+    ...QUALITY_TIERS.map(({ id, label }) => new Option(label, id)));
+qualitySelect.value = qualitySettings.mode;
+qualitySelect.addEventListener('change', () => {
+    qualityManager.restart(performance.now());
+    setQualitySettings({ mode: qualitySelect.value });
+    qualitySelect.blur();
+});
+
+qualityTargetSelect.replaceChildren(...TARGET_FRAME_RATES.map(fps => new Option(`${fps} fps`, fps)));
+qualityTargetSelect.value = qualitySettings.targetFps;
+qualityTargetSelect.disabled = qualitySettings.mode !== QUALITY_MODES.AUTO;
+qualityTargetSelect.addEventListener('change', () => {
+    qualityManager.restart(performance.now());
+    setQualitySettings({ targetFps: Number(qualityTargetSelect.value) });
+    qualityTargetSelect.blur();
+});
+
+qualityButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleHudPanel(qualityPanel);
+});
+
+// --- Camera & Diagnostics Handling ---
+const isWebcamProvider = (provider) => provider instanceof MediaPipePoseProvider; // Includes the multi-person webcam
+
+// Every webcam source takes the new camera; the one running reopens with it
+function setCamera(settings) {
+    cameraSettings = { ...cameraSettings, ...settings };
+    localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(cameraSettings));
+    Object.values(inputProviders).filter(isWebcamProvider).forEach(provider => {
+        provider.setCamera(cameraSettings).catch(reportInputError);
+    });
+}
+
+// Camera names only appear once access is granted, so the list is refreshed whenever the panel opens
+async function updateCameraOptions() {
+    const cameras = await listCameras().catch(() => []);
+    cameraSelect.replaceChildren(new Option('Default camera', ''), ...cameras.map(({ deviceId, label }) => new Option(label, deviceId)));
+    cameraSelect.value = cameras.some(({ deviceId }) => deviceId === cameraSettings.deviceId) ? cameraSettings.deviceId : '';
+}
+
+cameraButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleHudPanel(cameraPanel);
+    if (cameraPanel.classList.contains('visible')) updateCameraOptions();
+});
+
+cameraSelect.addEventListener('change', () => {
+    setCamera({ deviceId: cameraSelect.value || null });
+    cameraSelect.blur();
+});
+
+cameraResolutionSelect.replaceChildren(...Object.entries(CAMERA_RESOLUTIONS).map(([id, { label }]) => new Option(label, id)));
+cameraResolutionSelect.value = cameraSettings.resolution;
+cameraResolutionSelect.addEventListener('change', () => {
+    setCamera({ resolution: cameraResolutionSelect.value });
+    cameraResolutionSelect.blur();
+});
+
+if (navigator.mediaDevices) navigator.mediaDevices.addEventListener('devicechange', () => updateCameraOptions());
+
+diagnosticsToggle.checked = localStorage.getItem(DIAGNOSTICS_STORAGE_KEY) === 'on';
+diagnosticsHud.classList.toggle('visible', diagnosticsToggle.checked);
+diagnosticsToggle.addEventListener('change', () => {
+    localStorage.setItem(DIAGNOSTICS_STORAGE_KEY, diagnosticsToggle.checked ? 'on' : 'off');
+    diagnosticsHud.classList.toggle('visible', diagnosticsToggle.checked);
+});
+
+function measuredPoseFps(nowMs) {
+    if (lastPoseArrivalMs === null || nowMs - lastPoseArrivalMs > POSE_STALL_MS || measuredPoseIntervalMs <= 0) return 0;
+    return 1000 / measuredPoseIntervalMs;
+}
+
+// Setup advice matters before a run: while waiting, counting down or between runs, on a live source
+function shouldShowTrackingWarnings() {
+    return poseProvider !== null && !providerBeforeReplay && !calibrationWizard
+        && [GAME_STATES.WAITING_FOR_PLAYER, GAME_STATES.COUNTDOWN, GAME_STATES.RUN_OVER].some(state => gameState.is(state));
+}
+
+// One bar per player for each joint the game follows, colored by whether it counts as in frame
+function renderDiagnosticsHud({ players, joints, poseFps, brightness }) {
+    const camera = isWebcamProvider(poseProvider) ? poseProvider.cameraInfo : null;
+    const renderFps = measuredFrameIntervalMs > 0 ? 1000 / measuredFrameIntervalMs : 0;
+    diagnosticsRatesElement.innerText = [
+        `Pose ${poseFps.toFixed(0)} fps · Render ${renderFps.toFixed(0)} fps · Latency ${core.measuredPoseLatencyMs.toFixed(0)} ms`,
+        camera ? `${camera.label} · ${camera.width}×${camera.height}` : (poseProvider ? poseProvider.label : 'No input'),
+        brightness !== null ? `Brightness ${Math.round(brightness * 100)}%` : null,
+        activeQualityTier ? `Quality ${activeQualityTier.label}${qualitySettings.mode === QUALITY_MODES.AUTO ? ' (auto)' : ''}` : null
+    ].filter(Boolean).join('\n');
+    diagnosticsJointsElement.replaceChildren(...joints.map(({ index, label }) => {
+        const row = document.createElement('div');
+        row.className = 'joint-row';
+        const name = document.createElement('span');
+        name.innerText = label;
+        row.append(name, ...players.map(player => {
+            const landmark = player.pose && player.pose.landmarks[index];
+            const visibility = landmark ? landmark.visibility || 0 : 0;
+            const bar = document.createElement('div');
+            bar.className = 'visibility-bar';
+            bar.title = `P${player.index + 1}: ${Math.round(visibility * 100)}%`;
+            const fill = document.createElement('div');
+            fill.className = visibilityLevel(visibility);
+            fill.style.width = `${visibility * 100}%`;
+            bar.append(fill);
+            return bar;
+        }));
+        return row;
+    }));
+}
+
+function updateDiagnostics() {
+    const nowMs = performance.now();
+    if (nowMs - lastDiagnosticsUpdateMs < DIAGNOSTICS_UPDATE_MS) return;
+    lastDiagnosticsUpdateMs = nowMs;
+    const showHud = diagnosticsHud.classList.contains('visible');
+    const showWarnings = shouldShowTrackingWarnings();
+    if (!showWarnings) {
+        trackingAdvisor.reset();
+        trackingWarningsElement.replaceChildren();
+    }
+    if (!showHud && !showWarnings) return;
+
+    const webcam = isWebcamProvider(poseProvider);
+    const poseFps = measuredPoseFps(nowMs);
+    const brightness = webcam ? measureBrightness(videoElement) : null;
+    const players = core.players.slice(0, playerCountForMode(playerMode));
+    const joints = trackedJoints([...core.enabledLimbs], CONTROL_SCHEME_DEFS[core.controlScheme].inFrameLandmarks);
+    if (showHud) renderDiagnosticsHud({ players, joints, poseFps, brightness });
+    if (!showWarnings) return;
+
+    const warnings = trackingAdvisor.update({
+        poses: players.map(player => player.pose && player.pose.landmarks),
+        neededLandmarks: joints.map(({ index }) => index),
+        brightness,
+        poseFps: webcam ? poseFps : null
+    }, nowMs);
+    trackingWarningsElement.replaceChildren(...warnings.slice(0, MAX_SHOWN_WARNINGS).map(({ message }) => {
+        const item = document.createElement('li');
+        item.innerText = `⚠ ${message}`;
+        return item;
+    }));
+}
+
+// --- Physics Settings Handling ---
+// The core applies new settings to the running world in place, so a run in play carries on
+function applyPhysicsSettings(settings, { persist = true } = {}) {
+    physicsSettings = normalizePhysicsSettings(settings);
+    if (persist) savePhysicsSettings(physicsSettings);
+    core.applyPhysicsSettings(physicsSettings);
+    updateBallAppearance();
+    updatePhysicsPanel();
+}
+
+// Swap the ball for another type; replays use the recorded ball without making it the player's choice
+function setBallType(type, { persist = true } = {}) {
+    if (persist) {
+        ballType = type;
+        saveBallType(type);
+    }
+    core.setBallType(type);
+    ballTypeSelect.value = type;
+    updateBallAppearance();
+}
+
+// Like the ball, replays use the recorded body parts without saving them as the player's choice
+function setBodyParts(parts, { persist = true } = {}) {
+    if (persist) {
+        bodyParts = normalizeBodyParts(parts);
+        localStorage.setItem(BODY_PARTS_STORAGE_KEY, JSON.stringify(bodyParts));
+    }
+    core.setBodyParts(parts);
+    updateBodyPartControls();
+    updateLimbBreakdown();
+}
+
+// Seated play always uses the hands, so the choice is locked until standing play is picked again
+function updateBodyPartControls() {
+    const isFixed = CONTROL_SCHEME_DEFS[core.controlScheme].bodyParts !== null;
+    bodyPartPresetSelect.value = matchingBodyPartPreset(core.bodyParts) || '';
+    bodyPartPresetSelect.disabled = isFixed;
+    bodyPartTogglesContainer.querySelectorAll('[data-body-part]').forEach(checkbox => {
+        checkbox.checked = core.bodyParts.includes(checkbox.dataset.bodyPart);
+        checkbox.disabled = isFixed;
+    });
+    bodyPartTogglesContainer.title = isFixed ? 'Seated play uses your hands' : '';
+}
+
+// One slider per setting, built from PHYSICS_SETTING_DEFS
+function initPhysicsPanel() {
+    ballTypeSelect.replaceChildren(...Object.entries(BALL_TYPE_DEFS).map(([id, { label }]) => new Option(label, id)));
+    ballTypeSelect.value = ballType;
+    ballTypeSelect.addEventListener('change', () => setBallType(ballTypeSelect.value));
+
+    bodyPartPresetSelect.replaceChildren(
+        ...Object.entries(BODY_PART_PRESETS).map(([id, { label }]) => new Option(label, id)),
+        new Option('Custom', '', false, false)
+    );
+    bodyPartPresetSelect.lastElementChild.disabled = true;
+    bodyPartPresetSelect.addEventListener('change', () => setBodyParts(BODY_PART_PRESETS[bodyPartPresetSelect.value].parts));
+    bodyPartTogglesContainer.replaceChildren(...SELECTABLE_BODY_PARTS.map(id => {
+        const { label, points } = BODY_PART_DEFS[id];
+        const row = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.bodyPart = id;
+        checkbox.addEventListener('change', () => {
+            const parts = checkbox.checked ? [...core.bodyParts, id] : core.bodyParts.filter(part => part !== id);
+            if (parts.length === 0) { // At least one part has to count
+                checkbox.checked = true;
+                return;
+            }
+            setBodyParts(parts);
+        });
+        row.append(checkbox, ` ${label} (${points} pt${points === 1 ? '' : 's'})`);
+        return row;
+    }));
+    updateBodyPartControls();
+
+    physicsDifficultySelect.replaceChildren(
+        ...Object.keys(DIFFICULTY_PRESETS).map(id => new Option(DIFFICULTY_LABELS[id], id)),
+        new Option('Custom', '', false, false)
+    );
+    physicsDifficultySelect.lastElementChild.disabled = true;
+    physicsDifficultySelect.addEventListener('change', () => {
+        applyPhysicsSettings(DIFFICULTY_PRESETS[physicsDifficultySelect.value]);
+    });
+
+    physicsSettingsContainer.replaceChildren(...PHYSICS_SETTING_DEFS.map(({ key, label, min, max, step }) => {
+        const row = document.createElement('label');
+        const output = document.createElement('output');
+        const slider = document.createElement('input');
+        Object.assign(slider, { type: 'range', min, max, step });
+        slider.dataset.physicsSetting = key;
+        slider.addEventListener('input', () => applyPhysicsSettings({ ...physicsSettings, [key]: Number(slider.value) }));
+        row.append(`${label} `, output, slider);
+        return row;
+    }));
+
+    physicsShareButton.addEventListener('click', async () => {
+        const url = physicsSettingsToUrl(physicsSettings, window.location.href);
+        try {
+            await navigator.clipboard.writeText(url);
+            physicsShareStatus.innerText = 'Link copied';
+        } catch (error) {
+            physicsShareStatus.innerText = url; // No clipboard access: show it to copy by hand
+        }
+    });
+    physicsSaveButton.addEventListener('click', () => downloadPhysicsSettings(physicsSettings));
+    physicsLoadButton.addEventListener('click', () => physicsFileInput.click());
+    physicsFileInput.addEventListener('change', async () => {
+        const file = physicsFileInput.files[0];
+        physicsFileInput.value = ''; // Allow loading the same file again
+        if (!file) return;
+        try {
+            applyPhysicsSettings(parsePhysicsSettings(await file.text()));
+            physicsShareStatus.innerText = `Loaded ${file.name}`;
+        } catch (error) {
+            console.error("Failed to load physics settings:", error);
+            physicsShareStatus.innerText = `Error: ${error.message}`;
+        }
+    });
+    updatePhysicsPanel();
+}
+
+function updatePhysicsPanel() {
+    physicsDifficultySelect.value = matchingDifficulty(physicsSettings) || '';
+    physicsSettingsContainer.querySelectorAll('[data-physics-setting]').forEach(slider => {
+        const value = physicsSettings[slider.dataset.physicsSetting];
+        slider.value = value;
+        slider.previousElementSibling.value = value;
+    });
+}
+
+physicsButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleHudPanel(physicsPanel);
+});
+
+initPhysicsPanel();
+
+// --- Sound Handling ---
+const sounds = new SoundEngine();
+const TOUCH_SOUND_FULL_SPEED = 10; // m/s change in ball velocity that plays a touch at full strength
+
+// Each body part has its own touch sound; thighs share the knee's padded thump
+const TOUCH_SOUNDS = {
+    [BODY_PARTS.FEET]: SOUNDS.FOOT_TOUCH,
+    [BODY_PARTS.KNEES]: SOUNDS.KNEE_TOUCH,
+    [BODY_PARTS.THIGHS]: SOUNDS.KNEE_TOUCH,
+    [BODY_PARTS.CHEST]: SOUNDS.CHEST_TOUCH,
+    [BODY_PARTS.HEAD]: SOUNDS.HEAD_TOUCH,
+    [BODY_PARTS.HANDS]: SOUNDS.HAND_TOUCH
+};
+
+function updateSoundControls() {
+    soundMutedCheckbox.checked = sounds.settings.muted;
+    soundVolumeSlider.value = sounds.settings.volume;
+    soundPanel.querySelector('output[for="sound-volume"]').value = `${Math.round(sounds.settings.volume * 100)}%`;
+    soundButton.innerText = sounds.settings.muted || sounds.settings.volume === 0 ? '🔇' : '🔊';
+}
+
+// Browsers only start audio from a user gesture; any click or key press will do
+['pointerdown', 'keydown'].forEach(type => window.addEventListener(type, () => sounds.unlock()));
+
+soundButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleHudPanel(soundPanel);
+});
+
+soundMutedCheckbox.addEventListener('change', () => {
+    sounds.setMuted(soundMutedCheckbox.checked);
+    updateSoundControls();
+});
+
+soundVolumeSlider.addEventListener('input', () => {
+    sounds.setVolume(Number(soundVolumeSlider.value));
+    if (sounds.settings.muted && sounds.settings.volume > 0) sounds.setMuted(false); // Turning it up unmutes
+    updateSoundControls();
+});
+
+updateSoundControls();
+
+// --- Instant Replay Handling ---
+// Every run is recorded as it is drawn; when it ends it can be rewatched in the scene
+// with an orbiting camera while the game waits.
+const GAME_CAMERA_POSITION = new THREE.Vector3(0, 2, 5);
+const GAME_CAMERA_TARGET = new THREE.Vector3(0, 0.8, 0);
+const REPLAY_ORBIT_SPEED = 0.35;        // rad/s while auto-orbiting
+const REPLAY_DRAG_SENSITIVITY = 0.008;  // rad per dragged pixel
+const REPLAY_MIN_ELEVATION = 0.05, REPLAY_MAX_ELEVATION = 1.2; // rad above the pitch
+
+const runRecorder = new RunRecorder();
+let lastRunReplay = null;
+let instantReplay = null; // { playback, azimuth, elevation, dragging } while a replay is on screen
+
+function startRunRecording(nowMs) {
+    runRecorder.start({
+        playerMode,
+        ballType: core.ballType,
+        ballRadius: core.ballProperties.radius,
+        ballCount: core.balls.length,
+        playerCount: playerCountForMode(playerMode),
+        limbs: Object.values(LIMBS)
+    }, nowMs);
+}
+
+// Record the scene as it was just drawn: interpolated ball transforms and visible limb markers
+function recordRunFrame(nowMs) {
+    if (!runRecorder.isRecording) return;
+    const playerCount = playerCountForMode(playerMode);
+    runRecorder.addFrame(
+        nowMs,
+        core.balls.map(ball => ballMeshes[ball.index]),
+        playerMarkers.slice(0, playerCount).map(marker => Object.values(LIMBS).map(limb => {
+            const mesh = marker.meshes[limb];
+            if (!mesh.visible) return null;
+            return mesh.userData.shaped ? mesh : { position: mesh.position }; // Shaped markers keep their turn and size
+        }))
+    );
+}
+
+function openInstantReplay(replay) {
+    if (!scene || calibrationWizard) return;
+    if (gameState.is(GAME_STATES.PLAYING, GAME_STATES.COUNTDOWN)) core.pause();
+    const offset = new THREE.Vector3().subVectors(GAME_CAMERA_POSITION, GAME_CAMERA_TARGET);
+    instantReplay = {
+        playback: new RunPlayback(replay),
+        azimuth: 0,
+        elevation: Math.asin(offset.y / offset.length()),
+        radius: offset.length(),
+        dragging: null
+    };
+    ballMeshes.forEach((mesh, i) => {
+        mesh.visible = i < replay.ballCount;
+        mesh.material.color.set(0xffffff);
+    });
+    if (replay.ballType) showBallAppearance(replay.ballType, replay.ballRadius); // The ball the run was played with
+    playerMarkers.forEach((marker, i) => {
+        // Hide markers the replay has nothing for: players it didn't have, and limbs older replays didn't record
+        Object.entries(marker.meshes).forEach(([limb, mesh]) => {
+            if (i >= replay.playerCount || !replay.limbs.includes(limb)) mesh.visible = false;
+        });
+        if (i < replay.playerCount) return;
+        [marker.leftLegLine, marker.rightLegLine].forEach(obj => { obj.visible = false; });
+    });
+    const touches = replay.summary ? ` · ${replay.summary.touches} keep-up${replay.summary.touches === 1 ? '' : 's'}` : '';
+    instantReplayTitle.innerText = `Instant replay${touches}`;
+    instantReplayScrub.max = replay.durationMs;
+    instantReplayPlayback(() => {});
+    gameContainer.classList.add('instant-replay');
+    instantReplayPanel.classList.add('visible');
+}
+
+// Back to the live game: the camera returns and the next frame redraws the real balls and markers
+function closeInstantReplay() {
+    if (!instantReplay) return;
+    instantReplay = null;
+    camera.position.copy(GAME_CAMERA_POSITION);
+    camera.lookAt(GAME_CAMERA_TARGET);
+    ballMeshes.forEach((mesh, i) => { mesh.visible = i < core.balls.length; });
+    updateBallAppearance();
+    gameContainer.classList.remove('instant-replay');
+    instantReplayPanel.classList.remove('visible');
+}
+
+// Apply a change to the playback and refresh the controls
+function instantReplayPlayback(change) {
+    if (!instantReplay) return;
+    const { playback } = instantReplay;
+    change(playback);
+    instantReplayPlayButton.innerText = playback.playing ? '⏸' : '▶';
+    instantReplayScrub.value = playback.timeMs;
+    instantReplayTime.value = `${(playback.timeMs / 1000).toFixed(1)} / ${(playback.durationMs / 1000).toFixed(1)} s`;
+}
+
+// Called every frame instead of the game while a replay is open; realDtMs is wall-clock time
+function updateInstantReplay(realDtMs) {
+    instantReplayPlayback(playback => playback.advance(realDtMs));
+    const { from, to, alpha } = instantReplay.playback.sample();
+    const nextPosition = new THREE.Vector3();
+    const nextQuaternion = new THREE.Quaternion();
+    from.b.forEach((transform, i) => {
+        const mesh = ballMeshes[i];
+        const next = to.b[i];
+        mesh.position.set(transform[0], transform[1], transform[2]);
+        mesh.position.lerp(nextPosition.set(next[0], next[1], next[2]), alpha);
+        mesh.quaternion.set(transform[3], transform[4], transform[5], transform[6]);
+        mesh.quaternion.slerp(nextQuaternion.set(next[3], next[4], next[5], next[6]), alpha);
+    });
+    const limbs = instantReplay.playback.replay.limbs;
+    from.p.forEach((limbPositions, playerIndex) => {
+        const marker = playerMarkers[playerIndex];
+        limbPositions.forEach((position, limbIndex) => {
+            const mesh = marker.meshes[limbs[limbIndex]];
+            const next = to.p[playerIndex][limbIndex];
+            mesh.visible = position !== null;
+            if (!position) return;
+            mesh.position.set(position[0], position[1], position[2]);
+            if (next) mesh.position.lerp(nextPosition.set(next[0], next[1], next[2]), alpha);
+            if (position.length > 3) { // Shaped marker: rotation and scale as well
+                mesh.quaternion.set(position[3], position[4], position[5], position[6]);
+                mesh.scale.set(position[7], position[8], position[9]);
+            }
+        });
+        updateLegLine(marker.leftLegLine, marker.meshes[LIMBS.LEFT_KNEE], marker.meshes[LIMBS.LEFT_FOOT]);
+        updateLegLine(marker.rightLegLine, marker.meshes[LIMBS.RIGHT_KNEE], marker.meshes[LIMBS.RIGHT_FOOT]);
+    });
+
+    // Orbit the pitch center, unless the viewer is dragging the view around
+    if (instantReplayOrbitCheckbox.checked && !instantReplay.dragging) {
+        instantReplay.azimuth += REPLAY_ORBIT_SPEED * realDtMs / 1000;
+    }
+    const { azimuth, elevation, radius } = instantReplay;
+    camera.position.set(
+        GAME_CAMERA_TARGET.x + radius * Math.cos(elevation) * Math.sin(azimuth),
+        GAME_CAMERA_TARGET.y + radius * Math.sin(elevation),
+        GAME_CAMERA_TARGET.z + radius * Math.cos(elevation) * Math.cos(azimuth)
+    );
+    camera.lookAt(GAME_CAMERA_TARGET);
+    updateDepthCues();
+}
+
+function keepRunReplay(replay) {
+    if (!replay) return;
+    lastRunReplay = replay;
+    instantReplayButton.disabled = false;
+}
+
+instantReplayButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (instantReplay) closeInstantReplay();
+    else if (lastRunReplay) openInstantReplay(lastRunReplay);
+    instantReplayButton.blur();
+});
+
+instantReplayPlayButton.addEventListener('click', () => instantReplayPlayback(playback => playback.togglePlaying()));
+instantReplayScrub.addEventListener('input', () => instantReplayPlayback(playback => {
+    playback.playing = false;
+    playback.seek(Number(instantReplayScrub.value));
+}));
+instantReplaySpeedSelect.addEventListener('change', () => instantReplayPlayback(playback => {
+    playback.speed = Number(instantReplaySpeedSelect.value);
+}));
+instantReplaySaveButton.addEventListener('click', () => {
+    if (instantReplay) downloadRunReplay(instantReplay.playback.replay);
+});
+instantReplayLoadButton.addEventListener('click', () => instantReplayFileInput.click());
+instantReplayCloseButton.addEventListener('click', closeInstantReplay);
+
+instantReplayFileInput.addEventListener('change', async () => {
+    const file = instantReplayFileInput.files[0];
+    instantReplayFileInput.value = ''; // Allow loading the same file again
+    if (!file) return;
+    try {
+        openInstantReplay(parseRunReplay(await file.text()));
+    } catch (error) {
+        console.error("Failed to load instant replay:", error);
+        instantReplayTitle.innerText = `Replay error: ${error.message}`;
+    }
+});
+
+// Drag on the 3D view to look around the replay
+gameContainer.addEventListener('pointerdown', (e) => {
+    if (!instantReplay || instantReplayPanel.contains(e.target)) return;
+    instantReplay.dragging = { x: e.clientX, y: e.clientY };
+});
+window.addEventListener('pointermove', (e) => {
+    if (!instantReplay || !instantReplay.dragging) return;
+    instantReplay.azimuth -= (e.clientX - instantReplay.dragging.x) * REPLAY_DRAG_SENSITIVITY;
+    instantReplay.elevation = Math.min(REPLAY_MAX_ELEVATION, Math.max(REPLAY_MIN_ELEVATION,
+        instantReplay.elevation + (e.clientY - instantReplay.dragging.y) * REPLAY_DRAG_SENSITIVITY));
+    instantReplay.dragging = { x: e.clientX, y: e.clientY };
+});
+window.addEventListener('pointerup', () => {
+    if (instantReplay) instantReplay.dragging = null;
+});
+
+// --- Calibration Handling ---
+function populateCalibrationSelect() {
+    const activeName = worldMapping.name || DEFAULT_PROFILE_NAME;
+    const options = [DEFAULT_PROFILE_NAME, ...loadProfiles().map(profile => profile.name)].map(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.innerText = `Profile: ${name}`;
+        return option;
+    });
+    const newOption = document.createElement('option');
+    newOption.value = NEW_CALIBRATION_OPTION;
+    newOption.innerText = 'Calibrate…';
+    calibrationSelect.replaceChildren(...options, newOption);
+    calibrationSelect.value = activeName;
+}
+
+function activateProfile(name) {
+    worldMapping = loadProfiles().find(profile => profile.name === name) || DEFAULT_MAPPING;
+    core.worldMapping = worldMapping;
+    setActiveProfileName(worldMapping.name || DEFAULT_PROFILE_NAME);
+}
+
+function startCalibration(profileName) {
+    if (!gameState.is(GAME_STATES.LOADING)) core.waitForPlayer(); // Abandon any run in progress
+    calibrationWizard = new CalibrationWizard(profileName);
+    core.suspended = true; // Hold the ball so knee raises and side steps don't count as play
+    calibrationPanel.classList.add('visible');
+    hideInstructions();
+    updateCalibrationPanel();
+}
+
+function stopCalibration() {
+    calibrationWizard = null;
+    core.suspended = false;
+    calibrationPanel.classList.remove('visible');
+    populateCalibrationSelect();
+}
+
+function updateCalibration(stepMs) {
+    const { pose } = core.players[0];
+    calibrationWizard.update(pose && pose.landmarks, stepMs); // Player 1 calibrates for everyone
+    if (calibrationWizard.isComplete) {
+        const profile = calibrationWizard.createProfile();
+        saveProfile(profile);
+        worldMapping = profile;
+        core.worldMapping = profile;
+        setActiveProfileName(profile.name);
+        stopCalibration();
+        return;
+    }
+    updateCalibrationPanel();
+}
+
+function updateCalibrationPanel() {
+    const step = calibrationWizard.currentStep;
+    calibrationInstructionElement.innerText = step.instruction;
+    calibrationProgressBar.style.width = `${Math.round(calibrationWizard.stepProgress * 100)}%`;
+    calibrationHintElement.innerText = calibrationWizard.waitingForLandmarks ? step.hint : '';
+}
+
+calibrationSelect.addEventListener('change', () => {
+    if (calibrationSelect.value === NEW_CALIBRATION_OPTION) {
+        const suggestedName = worldMapping.name || `Player ${loadProfiles().length + 1}`;
+        const name = window.prompt('Name this calibration profile (an existing name is recalibrated):', suggestedName);
+        if (name && name.trim() && name.trim() !== DEFAULT_PROFILE_NAME) {
+            startCalibration(name.trim());
+        }
+        populateCalibrationSelect();
+    } else {
+        activateProfile(calibrationSelect.value);
+    }
+    calibrationSelect.blur();
+});
+
+calibrationCancelButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    stopCalibration();
+});
+
+populateCalibrationSelect();
+
+inputSourceSelect.addEventListener('change', () => {
+    selectInputSource(inputSourceSelect.value);
+    inputSourceSelect.blur(); // Keep keyboard controls from changing the selection
+});
+
+// Let scripts and automated tests drive the game with their own landmark sequences
+window.keepUpsInput = {
+    useScriptedPoses(script, options) {
+        if (options?.playerMode) setPlayerMode(options.playerMode, { persist: false });
+        resetSimulation(options?.seed ?? 1);
+        useTemporaryProvider(new ScriptedPoseProvider(script, options));
+    },
+    getScore: () => touchScorer.touchCount,
+    getScores: () => core.balls.map(ball => ball.scorer.touchCount), // One per ball in versus play
+    getState: () => gameState.state,
+    getTouchBreakdown: () => ({ ...touchScorer.limbCounts, points: touchScorer.points })
+};
+
+// --- Game API ---
+// Host pages follow the game through window.keepUps events, or postMessage when embedding it in
+// an iframe, and drive it with commands (see gameApi.js). Messages to and from a parent frame need
+// ?embedOrigin=, the portal's origin.
+function requireReady() {
+    if (!core.isReady) throw new Error('Game is still loading');
+}
+
+// A host's settings last for this session, like a replay's: the player's saved choices are untouched
+function applyApiSettings(settings) {
+    const next = normalizeApiSettings(settings);
+    if (next.difficulty || next.physics) {
+        applyPhysicsSettings({ ...(next.difficulty ? DIFFICULTY_PRESETS[next.difficulty] : physicsSettings), ...next.physics }, { persist: false });
+    }
+    if (next.ballType) setBallType(next.ballType, { persist: false });
+    if (next.bodyParts) setBodyParts(next.bodyParts, { persist: false });
+    if (next.touchMode) setTouchMode(next.touchMode, { persist: false });
+    if (next.controlScheme) setControlScheme(next.controlScheme, { persist: false });
+    if (next.drill !== undefined) setDrill(next.drill, { persist: false });
+    if (next.playerMode) setPlayerMode(next.playerMode, { persist: false });
+    return currentApiSettings();
+}
+
+// The settings in play, which may be a host's rather than the player's
+function currentApiSettings() {
+    return {
+        playerMode: core.playerMode, touchMode: core.touchMode, ballType: core.ballType, bodyParts: [...core.bodyParts],
+        controlScheme: core.controlScheme, drill: core.drill,
+        difficulty: matchingDifficulty(physicsSettings) || 'custom', physics: { ...physicsSettings }
+    };
+}
+
+const embedOrigin = new URLSearchParams(window.location.search).get('embedOrigin');
+const gameApi = new GameApi({
+    [API_COMMANDS.START]: () => {
+        requireReady();
+        if (gameState.is(GAME_STATES.PAUSED)) core.resume();
+        else if (gameState.is(GAME_STATES.WAITING_FOR_PLAYER, GAME_STATES.RUN_OVER)) core.startCountdown();
+    },
+    [API_COMMANDS.PAUSE]: () => {
+        requireReady();
+        core.pause();
+    },
+    [API_COMMANDS.RESET]: () => {
+        requireReady();
+        core.restart(RUN_END_REASONS.HOST_RESET);
+    },
+    [API_COMMANDS.APPLY_SETTINGS]: ({ settings }) => applyApiSettings(settings),
+    [API_COMMANDS.GET_STATE]: () => ({ ...core.getState(), settings: currentApiSettings() })
+}, { host: window.parent !== window ? window.parent : null, hostOrigin: embedOrigin });
+gameApi.listen(window);
+window.keepUps = gameApi;
+
+// --- Initialization Functions (initThree, createBallTexture, init) ---
 // (These functions remain largely the same as before)
 function initThree() {
     scene = new THREE.Scene();
     const aspect = gameContainer.offsetWidth / gameContainer.offsetHeight;
     camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 100);
-    camera.position.set(0, 2, 5);
-    camera.lookAt(0, 0.8, 0);
+    camera.position.copy(GAME_CAMERA_POSITION);
+    camera.lookAt(GAME_CAMERA_TARGET);
 
     renderer = new THREE.WebGLRenderer({ alpha: true, antialias: false });
     renderer.setSize(gameContainer.offsetWidth, gameContainer.offsetHeight);
-    renderer.shadowMap.enabled = true;
     renderer.domElement.id = 'gameCanvas';
     renderer.setClearColor(0x000000, 0.0);
     gameContainer.appendChild(renderer.domElement);
@@ -108,80 +1424,123 @@ function initThree() {
     // Lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 3.5);
     scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 3.5);
+    directionalLight = new THREE.DirectionalLight(0xffffff, 3.5); // Shadows are set by the quality tier
     directionalLight.position.set(1, 3, -5);
-    directionalLight.castShadow = true;
-    directionalLight.shadow.mapSize.width = 1024;
-    directionalLight.shadow.mapSize.height = 1024;
     scene.add(directionalLight);
+    detailGeometries = createDetailGeometries(currentQualityTier().segments);
 
     // Ground
     const groundGeometry = new THREE.BoxGeometry(5.5, 0.2, 5.5);
     const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x228b22 }); // Forest green
     groundMesh = new THREE.Mesh(groundGeometry, groundMaterial);
     groundMesh.receiveShadow = true;
-    groundMesh.position.y = -0.5;
+    groundMesh.position.y = GROUND_Y;
     scene.add(groundMesh);
 
-    // Ball
-    const ballGeometry = new THREE.SphereGeometry(ballRadius, 32, 32);
-    const ballMaterial = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        map: createSoccerTexture(),
-        roughness: 0.4,
-        metalness: 0.1
-        });
-    ballMesh = new THREE.Mesh(ballGeometry, ballMaterial);
-    ballMesh.castShadow = true;
-    ballMesh.position.y = 4.0;
-    scene.add(ballMesh);
+    // Balls (a second one for versus play)
+    const ballGeometry = detailGeometries.ball;
+    Object.entries(BALL_TYPE_DEFS).forEach(([id, def]) => { ballTextures[id] = createBallTexture(def.paintTexture); });
+    for (let i = 0; i < MAX_PLAYERS; i++) {
+        const ballMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            map: ballTextures[core.ballType],
+            roughness: 0.4,
+            metalness: 0.1
+            });
+        const ballMesh = new THREE.Mesh(ballGeometry, ballMaterial);
+        ballMesh.castShadow = true;
+        ballMesh.position.y = 4.0;
+        ballMesh.visible = false;
+        scene.add(ballMesh);
+        ballMeshes.push(ballMesh);
+    }
 
     // --- Player Marker Visuals ---
-    const kneeMaterial = new THREE.MeshStandardMaterial({ color: 0x0077ff });
-    const kneeGeometry = new THREE.SphereGeometry(kneeMarkerRadius, 16, 16);
-    leftKneeMesh = new THREE.Mesh(kneeGeometry, kneeMaterial);
-    rightKneeMesh = new THREE.Mesh(kneeGeometry, kneeMaterial);
-
-    const footMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
+    const kneeGeometry = detailGeometries.knee;
     const footGeometry = new THREE.BoxGeometry(footMarkerSize.w, footMarkerSize.h, footMarkerSize.d);
-    leftFootMesh = new THREE.Mesh(footGeometry, footMaterial);
-    rightFootMesh = new THREE.Mesh(footGeometry, footMaterial);
+    // Head, thigh and chest markers are unit shapes scaled to their collider every frame
+    const headGeometry = detailGeometries.head;
+    const thighGeometry = detailGeometries.thigh;
+    const chestGeometry = new THREE.BoxGeometry(1, 1, 1);
+    const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 3 });
+    for (let i = 0; i < MAX_PLAYERS; i++) {
+        const kneeMaterial = new THREE.MeshStandardMaterial({ color: PLAYER_COLORS[i].knee });
+        const footMaterial = new THREE.MeshStandardMaterial({ color: PLAYER_COLORS[i].foot });
+        const handMaterial = new THREE.MeshStandardMaterial({ color: PLAYER_COLORS[i].hand });
+        // See-through, so the ball stays visible in front of and behind the body
+        const bodyMaterial = new THREE.MeshStandardMaterial({ color: PLAYER_COLORS[i].body, transparent: true, opacity: 0.45 });
+        const meshes = {
+            [LIMBS.LEFT_KNEE]: new THREE.Mesh(kneeGeometry, kneeMaterial),
+            [LIMBS.RIGHT_KNEE]: new THREE.Mesh(kneeGeometry, kneeMaterial),
+            [LIMBS.LEFT_FOOT]: new THREE.Mesh(footGeometry, footMaterial),
+            [LIMBS.RIGHT_FOOT]: new THREE.Mesh(footGeometry, footMaterial),
+            [LIMBS.LEFT_THIGH]: new THREE.Mesh(thighGeometry, bodyMaterial),
+            [LIMBS.RIGHT_THIGH]: new THREE.Mesh(thighGeometry, bodyMaterial),
+            [LIMBS.CHEST]: new THREE.Mesh(chestGeometry, bodyMaterial),
+            [LIMBS.HEAD]: new THREE.Mesh(headGeometry, bodyMaterial),
+            [LIMBS.LEFT_HAND]: new THREE.Mesh(kneeGeometry, handMaterial),
+            [LIMBS.RIGHT_HAND]: new THREE.Mesh(kneeGeometry, handMaterial)
+        };
+        meshes[LIMBS.LEFT_FOOT].userData.isFoot = true;
+        meshes[LIMBS.RIGHT_FOOT].userData.isFoot = true;
+        [LIMBS.LEFT_THIGH, LIMBS.RIGHT_THIGH, LIMBS.CHEST, LIMBS.HEAD].forEach(limb => { meshes[limb].userData.shaped = true; });
+        Object.values(meshes).forEach(mesh => {
+            mesh.position.set(-10, -10, -10);
+            mesh.visible = false;
+            scene.add(mesh);
+        });
 
-    leftKneeMesh.position.set(-10, -10, -10);
-    rightKneeMesh.position.set(-10, -10, -10);
-    leftFootMesh.position.set(-10, -10, -10);
-    rightFootMesh.position.set(-10, -10, -10);
-    scene.add(leftKneeMesh, rightKneeMesh, leftFootMesh, rightFootMesh);
+        const createLegLine = () => {
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([ new THREE.Vector3(), new THREE.Vector3() ]), lineMaterial);
+            line.visible = false;
+            scene.add(line);
+            return line;
+        };
+        playerMarkers.push({ index: i, meshes, leftLegLine: createLegLine(), rightLegLine: createLegLine() });
+    }
 
-    const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 3 });
-    const leftLineGeometry = new THREE.BufferGeometry().setFromPoints([ new THREE.Vector3(), new THREE.Vector3() ]);
-    const rightLineGeometry = new THREE.BufferGeometry().setFromPoints([ new THREE.Vector3(), new THREE.Vector3() ]);
-    leftLegLine = new THREE.Line(leftLineGeometry, lineMaterial);
-    rightLegLine = new THREE.Line(rightLineGeometry, lineMaterial);
-    leftLegLine.visible = false;
-    rightLegLine.visible = false;
-    scene.add(leftLegLine, rightLegLine);
+    // Depth cues: soft shadows on the pitch directly below the ball and each marker
+    const groundTopY = groundMesh.position.y + 0.1 + 0.005; // Just above the ground box to avoid z-fighting
+    const createShadow = (radius) => {
+        const shadow = new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 24),
+            new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.45, depthWrite: false })
+        );
+        shadow.rotation.x = -Math.PI / 2;
+        shadow.position.y = groundTopY;
+        shadow.visible = false;
+        scene.add(shadow);
+        return shadow;
+    };
+    ballMeshes.forEach(() => ballShadowMeshes.push(createShadow(BALL_MODEL_RADIUS)));
+    playerMarkers.forEach(marker => Object.values(marker.meshes).forEach(mesh => {
+        // Shaped markers' shadows scale with them from a unit size
+        const shadowRadius = mesh.userData.shaped ? 0.6 : (mesh.userData.isFoot ? footMarkerSize.w / 2 : kneeMarkerRadius * 0.7);
+        markerShadowMeshes.set(mesh, createShadow(shadowRadius));
+    }));
 
     window.addEventListener('resize', onWindowResize, false);
     onWindowResize();
+    applyQualityTier(currentQualityTier());
+}
+
+// Spheres and cylinders with detail to match a quality tier; at 32 segments they're the original meshes
+function createDetailGeometries(segments) {
+    const markerSegments = Math.max(8, Math.round(segments / 2));
+    return {
+        segments,
+        ball: new THREE.SphereGeometry(BALL_MODEL_RADIUS, segments, segments),
+        knee: new THREE.SphereGeometry(kneeMarkerRadius, markerSegments, markerSegments),
+        head: new THREE.SphereGeometry(1, markerSegments, markerSegments),
+        thigh: new THREE.CylinderGeometry(1, 1, 1, Math.max(8, Math.round(segments * 3 / 8)))
+    };
 }
 
-function createSoccerTexture() {
+// Paint a ball type's texture on a canvas the sphere wraps around
+function createBallTexture(paintTexture) {
     const canvas = document.createElement('canvas');
     canvas.width = 128; canvas.height = 128;
-    const context = canvas.getContext('2d');
-    context.fillStyle = '#FFFFFF';
-    context.fillRect(0, 0, 128, 128);
-    context.fillStyle = '#000000';
-    const drawPentagon = (x, y, size) => {
-        context.beginPath();
-        for (let i = 0; i < 5; i++) {
-            context.lineTo(x + size * Math.cos(i * 2 * Math.PI / 5 - Math.PI / 2),
-                            y + size * Math.sin(i * 2 * Math.PI / 5 - Math.PI / 2));
-        }
-        context.closePath(); context.fill();
-    };
-    drawPentagon(64, 32, 20); drawPentagon(32, 80, 18); drawPentagon(96, 80, 18);
+    paintTexture(canvas.getContext('2d'), 128);
     const texture = new THREE.CanvasTexture(canvas);
     texture.wrapS = THREE.RepeatWrapping; texture.wrapT = THREE.RepeatWrapping;
     return texture;
@@ -196,10 +1555,14 @@ async function init() {
         initThree();
 
         loadingMessage.innerText = 'Initializing Physics World...';
-        initRapier();
-
-        loadingMessage.innerText = 'Initializing Mediapipe... (Allow Webcam Access)';
-        initMediapipe();
+        core.createWorld();
+        syncBallMeshes();
+        syncDrillTargets();
+
+        const requestedInput = new URLSearchParams(window.location.search).get('input') || 'webcam';
+        inputSourceSelect.value = requestedInput;
+        selectInputSource(requestedInput);
+        gameApi.publish(API_EVENTS.READY, { timeMs: core.simTimeMs });
         
         // Show instructions on game start
         showInstructions();
@@ -210,359 +1573,397 @@ async function init() {
     }
 }
 
-function initRapier() {
-    const gravity = { x: 0.0, y: GRAVITY_Y, z: 0.0 }; // Use constant
-    physicsWorld = new RAPIER.World(gravity);
-    eventQueue = new RAPIER.EventQueue(true);
-
-    // Ground Body
-    const groundColliderDesc = RAPIER.ColliderDesc.cuboid(4.0, 0.1, 4.0)
-        .setTranslation(groundMesh.position.x, groundMesh.position.y, groundMesh.position.z);
-    groundBody = physicsWorld.createRigidBody(RAPIER.RigidBodyDesc.fixed());
-    physicsWorld.createCollider(groundColliderDesc, groundBody);
-
-    // Ball Body
-    const ballRigidBodyDesc = RAPIER.RigidBodyDesc.dynamic()
-        .setTranslation(ballMesh.position.x, ballMesh.position.y, ballMesh.position.z)
-        .setLinearDamping(0.1)
-        .setAngularDamping(0.3)
-        .setCanSleep(false);
-    ballBody = physicsWorld.createRigidBody(ballRigidBodyDesc);
-    physicsWorld.createCollider(
-            RAPIER.ColliderDesc.ball(ballRadius)
-            .setRestitution(0.6)
-            .setDensity(1.1)
-            .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS),
-            ballBody
-    );
+// Show a mesh for each ball in play
+function syncBallMeshes() {
+    ballMeshes.forEach((mesh, i) => {
+        mesh.visible = i < core.balls.length;
+        mesh.material.color.set(0xffffff);
+    });
+    updateBallAppearance();
+}
 
-    // Player Kinematic Colliders
-    const createKinematicDesc = () => RAPIER.RigidBodyDesc.kinematicPositionBased().setTranslation(-10, -10, -10);
-    const createPlayerCollider = (bodyDesc) => {
-        const body = physicsWorld.createRigidBody(bodyDesc);
-        return physicsWorld.createCollider(
-            RAPIER.ColliderDesc.ball(playerColliderRadius)
-                .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
-                .setSensor(false),
-            body
-        );
-    };
-    leftKneeCollider = createPlayerCollider(createKinematicDesc());
-    rightKneeCollider = createPlayerCollider(createKinematicDesc());
-    leftFootCollider = createPlayerCollider(createKinematicDesc());
-    rightFootCollider = createPlayerCollider(createKinematicDesc());
+// Size and paint the ball meshes as the ball in play
+function updateBallAppearance() {
+    showBallAppearance(core.ballType, core.ballProperties.radius);
+}
+
+function showBallAppearance(type, radius) {
+    ballMeshes.forEach(mesh => {
+        mesh.scale.setScalar(radius / BALL_MODEL_RADIUS);
+        if (mesh.material.map !== ballTextures[type]) {
+            mesh.material.map = ballTextures[type];
+            mesh.material.needsUpdate = true;
+        }
+    });
+}
+
+// Rebuild the game from scratch, so a recording and its replays start identically
+function resetSimulation(seed) {
+    core.reset(seed);
+    touchLog.discardRun();
+    syncBallMeshes();
+    syncDrillTargets();
+    updateGestureIndicator(null);
 }
 
-function initMediapipe() {
-    // Ensure Mediapipe scripts are loaded (basic check)
-    if (typeof Pose === 'undefined' || typeof Camera === 'undefined' || typeof drawConnectors === 'undefined') {
-            loadingMessage.innerText = 'Error: Mediapipe libraries not loaded.'; loadingMessage.style.color = 'red'; return;
+// --- Drill Targets ---
+// Each target is drawn from its drill data by style, so a new drill needs no drawing code
+const DRILL_TARGET_COLORS = { active: 0xffc400, idle: 0x8a8a8a, hit: 0x00ff66 };
+const DRILL_TARGET_HIT_FLASH_MS = 400;
+
+function createDrillTargetMesh(target) {
+    const material = new THREE.MeshBasicMaterial({ color: DRILL_TARGET_COLORS.active, transparent: true, depthWrite: false });
+    let mesh;
+    if (target.style === TARGET_STYLES.HOOP) {
+        mesh = new THREE.Mesh(new THREE.TorusGeometry(target.ringRadius, 0.05, 12, 48), material);
+        mesh.rotation.x = Math.PI / 2; // Lying flat, so the ball goes up through it
+    } else {
+        const { x, y, z } = target.halfExtents;
+        mesh = new THREE.Mesh(new THREE.BoxGeometry(x * 2, y * 2, z * 2), material);
+        mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry), new THREE.LineBasicMaterial({ color: 0xffffff })));
     }
+    mesh.position.set(target.position.x, target.position.y, target.position.z);
+    mesh.userData.style = target.style;
+    mesh.userData.hitUntilMs = 0;
+    return mesh;
+}
 
-    const pose = new Pose({ locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}` });
-    pose.setOptions({
-        modelComplexity: 1,
-        smoothLandmarks: true,
-        minDetectionConfidence: 0.5,
-        minTrackingConfidence: 0.5
+// Show the targets of the drill the core was built with
+function syncDrillTargets() {
+    drillTargetMeshes.forEach(mesh => {
+        scene.remove(mesh);
+        mesh.traverse(child => { child.geometry.dispose(); child.material.dispose(); });
     });
-    pose.onResults(onPoseResults); // Use our handler
-
-    const cameraHelper = new Camera(videoElement, {
-        onFrame: async () => {
-            if (overlayCanvas.width !== videoElement.videoWidth || overlayCanvas.height !== videoElement.videoHeight) {
-                    overlayCanvas.width = videoElement.videoWidth;
-                    overlayCanvas.height = videoElement.videoHeight;
-                    onWindowResize(); // Adjust Three.js aspect ratio too
-            }
-            try {
-                await pose.send({ image: videoElement });
-            } catch (error) {
-                console.error("Mediapipe pose.send error:", error);
-            }
-        },
-        width: 640, // Request specific dimensions if needed
-        height: 480
+    drillTargetMeshes.clear();
+    (core.drillDef ? core.drillDef.targets : []).forEach(target => {
+        const mesh = createDrillTargetMesh(target);
+        scene.add(mesh);
+        drillTargetMeshes.set(target.id, mesh);
     });
-    cameraHelper.start().then(() => {
-        loadingMessage.innerText = 'Webcam active! Get ready...';
-        setTimeout(() => loadingMessage.style.display = 'none', 3000);
-        animate(); // Start the main game loop only after camera starts
-    }).catch(err => {
-        console.error("Webcam access denied or error:", err);
-        loadingMessage.innerText = 'Webcam error. Allow access & reload.';
-        loadingMessage.style.color = 'red';
+}
+
+// Light the targets that count next, flash any just hit, and show the drill's progress and time left
+function updateDrill(nowMs = performance.now()) {
+    const { drillRun } = core;
+    const activeTargets = drillRun && !drillRun.result ? drillRun.activeTargets : [];
+    drillTargetMeshes.forEach((mesh, id) => {
+        const isHit = nowMs < mesh.userData.hitUntilMs;
+        const isActive = activeTargets.includes(id);
+        mesh.material.color.set(isHit ? DRILL_TARGET_COLORS.hit : isActive ? DRILL_TARGET_COLORS.active : DRILL_TARGET_COLORS.idle);
+        // Hoops are solid rings; zones and bands stay see-through so the ball shows inside them
+        const opacity = mesh.userData.style === TARGET_STYLES.HOOP ? 0.9 : mesh.userData.style === TARGET_STYLES.BAND ? 0.12 : 0.25;
+        mesh.material.opacity = isHit || isActive ? opacity : opacity * 0.4;
     });
+
+    let status = '';
+    if (drillRun && gameState.is(GAME_STATES.COUNTDOWN, GAME_STATES.PLAYING, GAME_STATES.PAUSED)) {
+        const parts = [drillRun.def.label, `${drillRun.progress}/${drillRun.def.goal.count}`];
+        if (drillRun.remainingMs !== null) parts.push(`⏱ ${Math.ceil(drillRun.remainingMs / 1000)}s`);
+        status = parts.join(' · ');
+    }
+    if (drillStatusElement.textContent !== status) drillStatusElement.textContent = status;
 }
 
-// --- Mediapipe Processing & Coordinate Mapping ---
-function onPoseResults(results) { // Webcam overlay drawing
-    lastPoseResults = results; // Store results for game loop
+function flashDrillTarget(id) {
+    const mesh = drillTargetMeshes.get(id);
+    if (mesh) mesh.userData.hitUntilMs = performance.now() + DRILL_TARGET_HIT_FLASH_MS;
+}
+
+// --- Webcam Overlay ---
+// Draws each player's tracked skeleton over the webcam in their color
+function drawPoseOverlay() {
     overlayCtx.save();
     overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
     
-    if (results.poseLandmarks && typeof drawConnectors !== 'undefined' && typeof POSE_CONNECTIONS !== 'undefined' && typeof drawLandmarks !== 'undefined') {
-        // Filter out face landmarks (0-10) before drawing
-        const bodyLandmarks = results.poseLandmarks.map((landmark, index) => {
-            // Keep only body landmarks (11 and above)
-            if (index >= 11) {
-                return landmark;
-            } else {
-                // For face landmarks (0-10), return a landmark with zero visibility
-                return {
-                    x: landmark.x,
-                    y: landmark.y,
-                    z: landmark.z,
-                    visibility: 0
-                };
-            }
+    if (typeof drawConnectors !== 'undefined' && typeof POSE_CONNECTIONS !== 'undefined' && typeof drawLandmarks !== 'undefined') {
+        core.players.forEach(player => {
+            if (!player.pose) return;
+            const landmarks = player.pose.landmarks;
+            // Filter out face landmarks (0-10) before drawing, except those the head collider follows when headers count
+            const isShown = (index) => index >= 11 || (core.enabledLimbs.has(LIMBS.HEAD) && LIMB_SHAPES[LIMBS.HEAD].landmarks.includes(index));
+            const bodyLandmarks = landmarks.map((landmark, index) => {
+                // Keep only body landmarks (11 and above)
+                if (isShown(index)) {
+                    return landmark;
+                } else {
+                    // For face landmarks (0-10), return a landmark with zero visibility
+                    return {
+                        x: landmark.x,
+                        y: landmark.y,
+                        z: landmark.z,
+                        visibility: 0
+                    };
+                }
+            });
+
+            // Draw connections with filtered landmarks, in the player's color
+            drawConnectors(overlayCtx, bodyLandmarks, POSE_CONNECTIONS, { color: PLAYER_COLORS[player.index].skeleton, lineWidth: 3 });
+
+            // Draw only body landmarks (filter out 0-10 indices)
+            const filteredLandmarks = landmarks.filter((_, index) => isShown(index));
+            drawLandmarks(overlayCtx, filteredLandmarks, { color: '#FF0000', lineWidth: 2, radius: 4 });
         });
-        
-        // Draw connections with filtered landmarks
-        drawConnectors(overlayCtx, bodyLandmarks, POSE_CONNECTIONS, { color: '#00FF00', lineWidth: 3 });
-        
-        // Draw only body landmarks (filter out 0-10 indices)
-        const filteredLandmarks = results.poseLandmarks.filter((_, index) => index >= 11);
-        drawLandmarks(overlayCtx, filteredLandmarks, { color: '#FF0000', lineWidth: 2, radius: 4 });
     }
     
     overlayCtx.restore();
 }
 
-function mapLandmarkToWorld(landmark) { // Coordinate mapping
-    if (!landmark || landmark.visibility < 0.3) return null; // Stricter initial check maybe needed for T-pose
-
-    const worldWidth = 3.5; // Match this to your game space width
-    const worldHeight = 3.5;// Match this to how high you want tracking to reach
-    const yOffset = 0.1; // Adjust based on ground level
-    const xOffset = 0;   // Center horizontally
-
-    // Mapping: Mediapipe X (0 left -> 1 right) to World X (-width/2 -> +width/2)
-    // Mapping: Mediapipe Y (0 top -> 1 bottom) to World Y (height -> 0)
-    // Apply X mirror correction due to webcam transform: (1.0 - landmark.x)
-    const gameX = (1.0 - landmark.x - 0.5) * worldWidth + xOffset;
-    const gameY = (1.0 - landmark.y) * worldHeight + yOffset;
-    const gameZ = 0.0; // Keep player colliders near Z=0 initially
-
-    return { x: gameX, y: Math.max(0, gameY), z: gameZ }; // Ensure Y is not below ground
+// Markers follow the limb positions the core filtered for this step
+function updatePlayerMarkers(marker, player) {
+    const { meshes } = marker;
+    Object.values(LIMBS).forEach(limb => {
+        if (meshes[limb].userData.shaped) updateShapedMarkerMesh(meshes[limb], player.limbPoses[limb]);
+        else updateMarkerMesh(meshes[limb], player.limbPositions[limb]);
+    });
+    updateLegLine(marker.leftLegLine, meshes[LIMBS.LEFT_KNEE], meshes[LIMBS.LEFT_FOOT]);
+    updateLegLine(marker.rightLegLine, meshes[LIMBS.RIGHT_KNEE], meshes[LIMBS.RIGHT_FOOT]);
 }
 
-
-// --- T-Pose Detection Logic ---
-function checkTPose(landmarks) {
-    if (!landmarks) return false;
-
-    const lShoulder = landmarks[L_SHOULDER];
-    const rShoulder = landmarks[R_SHOULDER];
-    const lElbow = landmarks[L_ELBOW];
-    const rElbow = landmarks[R_ELBOW];
-    const lWrist = landmarks[L_WRIST];
-    const rWrist = landmarks[R_WRIST];
-
-    // Check visibility of all required landmarks
-    if (![lShoulder, rShoulder, lElbow, rElbow, lWrist, rWrist].every(lm => lm && lm.visibility > LANDMARK_VISIBILITY_THRESHOLD)) {
-        return false;
-    }
-
-    // --- Simple T-Pose Check (adjust tolerances as needed) ---
-    // Y-Tolerance: How much vertical deviation is allowed (smaller Y means higher up)
-    const yTolerance = 0.3; // Allow some droop (in normalized coordinates)
-    // X-Tolerance: Ensure arms are extended outwards
-    const xToleranceShoulder = 0.1; // Elbow must be horizontally further than shoulder
-    const xToleranceElbow = 0.1; // Wrist must be horizontally further than elbow
-
-    // Left Arm Check
-    const leftArmHorizontal = lElbow.y < lShoulder.y + yTolerance && lWrist.y < lElbow.y + yTolerance;
-    const leftArmExtended = Math.abs(lElbow.x - lShoulder.x) > xToleranceShoulder && Math.abs(lWrist.x - lElbow.x) > xToleranceElbow;
-    // Ensure elbow/wrist are *outside* the shoulder (handle mirroring - x=0 is right edge, x=1 is left edge in raw data)
-    const leftArmOutward = lElbow.x > lShoulder.x && lWrist.x > lElbow.x; // Using > because X is mirrored
-
-    // Right Arm Check
-    const rightArmHorizontal = rElbow.y < rShoulder.y + yTolerance && rWrist.y < rElbow.y + yTolerance;
-    const rightArmExtended = Math.abs(rElbow.x - rShoulder.x) > xToleranceShoulder && Math.abs(rWrist.x - rElbow.x) > xToleranceElbow;
-    // Ensure elbow/wrist are *outside* the shoulder
-    const rightArmOutward = rElbow.x < rShoulder.x && rWrist.x < rElbow.x; // Using < because X is mirrored
-
-    return leftArmHorizontal && leftArmExtended && leftArmOutward &&
-            rightArmHorizontal && rightArmExtended && rightArmOutward;
+// --- Game Loop (animate) ---
+function startGameLoop() {
+    if (gameLoopStarted) return;
+    gameLoopStarted = true;
+    clock.getDelta(); // Discard time spent loading
+    animate();
 }
 
-// --- Game Loop (animate) ---
+// Each frame is timed for the quality manager, so the frame's work lives in runFrame
 function animate() {
     requestAnimationFrame(animate);
+    const frameStartMs = performance.now();
     const deltaTime = clock.getDelta();
-    const elapsedTimeMs = clock.getElapsedTime() * 1000; // Get time in milliseconds
-
-    // 0. Check for T-Pose Reset
-    if (lastPoseResults && lastPoseResults.poseLandmarks && !tPoseResetCooldownActive) {
-            const currentPoseIsT = checkTPose(lastPoseResults.poseLandmarks);
-
-            if (currentPoseIsT) {
-                if (!isTPosing) {
-                    // Just started T-posing
-                    isTPosing = true;
-                    tPoseStartTime = elapsedTimeMs;
-                    tposeIndicatorElement.style.display = 'block'; // Show indicator
-                } else {
-                    // Already T-posing, check duration
-                    const duration = elapsedTimeMs - tPoseStartTime;
-                    if (duration >= T_POSE_DURATION_THRESHOLD_MS) {
-                        // --- Trigger Reset ---
-                        console.log("T-Pose Detected for 1 second! Resetting.");
-                        // Try to spawn above player's shoulders
-                        const lShoulderPos = mapLandmarkToWorld(lastPoseResults.poseLandmarks[L_SHOULDER]);
-                        const rShoulderPos = mapLandmarkToWorld(lastPoseResults.poseLandmarks[R_SHOULDER]);
-                        let spawnX = undefined;
-                        let spawnZ = undefined; // Keep Z near center unless needed otherwise
-                        if(lShoulderPos && rShoulderPos) {
-                            spawnX = (lShoulderPos.x + rShoulderPos.x) / 2;
-                            // Optional: spawn slightly in front based on shoulder Z (if calculated)
-                            // spawnZ = (lShoulderPos.z + rShoulderPos.z) / 2 + 0.1;
-                        }
-                        resetBall(spawnX, spawnZ); // Pass potential spawn coords
-                        score = 0;
-                        updateScore();
-                        isTPosing = false; // Reset T-pose state
-                        tposeIndicatorElement.style.display = 'none'; // Hide indicator
-                        tPoseResetCooldownActive = true; // Activate cooldown
-                        flashBallColor(0x00ffff, 300); // Cyan flash for T-pose reset
-
-                        // Set timeout to deactivate cooldown
-                        setTimeout(() => {
-                        tPoseResetCooldownActive = false;
-                        console.log("T-Pose reset cooldown finished.");
-                        }, T_POSE_RESET_COOLDOWN_MS);
-                    }
-                }
-            } else {
-                // Not T-posing or pose broke
-                if (isTPosing) {
-                    isTPosing = false;
-                    tposeIndicatorElement.style.display = 'none'; // Hide indicator
-                }
-            }
-    } else if (isTPosing) {
-        // Lost pose tracking while T-posing, reset state
-        isTPosing = false;
-        tposeIndicatorElement.style.display = 'none';
-    }
+    measuredFrameIntervalMs += (deltaTime * 1000 - measuredFrameIntervalMs) * 0.1;
+    runFrame(deltaTime);
+    updateQuality(frameStartMs, deltaTime * 1000);
+}
 
+function runFrame(deltaTime) {
+    // The game holds still while an instant replay is on screen
+    if (instantReplay) {
+        updateInstantReplay(deltaTime * 1000);
+        renderer.render(scene, camera);
+        return;
+    }
 
-    // 1. Update Kinematic Colliders AND Visual Meshes from Mediapipe
-    if (lastPoseResults && lastPoseResults.poseLandmarks) {
-        const landmarks = lastPoseResults.poseLandmarks;
-        // Knees and Ankles (as feet)
-        const L_KNEE = 25, R_KNEE = 26, L_ANKLE = 27, R_ANKLE = 28;
+    // Replays and scripts advance by a fixed step per frame so the same input always yields the same game
+    const stepMs = poseProvider && poseProvider.fixedStepMs ? poseProvider.fixedStepMs : deltaTime * 1000;
+    if (poseProvider) poseProvider.update(stepMs);
+
+    // 1. Let the core run the game: poses, game flow, gestures and fixed-step physics
+    const { events } = core.step(stepMs);
+    events.forEach(handleCoreEvent);
+    if (events.length > 0) updateScore();
+    if (calibrationWizard) updateCalibration(stepMs);
+    updateGestureIndicator(core.activeGesture);
+    updateDiagnostics();
+    updateDrill();
+
+    // 2. Draw the players: webcam skeletons when new poses arrived, limb markers every frame
+    if (poseOverlayStale) {
+        poseOverlayStale = false;
+        drawPoseOverlay();
+    }
+    core.players.forEach((player, i) => updatePlayerMarkers(playerMarkers[i], player));
 
-        const leftKneePos = mapLandmarkToWorld(landmarks[L_KNEE]);
-        const rightKneePos = mapLandmarkToWorld(landmarks[R_KNEE]);
-        const leftFootPos = mapLandmarkToWorld(landmarks[L_ANKLE]);
-        const rightFootPos = mapLandmarkToWorld(landmarks[R_ANKLE]);
+    // The ball is held while calibrating
+    if (calibrationWizard) {
+        renderer.render(scene, camera);
+        return;
+    }
 
-        updateKinematicCollider(leftKneeCollider, leftKneePos);
-        updateKinematicCollider(rightKneeCollider, rightKneePos);
-        updateKinematicCollider(leftFootCollider, leftFootPos);
-        updateKinematicCollider(rightFootCollider, rightFootPos);
+    // 3. Update Three.js Ball Meshes, interpolated between the last two physics states
+    const { renderAlpha } = core;
+    core.balls.forEach(ball => {
+        const mesh = ballMeshes[ball.index];
+        const ballPosition = ball.body.translation();
+        const ballRotation = ball.body.rotation();
+        mesh.position.set(ballPosition.x, ballPosition.y, ballPosition.z);
+        mesh.position.lerpVectors(ball.previousPosition, mesh.position, renderAlpha);
+        mesh.quaternion.set(ballRotation.x, ballRotation.y, ballRotation.z, ballRotation.w);
+        mesh.quaternion.slerpQuaternions(ball.previousQuaternion, mesh.quaternion.clone(), renderAlpha);
+    });
 
-        updateMarkerMesh(leftKneeMesh, leftKneePos);
-        updateMarkerMesh(rightKneeMesh, rightKneePos);
-        updateMarkerMesh(leftFootMesh, leftFootPos);
-        updateMarkerMesh(rightFootMesh, rightFootPos);
+    if (gameState.is(GAME_STATES.PLAYING)) recordRunFrame(core.simTimeMs);
 
-        updateLegLine(leftLegLine, leftKneeMesh, leftFootMesh);
-        updateLegLine(rightLegLine, rightKneeMesh, rightFootMesh);
+    // 4. Render Scene
+    if (gameState.is(GAME_STATES.COUNTDOWN)) renderStateBanner();
+    updateDepthCues();
+    updateTrackingReadout();
+    updateQualityReadout();
+    renderer.render(scene, camera);
 
-    } else {
-            // Hide all markers and lines if no pose detected
-            [leftKneeMesh, rightKneeMesh, leftFootMesh, rightFootMesh, leftLegLine, rightLegLine].forEach(obj => {
-                if (obj) obj.visible = false;
-            });
+    if (poseProvider && poseProvider.isFinished) {
+        finishTemporaryProvider();
     }
+}
 
-    // 2. Step Physics World & Handle Collisions
-    physicsWorld.step(eventQueue);
-    eventQueue.drainCollisionEvents((handle1, handle2, started) => {
-        const ballColliderHandle = ballBody.collider(0).handle;
-        const playerHandles = [leftKneeCollider.handle, rightKneeCollider.handle, leftFootCollider.handle, rightFootCollider.handle];
-
-        let collidedWithPlayer = false;
-        let playerColliderHandle = null;
 
-        if (handle1 === ballColliderHandle && playerHandles.includes(handle2)) {
-            collidedWithPlayer = true;
-            playerColliderHandle = handle2;
-        } else if (handle2 === ballColliderHandle && playerHandles.includes(handle1)) {
-            collidedWithPlayer = true;
-            playerColliderHandle = handle1;
+// --- Core Events ---
+// Flash and sound for each way a ball can be lost
+const BALL_LOST_FEEDBACK = {
+    [RUN_END_REASONS.GROUND_DROP]: { color: 0xff0000, sound: SOUNDS.GROUND_DROP },  // Red
+    [RUN_END_REASONS.OUT_OF_BOUNDS]: { color: 0xffff00, sound: SOUNDS.OUT_OF_BOUNDS }, // Yellow
+    [RUN_END_REASONS.MISSED_PASS]: { color: 0xff00ff, sound: SOUNDS.OUT_OF_BOUNDS }  // Magenta
+};
+
+function handleCoreEvent(event) {
+    switch (event.type) {
+        case CORE_EVENTS.TOUCH:
+            if (event.combos.length > 0) showCombos(event.combos);
+            flashBallColor(event.ball, 0x00ff00, 150); // Green flash
+            playTouchSound(event);
+            touchLog.add(event);
+            break;
+        case CORE_EVENTS.BALL_LOST: {
+            const { color, sound } = BALL_LOST_FEEDBACK[event.reason];
+            flashBallColor(event.ball, color, 250);
+            sounds.play(sound);
+            break;
         }
+        case CORE_EVENTS.RESTART:
+            core.balls.forEach(ball => flashBallColor(ball.index, 0x00ffff, 300)); // Cyan flash for a restart
+            sounds.play(SOUNDS.RESET);
+            break;
+        case CORE_EVENTS.GESTURE:
+            if (event.action === GESTURE_ACTIONS.TOGGLE_MENU) toggleStats(core.controlScheme);
+            break;
+        case CORE_EVENTS.DRILL_PROGRESS:
+            if (event.target) flashDrillTarget(event.target);
+            sounds.play(SOUNDS.MILESTONE, { count: 1 });
+            break;
+        case CORE_EVENTS.RUN_END:
+            if (event.summary.drill) saveDrillBest(event.summary);
+            else saveRunToHistory(event.summary);
+            touchLog.endRun(event.summary);
+            analyticsButton.disabled = !touchLog.lastRun;
+            break;
+    }
+    gameApi.publishCoreEvent(event, core); // After saving, so a run summary says whether it was a best
+}
 
-        if (started && collidedWithPlayer && !ballJustHitPlayer) {
-            score++;
-            updateScore();
-            ballJustHitPlayer = true;
-            const impulse = { x: 0, y: COLLISION_BASE_IMPULSE_Y, z: 0 };
-            ballBody.applyImpulse(impulse, true);
-            flashBallColor(0x00ff00, 150); // Green flash
-        }
-    });
-
-    // 3. Update Three.js Ball Mesh from Physics
-    const ballPosition = ballBody.translation();
-    const ballRotation = ballBody.rotation();
-    ballMesh.position.set(ballPosition.x, ballPosition.y, ballPosition.z);
-    ballMesh.quaternion.set(ballRotation.x, ballRotation.y, ballRotation.z, ballRotation.w);
+// Only webcam play counts toward history: replays and scripts re-run recorded input, and the
+// synthetic skeleton is driven by mouse and keyboard. History is personal, so two-player runs aren't
+// saved. Flags the run when it beat the saved personal best for its control scheme: seated and
+// standing scores are kept apart.
+function saveRunToHistory(summary) {
+    const isLivePlay = isWebcamProvider(poseProvider);
+    summary.isPersonalBest = false;
+    if (!isLivePlay || summary.playerMode !== PLAYER_MODES.SINGLE || summary.touches === 0) return;
+    const previousBest = summarizeRuns(loadRunHistory().filter(run => controlSchemeOfRun(run) === summary.controlScheme)).best;
+    saveRun({ ...summary });
+    summary.isPersonalBest = !previousBest || summary.touches > previousBest.touches;
+    if (gameState.is(GAME_STATES.RUN_OVER)) renderStateBanner(); // The banner was drawn before the run was saved
+}
 
+// Drill attempts are kept apart from keep-up history: only each drill's best is saved, from webcam play
+function saveDrillBest(summary) {
+    summary.drill.isBest = isWebcamProvider(poseProvider) && saveDrillResult(summary.drill);
+    if (!summary.drill.isBest) return;
+    updateDrillOptions();
+    if (gameState.is(GAME_STATES.RUN_OVER)) renderStateBanner(); // The banner was drawn before the result was saved
+}
 
-    // --- Post-Physics Adjustments ---
-    let currentLinvel = ballBody.linvel();
+// Louder, higher touches for harder hits: strength is how much the touch changed the ball's velocity
+function playTouchSound({ bodyPart, impactSpeed, touchCount }) {
+    const strength = Math.min(1, impactSpeed / TOUCH_SOUND_FULL_SPEED);
+    sounds.play(TOUCH_SOUNDS[bodyPart], { strength });
+    if (isMilestone(touchCount)) sounds.play(SOUNDS.MILESTONE, { count: touchCount });
+}
 
-    // 4. Clamp Maximum Upward Velocity
-    if (currentLinvel.y > MAX_UPWARD_VELOCITY) {
-        ballBody.setLinvel({ x: currentLinvel.x, y: MAX_UPWARD_VELOCITY, z: currentLinvel.z }, true);
-            currentLinvel = ballBody.linvel(); // Update local variable
+// Shows the gesture being held with its progress
+function updateGestureIndicator(active) {
+    if (active) {
+        tposeIndicatorElement.innerHTML = '';
+        const label = document.createElement('span');
+        label.innerText = active.gesture.label;
+        const progress = document.createElement('div');
+        progress.className = 'gesture-progress';
+        const bar = document.createElement('div');
+        bar.style.width = `${Math.round(active.progress * 100)}%`;
+        progress.appendChild(bar);
+        tposeIndicatorElement.append(label, progress);
+        tposeIndicatorElement.style.display = 'block';
+    } else {
+        tposeIndicatorElement.style.display = 'none';
     }
-
-    // 5. Reset hit flag based on ball state
-        if (currentLinvel.y < -0.1 || ballPosition.y < 0.5) {
-            ballJustHitPlayer = false;
-        }
-
-    // 6. Constrain Z-Axis Movement
-    let newZVel = currentLinvel.z * Z_DAMPING - ballPosition.z * Z_CORRECTION_FACTOR;
-    ballBody.setLinvel({ x: currentLinvel.x, y: currentLinvel.y, z: newZVel }, true);
+}
 
 
-    // 7. Game Logic (Reset ball on ground hit / out of bounds)
-    const groundLevel = groundMesh.position.y + ballRadius;
-    if (ballPosition.y < groundLevel && !tPoseResetCooldownActive) { // Avoid ground reset right after T-pose
-        resetBall();
-        score = 0;
-        updateScore();
-        ballJustHitPlayer = false;
-        flashBallColor(0xff0000, 250); // Red flash
-    } else if (ballPosition.y > 8 || Math.abs(ballPosition.x) > 5 || Math.abs(ballPosition.z) > 2) {
-            resetBall();
-            ballJustHitPlayer = false;
-            flashBallColor(0xffff00, 250); // Yellow flash
+function renderStateBanner(nowMs = core.simTimeMs) {
+    const lines = [];
+    switch (gameState.state) {
+        case GAME_STATES.WAITING_FOR_PLAYER: {
+            const { inFrameParts } = CONTROL_SCHEME_DEFS[core.controlScheme];
+            lines.push(['Step into frame', 'banner-title'], [playerMode === PLAYER_MODES.SINGLE
+                ? `Both ${inFrameParts} need to be visible`
+                : `Both players, side by side, with ${inFrameParts} visible`, 'banner-detail']);
+            break;
+        }
+        case GAME_STATES.COUNTDOWN:
+            lines.push([`${Math.max(1, Math.ceil((COUNTDOWN_MS - gameState.timeInStateMs(nowMs)) / 1000))}`, 'banner-countdown']);
+            break;
+        case GAME_STATES.PAUSED:
+            lines.push(['⏸ Paused', 'banner-title'], ['Raise both hands or press P to resume', 'banner-detail']);
+            break;
+        case GAME_STATES.RUN_OVER: {
+            const run = gameState.data.summary;
+            if (run.playerMode === PLAYER_MODES.VERSUS) {
+                lines.push(['Run over', 'banner-title']);
+                run.players.forEach((result, i) => {
+                    lines.push([`P${i + 1}: ${result.touches} keep-up${result.touches === 1 ? '' : 's'} · ${RUN_END_LABELS[result.endReason]}`, 'banner-detail']);
+                });
+                lines.push([run.winner === null ? "It's a draw" : `Player ${run.winner + 1} wins!`, 'banner-best']);
+                break;
+            }
+            if (run.drill) {
+                const def = DRILL_DEFS[run.drill.id];
+                lines.push([`${def.label} — ${DRILL_RESULT_LABELS[run.drill.reason]}`, 'banner-title']);
+                lines.push([starText(run.drill.stars, def), 'banner-stars']);
+                lines.push([`${run.drill.progress}/${run.drill.count} · ${(run.drill.timeMs / 1000).toFixed(1)}s`, 'banner-detail']);
+                if (run.drill.isBest) lines.push(['New best!', 'banner-best']);
+                break;
+            }
+            lines.push([`Run over — ${RUN_END_LABELS[run.endReason]}`, 'banner-title']);
+            const stats = [`${run.touches} keep-up${run.touches === 1 ? '' : 's'}`];
+            if (run.points !== run.touches) stats.push(`${run.points} pts`);
+            stats.push(`${(run.durationMs / 1000).toFixed(1)}s`);
+            lines.push([stats.join(' · '), 'banner-detail']);
+            if (run.players) {
+                lines.push([run.players.map((result, i) => `P${i + 1} ${result.touches}`).join(' · '), 'banner-detail']);
+            } else if (run.touches > 0) {
+                const runLimbs = limbsOfBodyParts(normalizeBodyParts(run.bodyParts));
+                lines.push([Object.values(LIMBS).filter(limb => runLimbs.includes(limb))
+                    .map(limb => `${LIMB_LABELS[limb]} ${run.limbTouches[limb]}`).join(' · '), 'banner-detail']);
+            }
+            if (run.isPersonalBest) lines.push(['New personal best!', 'banner-best']);
+            break;
+        }
     }
-
-    // 8. Render Scene
-    renderer.render(scene, camera);
+    gameStateBanner.replaceChildren(...lines.map(([text, className]) => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.innerText = text;
+        return line;
+    }));
+    gameStateBanner.classList.toggle('visible', lines.length > 0);
 }
 
+gameState.addEventListener('transition', (e) => {
+    const { from, to, data } = e.detail;
+    // Instant replay covers a run from the ball dropping to its last touch; abandoned runs aren't kept
+    if (to === GAME_STATES.PLAYING && !data.resume) startRunRecording(core.simTimeMs);
+    else if (to === GAME_STATES.RUN_OVER) keepRunReplay(runRecorder.stop(data.summary));
+    else if (to !== GAME_STATES.PLAYING && to !== GAME_STATES.PAUSED && !(to === GAME_STATES.COUNTDOWN && data.resume)) runRecorder.discard();
+    renderStateBanner();
+});
 
-// --- Helper Functions ---
 
-function updateKinematicCollider(collider, targetPos) {
-        if (targetPos && collider && collider.parent()) {
-            collider.parent().setNextKinematicTranslation(targetPos);
-        }
-}
+// --- Helper Functions ---
 
 function updateMarkerMesh(mesh, targetPos) {
     if (targetPos && mesh) {
         mesh.position.copy(targetPos);
-            if (mesh === leftFootMesh || mesh === rightFootMesh) {
+            if (mesh.userData.isFoot) {
                 mesh.position.y -= footMarkerSize.h / 3;
             }
         mesh.visible = true;
@@ -571,6 +1972,34 @@ function updateMarkerMesh(mesh, targetPos) {
         }
 }
 
+// Head, thigh and chest markers take their collider's place, turn and size (see limbShapePose)
+function updateShapedMarkerMesh(mesh, pose) {
+    mesh.visible = Boolean(pose);
+    if (!pose) return;
+    mesh.position.copy(pose.position);
+    if (pose.rotation) mesh.quaternion.copy(pose.rotation);
+    if (pose.halfExtents) mesh.scale.set(pose.halfExtents.x * 2, pose.halfExtents.y * 2, pose.halfExtents.z * 2);
+    else if (pose.halfHeight !== undefined) mesh.scale.set(pose.radius, pose.halfHeight * 2, pose.radius);
+    else mesh.scale.setScalar(pose.radius);
+}
+
+// Shadows shrink and fade as their object rises, so height and depth read at a glance
+function updateDepthCues() {
+    const groundTopY = ballShadowMeshes[0].position.y;
+    const placeShadow = (shadow, object, visible) => {
+        shadow.visible = visible;
+        if (!visible) return;
+        const height = Math.max(0, object.position.y - groundTopY);
+        const scale = Math.max(0.35, 1 - height * 0.15);
+        shadow.position.x = object.position.x;
+        shadow.position.z = object.position.z;
+        shadow.scale.setScalar(scale * object.scale.x); // Follows the ball's live size
+        shadow.material.opacity = 0.45 * scale;
+    };
+    ballMeshes.forEach((mesh, i) => placeShadow(ballShadowMeshes[i], mesh, mesh.visible));
+    markerShadowMeshes.forEach((shadow, marker) => placeShadow(shadow, marker, marker.visible));
+}
+
 function updateLegLine(line, kneeMesh, footMesh) {
     if (kneeMesh.visible && footMesh.visible) {
         const points = [kneeMesh.position.clone(), footMesh.position.clone()];
@@ -582,35 +2011,60 @@ function updateLegLine(line, kneeMesh, footMesh) {
     }
 }
 
-// MODIFIED: Accept optional spawn coordinates
-function resetBall(spawnX = undefined, spawnZ = undefined) {
-        const startX = spawnX !== undefined ? spawnX : (Math.random() - 0.5) * 1.0;
-        const startZ = spawnZ !== undefined ? spawnZ : (Math.random() - 0.5) * 0.2;
-        const startY = 4.0; // Start slightly higher for T-pose reset drop
+function updateScore() {
+    const scoreText = (scorer) => scorer.points === scorer.touchCount
+        ? `${scorer.touchCount}`
+        : `${scorer.touchCount} · ${scorer.points} pts`;
+    if (playerMode === PLAYER_MODES.VERSUS) {
+        scoreElement.innerText = core.balls.map(ball => `P${ball.index + 1}: ${scoreText(ball.scorer)}${ball.isOut ? ' ✗' : ''}`).join('\n');
+    } else {
+        scoreElement.innerText = `Keep-ups: ${scoreText(touchScorer)}`;
+        if (playerMode === PLAYER_MODES.PASS && core.balls.length > 0) {
+            scoreElement.innerText += `\n${core.balls[0].playerTouches.map((touches, i) => `P${i + 1} ${touches}`).join(' · ')}`;
+        }
+    }
+    updateLimbBreakdown();
+}
 
-        ballBody.setTranslation({ x: startX, y: startY, z: startZ }, true);
-        // Reset velocity more completely
-        ballBody.setLinvel({ x: 0, y: -0.5, z: 0 }, true); // Gentle downward start
-        ballBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
-        ballMesh.material.color.set(0xffffff); // Reset color
-        ballJustHitPlayer = false; // Ensure hit flag is reset
+function updateLimbBreakdown() {
+    // Versus scores are per player; the breakdown follows the shared (or single player's) ball
+    limbBreakdownElement.style.display = playerMode === PLAYER_MODES.VERSUS ? 'none' : '';
+    limbBreakdownElement.replaceChildren(...Object.values(LIMBS).filter(limb => core.enabledLimbs.has(limb)).map(limb => {
+        const row = document.createElement('div');
+        row.className = 'limb-row';
+        row.dataset.limb = limb;
+        if (limb === touchScorer.weakFoot) row.classList.add('weak-foot');
+        row.innerText = `${LIMB_LABELS[limb]} ${touchScorer.limbCounts[limb]}`;
+        return row;
+    }));
 }
 
-function updateScore() {
-    scoreElement.innerText = `Keep-ups: ${score}`;
+let comboTimeout = null;
+function showCombos(combos) {
+    comboIndicatorElement.innerText = combos.map(combo => `${combo.label} +${combo.bonus}`).join('\n');
+    comboIndicatorElement.classList.add('visible');
+    if (comboTimeout) clearTimeout(comboTimeout);
+    comboTimeout = setTimeout(() => {
+        comboIndicatorElement.classList.remove('visible');
+        comboTimeout = null;
+    }, 1200);
 }
 
-let flashTimeout = null;
-function flashBallColor(color, durationMs) {
-    if (flashTimeout) clearTimeout(flashTimeout);
-    if (ballMesh && ballMesh.material) {
-            ballMesh.material.color.set(color);
-            flashTimeout = setTimeout(() => {
-                if (ballMesh && ballMesh.material){
-                ballMesh.material.color.set(0xffffff);
-                }
-                flashTimeout = null;
-            }, durationMs);
+function flashBallColor(index, color, durationMs) {
+    const ballMesh = ballMeshes[index];
+    if (ballMesh.userData.flashTimeout) clearTimeout(ballMesh.userData.flashTimeout);
+    ballMesh.material.color.set(color);
+    ballMesh.userData.flashTimeout = setTimeout(() => {
+        ballMesh.material.color.set(0xffffff);
+        ballMesh.userData.flashTimeout = null;
+    }, durationMs);
+}
+
+function resizeOverlayToVideo(width, height) {
+    if (overlayCanvas.width !== width || overlayCanvas.height !== height) {
+        overlayCanvas.width = width;
+        overlayCanvas.height = height;
+        onWindowResize(); // Adjust Three.js aspect ratio too
     }
 }
 
@@ -628,5 +2082,16 @@ function onWindowResize() {
     }
 }
 
+// --- Offline Support ---
+// The service worker caches the game and its vendored libraries, so it plays without a network
+// after the first visit. Browsers only allow one over https or on localhost.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register('./sw.js').catch(error => {
+        console.warn('Offline support unavailable:', error);
+    });
+}
+
 // --- Start ---
+registerServiceWorker();
 init();
\ No newline at end of file
@@ -0,0 +1,151 @@
+// --- Game API ---
+// What a host page sees of the game and how it drives it. Game events go out as DOM events on a
+// GameApi (an EventTarget, window.keepUps, for scripts on the same page) and as postMessage
+// messages to the parent frame when the game is embedded and told the parent's origin. Commands
+// come in through keepUps.command() or messages from the parent; game.js supplies the handlers.
+//
+// Messages to the parent:   { source: 'keep-ups', version, kind: 'event', type, detail }
+//                           { source: 'keep-ups', version, kind: 'reply', id, ok, result | error }
+// Messages from the parent: { target: 'keep-ups', command, id, settings }; id is echoed in the reply
+import { CORE_EVENTS } from './gameCore.js';
+import { GAME_STATES } from './gameState.js';
+import { PLAYER_MODES } from './players.js';
+import { TOUCH_MODES } from './touchPhysics.js';
+import { BODY_PARTS } from './touchScoring.js';
+import { BALL_TYPE_DEFS } from './ballTypes.js';
+import { CONTROL_SCHEME_DEFS } from './controlSchemes.js';
+import { DRILL_DEFS } from './drills.js';
+import { DIFFICULTY_PRESETS } from './physicsSettings.js';
+
+export const API_VERSION = 1;
+const MESSAGE_SOURCE = 'keep-ups';
+
+// Every event's detail also has timeMs, the game time it happened at
+export const API_EVENTS = {
+    READY: 'ready',         // {}: the game has loaded and takes commands
+    STATE: 'state',         // { from, to }: the game state changed (see GAME_STATES)
+    RUN_START: 'runStart',  // { playerMode, controlScheme, drill }: the ball dropped for a new run
+    TOUCH: 'touch',         // { ball, player, limb, bodyPart, height, touchCount, impactSpeed }; height in world units above the pitch
+    DROP: 'drop',           // { ball, reason }: a ball hit the ground, left the pitch or was touched twice in pass play
+    RESET: 'reset',         // {}: the reset gesture or command restarted play
+    RUN_END: 'runEnd',      // { summary }: the run summary, as saved to history
+    GESTURE: 'gesture'      // { gesture, action }: a completed gesture
+};
+
+export const API_COMMANDS = {
+    START: 'start',                  // Resume a paused run, or count down to a new one
+    PAUSE: 'pause',
+    RESET: 'reset',                  // Cut the run in play short and count down to fresh balls
+    APPLY_SETTINGS: 'applySettings', // { settings } (see normalizeApiSettings)
+    GET_STATE: 'getState'            // Replies with the game state snapshot
+};
+
+// The API's events for one core event, as [{ type, detail }]
+export function apiEventsFromCore(event, core) {
+    const { timeMs } = event;
+    switch (event.type) {
+        case CORE_EVENTS.TRANSITION: {
+            const events = [{ type: API_EVENTS.STATE, detail: { timeMs, from: event.from, to: event.to } }];
+            if (event.to === GAME_STATES.PLAYING && !event.data.resume) {
+                events.push({
+                    type: API_EVENTS.RUN_START,
+                    detail: { timeMs, playerMode: core.playerMode, controlScheme: core.controlScheme, drill: core.drillDef ? core.drill : null }
+                });
+            }
+            return events;
+        }
+        case CORE_EVENTS.TOUCH: {
+            const { ball, player, limb, bodyPart, height, touchCount, impactSpeed } = event;
+            return [{ type: API_EVENTS.TOUCH, detail: { timeMs, ball, player, limb, bodyPart, height, touchCount, impactSpeed } }];
+        }
+        case CORE_EVENTS.BALL_LOST:
+            return [{ type: API_EVENTS.DROP, detail: { timeMs, ball: event.ball, reason: event.reason } }];
+        case CORE_EVENTS.RESTART:
+            return [{ type: API_EVENTS.RESET, detail: { timeMs } }];
+        case CORE_EVENTS.RUN_END:
+            return [{ type: API_EVENTS.RUN_END, detail: { timeMs, summary: event.summary } }];
+        case CORE_EVENTS.GESTURE:
+            return [{ type: API_EVENTS.GESTURE, detail: { timeMs, gesture: event.gesture, action: event.action } }];
+        default:
+            return [];
+    }
+}
+
+// Checks a host's settings and returns them with only the known keys. Throws on anything invalid.
+// settings: { playerMode, touchMode, ballType, bodyParts, controlScheme, drill (null for free play),
+// difficulty (a preset), physics (individual settings, on top of the difficulty) }, all optional
+export function normalizeApiSettings(settings) {
+    if (!settings || typeof settings !== 'object') throw new Error('settings must be an object');
+    const oneOf = (key, values) => {
+        if (settings[key] !== undefined && !values.includes(settings[key])) {
+            throw new Error(`Unknown ${key} "${settings[key]}"; expected one of ${values.map(String).join(', ')}`);
+        }
+    };
+    oneOf('playerMode', Object.values(PLAYER_MODES));
+    oneOf('touchMode', Object.values(TOUCH_MODES));
+    oneOf('ballType', Object.keys(BALL_TYPE_DEFS));
+    oneOf('controlScheme', Object.keys(CONTROL_SCHEME_DEFS));
+    oneOf('drill', [null, ...Object.keys(DRILL_DEFS)]);
+    oneOf('difficulty', Object.keys(DIFFICULTY_PRESETS));
+    if (settings.bodyParts !== undefined && !(Array.isArray(settings.bodyParts)
+        && settings.bodyParts.length > 0 && settings.bodyParts.every(part => Object.values(BODY_PARTS).includes(part)))) {
+        throw new Error(`bodyParts must be a list of ${Object.values(BODY_PARTS).join(', ')}`);
+    }
+    if (settings.physics !== undefined && (!settings.physics || typeof settings.physics !== 'object')) {
+        throw new Error('physics must be an object of physics settings');
+    }
+    const keys = ['playerMode', 'touchMode', 'ballType', 'bodyParts', 'controlScheme', 'drill', 'difficulty', 'physics'];
+    return Object.fromEntries(keys.filter(key => settings[key] !== undefined).map(key => [key, settings[key]]));
+}
+
+export class GameApi extends EventTarget {
+    // handlers: command -> function(message) returning the reply's result; a throw fails the command.
+    // host: the parent window to post to, or null when not embedded. hostOrigin: the only origin
+    // messages go to and commands are taken from; without it the parent frame gets nothing.
+    constructor(handlers, { host = null, hostOrigin = null } = {}) {
+        super();
+        this.handlers = handlers;
+        this.host = host;
+        this.hostOrigin = hostOrigin;
+        this.version = API_VERSION;
+    }
+
+    publish(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+        this.post({ kind: 'event', type, detail });
+    }
+
+    publishCoreEvent(event, core) {
+        apiEventsFromCore(event, core).forEach(({ type, detail }) => this.publish(type, detail));
+    }
+
+    // Run a command from a same-page script: returns its result or throws
+    command(command, message = {}) {
+        if (!Object.prototype.hasOwnProperty.call(this.handlers, command)) throw new Error(`Unknown command "${command}"`);
+        return this.handlers[command](message);
+    }
+
+    start() { return this.command(API_COMMANDS.START); }
+    pause() { return this.command(API_COMMANDS.PAUSE); }
+    reset() { return this.command(API_COMMANDS.RESET); }
+    applySettings(settings) { return this.command(API_COMMANDS.APPLY_SETTINGS, { settings }); }
+    getState() { return this.command(API_COMMANDS.GET_STATE); }
+
+    // Take commands from the host frame's messages
+    listen(window) {
+        window.addEventListener('message', (e) => {
+            if (!this.host || !this.hostOrigin || e.source !== this.host || e.origin !== this.hostOrigin) return;
+            const message = e.data;
+            if (!message || message.target !== MESSAGE_SOURCE) return;
+            try {
+                this.post({ kind: 'reply', id: message.id, ok: true, result: this.command(message.command, message) });
+            } catch (error) {
+                this.post({ kind: 'reply', id: message.id, ok: false, error: error.message });
+            }
+        });
+    }
+
+    post(message) {
+        if (this.host && this.hostOrigin) this.host.postMessage({ source: MESSAGE_SOURCE, version: API_VERSION, ...message }, this.hostOrigin);
+    }
+}
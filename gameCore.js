@@ -0,0 +1,989 @@
+// --- Game Core ---
+// The gameplay rules without a page: pose frames and time steps go in, game events and
+// state come out. The core owns the Rapier world, the balls, each player's limb colliders,
+// the game flow, gestures and scoring. Rendering and pose input sit on top as adapters
+// (game.js in the browser, tools/simulateRecording.js in Node). Rapier is passed in, so the
+// browser can load its vendored copy and Node the npm package.
+
+import { TOUCH_MODES, LimbVelocityTracker, computeTouchVelocity, computeTouchSpin, computeMagnusAcceleration } from './touchPhysics.js';
+import { LIMBS, TouchScorer, DEFAULT_BODY_PARTS, bodyPartOfLimb, normalizeBodyParts, limbsOfBodyParts } from './touchScoring.js';
+import { LIMB_SHAPES, LIMB_SHAPE_TYPES, limbRadius, limbShapePose, closestPointOnLimb } from './limbShapes.js';
+import { RUN_END_REASONS } from './sessionHistory.js';
+import { PoseFilter, DEFAULT_FILTER_SETTINGS } from './poseFilter.js';
+import { GestureRecognizer, GESTURE_ACTIONS, NOSE, L_SHOULDER, R_SHOULDER, L_HIP, R_HIP } from './gestures.js';
+import { GameStateMachine, GAME_STATES } from './gameState.js';
+import { DEFAULT_PHYSICS_SETTINGS, matchingDifficulty, normalizePhysicsSettings } from './physicsSettings.js';
+import { PLAYER_MODES, MAX_PLAYERS, PLAYER_HOME_IMAGE_X, PLAYER_HOME_WORLD_X, PlayerTracker, playerCountForMode } from './players.js';
+import { DEFAULT_MAPPING, upperBodyMapping } from './calibration.js';
+import { CONTROL_SCHEME_DEFS, DEFAULT_CONTROL_SCHEME } from './controlSchemes.js';
+import { DEFAULT_BALL_TYPE, ballProperties } from './ballTypes.js';
+import { DRILL_DEFS, DRILL_RESULTS, DrillRun, TARGET_SHAPES } from './drills.js';
+
+// Everything step() reports, as { type, timeMs, ...details }
+export const CORE_EVENTS = {
+    TRANSITION: 'transition', // { from, to, data }: the game state machine changed state
+    TOUCH: 'touch',           // { ball, player, limb, bodyPart, isFoot, impactSpeed, touchCount, combos,
+                              //   position, height, bodyPoint, ballVelocity } at the physics step it happened in
+    BALL_LOST: 'ballLost',    // { ball, reason }: hit the ground, left the pitch or (pass play) was touched twice
+    RUN_END: 'runEnd',        // { summary }: a run finished or was cut short by a reset
+    RESTART: 'restart',       // The reset gesture (T-pose, or hands on shoulders seated) or restart() restarted play with fresh balls
+    GESTURE: 'gesture',       // { gesture, action }: any completed gesture, including those the core handles itself
+    DRILL_PROGRESS: 'drillProgress' // { drill, target, progress, count }: a touch or target hit counted toward the drill
+};
+
+// --- Game Flow ---
+export const COUNTDOWN_MS = 3000;
+export const RUN_OVER_DISPLAY_MS = 4000; // How long the run summary shows before the next countdown
+const PLAYER_IN_FRAME_MS = 500;          // Player in frame this long before the countdown starts
+const PLAYER_LOST_MS = 1500;             // Player missing this long pauses a run (or cancels a countdown)
+export const PLAYER_VISIBILITY_THRESHOLD = 0.5; // Landmarks the player must show count as in frame above this
+export const LANDMARK_LOST_VISIBILITY = 0.3;     // Below this a landmark is dropped and its limb stops tracking
+
+// --- Pitch ---
+export const GROUND_Y = -0.5;            // Center of the ground slab
+export const GROUND_HALF_THICKNESS = 0.1;
+const GROUND_CONTACT_TOLERANCE = 0.01;   // A ball this close to the top of the slab has landed
+export const PITCH_HALF_DEPTH = 2.75;    // Ball is out of bounds beyond this Z (matches the ground mesh)
+const PITCH_HALF_WIDTH = 5;              // ...or beyond this X
+const PITCH_CEILING = 8;                 // ...or above this height
+const BALL_SPAWN_HEIGHT = 4.0;           // Held here through the countdown, then dropped
+const Z_CORRECTION_FACTOR = 0.1;         // Assisted mode only: with zDamping, keeps the ball near the Z=0 plane
+const LIMB_DEPTH_SCALE = 1.5;            // World units per meter a limb sits in front of/behind the hips
+const MAX_LIMB_DEPTH = 1.2;              // Clamp for noisy depth estimates
+
+// --- Fixed-Step Physics ---
+export const PHYSICS_STEP_MS = 1000 / 120; // Same simulation on every display; 2 steps per 60 Hz frame
+const MAX_PHYSICS_STEPS_PER_STEP = 12;     // Catch up at most 100 ms per call to step()
+const MAX_CCD_SUBSTEPS = 4;                // Let CCD resolve several impacts per step for fast kicks
+
+const L_ANKLE = 27, R_ANKLE = 28;
+const UPPER_BODY_MAPPING_SMOOTHING = 0.1;  // Seated play: share of each new upper-body measurement taken per step
+const isFootLimb = (limb) => limb === LIMBS.LEFT_FOOT || limb === LIMBS.RIGHT_FOOT;
+
+// Collision groups: in versus play each player's limbs only meet their own ball; drill targets only sense balls
+const GROUP_GROUND = 0x0001;
+const ballGroup = (index) => 0x0002 << index;
+const playerGroup = (index) => 0x0010 << index;
+const GROUP_DRILL_TARGET = 0x0100;
+const ALL_BALL_GROUPS = ballGroup(0) | ballGroup(1);
+const ALL_PLAYER_GROUPS = playerGroup(0) | playerGroup(1);
+const interactionGroups = (membership, filter) => (membership << 16) | filter;
+
+// Mulberry32: small, fast and good enough for spawn jitter
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A player is in frame once the control scheme's landmarks (knees and ankles, or shoulders and wrists) are tracked
+function isPlayerInFrame(landmarks, required) {
+    if (!landmarks) return false;
+    return required.every(i => landmarks[i] && landmarks[i].visibility > PLAYER_VISIBILITY_THRESHOLD);
+}
+
+// Landmarks are smoothed one by one; limbs built from several share them (a hip is in the chest and a thigh)
+const landmarkFilterKey = (player, landmark) => `${player.index}:${landmark}`;
+const ALL_LIMB_LANDMARKS = [...new Set(Object.values(LIMB_SHAPES).flatMap(shape => shape.landmarks))];
+
+export class GameCore {
+    // RAPIER must be initialized (await RAPIER.init()) before createWorld() or reset()
+    constructor({
+        RAPIER,
+        playerMode = PLAYER_MODES.SINGLE,
+        touchMode = TOUCH_MODES.REALISTIC,
+        physicsSettings = DEFAULT_PHYSICS_SETTINGS,
+        ballType = DEFAULT_BALL_TYPE,
+        bodyParts = DEFAULT_BODY_PARTS,
+        controlScheme = DEFAULT_CONTROL_SCHEME,
+        drill = null,
+        worldMapping = DEFAULT_MAPPING,
+        filterSettings = { ...DEFAULT_FILTER_SETTINGS },
+        weakFoot = LIMBS.LEFT_FOOT
+    }) {
+        this.RAPIER = RAPIER;
+        this.playerMode = playerMode;
+        this.touchMode = touchMode;
+        this.physicsSettings = normalizePhysicsSettings(physicsSettings);
+        this.ballType = ballType;
+        this.controlScheme = controlScheme; // Standing or seated play (see controlSchemes.js)
+        this.drill = drill;                 // Drill id (see drills.js), or null for free play
+        this.bodyParts = normalizeBodyParts(bodyParts); // The player's choice of body parts; seated play uses its own
+        this.enabledLimbs = new Set(limbsOfBodyParts(this.activeBodyParts)); // Limbs with live colliders that score
+        this.worldMapping = worldMapping; // Landmark-to-world scale and offsets, from the active calibration profile
+        this.poseFilter = new PoseFilter(filterSettings);
+        this.gestureRecognizer = new GestureRecognizer(this.controlSchemeDef.gestures);
+        this.gameState = new GameStateMachine();
+        this.playerTracker = new PlayerTracker(MAX_PLAYERS); // Keeps each person on the same player slot across frames
+        // The first ball's scorer is the player's (or the pair's in pass play)
+        this.scorers = [new TouchScorer({ weakFoot }), new TouchScorer()];
+
+        // Per player slot: limb colliders while active, the tracked pose and where each limb is now
+        this.players = Array.from({ length: MAX_PLAYERS }, (_, index) => ({
+            index,
+            colliders: null,     // Limb -> kinematic collider, while the player is active
+            pose: null,          // { landmarks, worldLandmarks } currently tracked for this player
+            sampledPose: null,   // Pose already fed to the filter and velocity trackers
+            limbPositions: {},   // Limb -> filtered world position (shape center) at the current time, or null
+            limbPoses: {},       // Limb -> its collider's shape pose (see limbShapePose), or null
+            upperBodyMapping: null // Seated play: this player's mapping, measured from their shoulders
+        }));
+        this.balls = [];             // Balls in play (see createBall); versus mode has one per player
+        this.physicsWorld = null;
+        this.eventQueue = null;
+        this.playerLimbs = new Map(); // Player collider handle -> { player, limb, velocityTracker, pose }, rebuilt with the world
+        this.drillTargets = new Map(); // Drill target sensor handle -> target id, rebuilt with the world
+        this.drillRun = null;        // The current attempt at the drill, from its countdown until the next
+
+        this.random = Math.random;   // Swapped for a seeded generator by reset()
+        this.simTimeMs = 0;          // Game time; advanced only by step()
+        this.physicsAccumulatorMs = 0; // Game time not yet simulated
+        this.playerInFrameSinceMs = null;
+        this.playerLostSinceMs = null;
+        this.pausedAtMs = null;      // Paused time is left out of the run's duration
+        this.measuredPoseLatencyMs = 0; // Smoothed Mediapipe processing time per frame
+        this.activeGesture = null;   // { gesture, progress } of the gesture closest to completing
+        this.suspended = false;      // Set while calibrating: poses are tracked but play, gestures and physics hold
+        this.pendingPoseResults = [];
+        this.events = [];
+
+        this.gameState.addEventListener('transition', (e) => this.emit(CORE_EVENTS.TRANSITION, e.detail));
+    }
+
+    get isReady() {
+        return this.physicsWorld !== null;
+    }
+
+    get touchScorer() {
+        return this.scorers[0];
+    }
+
+    get controlSchemeDef() {
+        return CONTROL_SCHEME_DEFS[this.controlScheme] || CONTROL_SCHEME_DEFS[DEFAULT_CONTROL_SCHEME];
+    }
+
+    // The body parts that count: the control scheme's own, or the player's choice
+    get activeBodyParts() {
+        return this.controlSchemeDef.bodyParts || this.bodyParts;
+    }
+
+    // Drills are played alone; other player modes ignore the chosen drill
+    get drillDef() {
+        return this.playerMode === PLAYER_MODES.SINGLE ? DRILL_DEFS[this.drill] || null : null;
+    }
+
+    // Radius, mass, bounce, drag and spin of the current ball type under the current settings
+    get ballProperties() {
+        return ballProperties(this.physicsSettings, this.ballType);
+    }
+
+    // How far between the last two physics states the current time is, for interpolated rendering
+    get renderAlpha() {
+        return Math.max(0, Math.min(1, this.physicsAccumulatorMs / PHYSICS_STEP_MS));
+    }
+
+    emit(type, details = {}) {
+        this.events.push({ type, timeMs: this.simTimeMs, ...details });
+    }
+
+    // --- World ---
+    createWorld() {
+        const { RAPIER, physicsSettings } = this;
+        if (this.physicsWorld) {
+            this.physicsWorld.free();
+            this.eventQueue.free();
+        }
+        this.physicsWorld = new RAPIER.World({ x: 0.0, y: physicsSettings.gravityY, z: 0.0 });
+        this.physicsWorld.timestep = PHYSICS_STEP_MS / 1000;
+        this.physicsWorld.integrationParameters.maxCcdSubsteps = MAX_CCD_SUBSTEPS;
+        this.eventQueue = new RAPIER.EventQueue(true);
+
+        // Ground Body
+        const groundColliderDesc = RAPIER.ColliderDesc.cuboid(4.0, GROUND_HALF_THICKNESS, 4.0)
+            .setTranslation(0, GROUND_Y, 0)
+            .setCollisionGroups(interactionGroups(GROUP_GROUND, 0xffff));
+        this.physicsWorld.createCollider(groundColliderDesc, this.physicsWorld.createRigidBody(RAPIER.RigidBodyDesc.fixed()));
+
+        // Drill targets: sensors that report the ball passing through without touching it
+        this.drillTargets = new Map();
+        this.drillRun = null;
+        (this.drillDef ? this.drillDef.targets : []).forEach(target => {
+            const desc = target.shape === TARGET_SHAPES.CYLINDER ? RAPIER.ColliderDesc.cylinder(target.halfHeight, target.radius)
+                : RAPIER.ColliderDesc.cuboid(target.halfExtents.x, target.halfExtents.y, target.halfExtents.z);
+            const collider = this.physicsWorld.createCollider(
+                desc
+                    .setTranslation(target.position.x, target.position.y, target.position.z)
+                    .setSensor(true)
+                    .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
+                    .setCollisionGroups(interactionGroups(GROUP_DRILL_TARGET, ALL_BALL_GROUPS)),
+                this.physicsWorld.createRigidBody(RAPIER.RigidBodyDesc.fixed())
+            );
+            this.drillTargets.set(collider.handle, target.id);
+        });
+
+        const isVersus = this.playerMode === PLAYER_MODES.VERSUS;
+        this.balls = Array.from({ length: isVersus ? MAX_PLAYERS : 1 }, (_, i) => this.createBall(i, isVersus ? i : null));
+
+        // Player Kinematic Colliders: every limb gets one; body parts that don't count are disabled
+        const createPlayerCollider = (player, limb) => {
+            const body = this.physicsWorld.createRigidBody(RAPIER.RigidBodyDesc.kinematicPositionBased()
+                .setTranslation(-10, -10, -10)
+                .setCcdEnabled(true));
+            const radius = limbRadius(limb, physicsSettings.playerColliderRadius);
+            const shapeType = LIMB_SHAPES[limb].type;
+            // Capsules and boxes are resized to the pose every step
+            const desc = shapeType === LIMB_SHAPE_TYPES.CAPSULE ? RAPIER.ColliderDesc.capsule(radius, radius)
+                : shapeType === LIMB_SHAPE_TYPES.BOX ? RAPIER.ColliderDesc.cuboid(radius, radius, radius)
+                : RAPIER.ColliderDesc.ball(radius);
+            return this.physicsWorld.createCollider(
+                desc
+                    .setEnabled(this.enabledLimbs.has(limb))
+                    .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
+                    .setCollisionGroups(interactionGroups(playerGroup(player.index), isVersus ? ballGroup(player.index) : ALL_BALL_GROUPS))
+                    .setSensor(false),
+                body
+            );
+        };
+
+        this.playerLimbs = new Map();
+        this.players.forEach(player => {
+            player.colliders = null;
+            if (player.index >= playerCountForMode(this.playerMode)) return;
+            player.colliders = {};
+            for (const limb of Object.values(LIMBS)) {
+                const collider = createPlayerCollider(player, limb);
+                player.colliders[limb] = collider;
+                this.playerLimbs.set(collider.handle, { player, limb, velocityTracker: new LimbVelocityTracker(), pose: null });
+            }
+        });
+    }
+
+    // owner is the player whose ball it is in versus play, or null when everyone shares it
+    createBall(index, owner) {
+        const { RAPIER, ballProperties } = this;
+        const body = this.physicsWorld.createRigidBody(RAPIER.RigidBodyDesc.dynamic()
+            .setTranslation(0, BALL_SPAWN_HEIGHT, 0)
+            .setLinearDamping(ballProperties.linearDamping)
+            .setAngularDamping(ballProperties.angularDamping)
+            .setCanSleep(false)
+            .setCcdEnabled(true)); // Fast touches must not tunnel through the small limb colliders
+        const collider = this.physicsWorld.createCollider(
+            RAPIER.ColliderDesc.ball(ballProperties.radius)
+                .setRestitution(ballProperties.restitution)
+                .setDensity(ballProperties.density)
+                .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
+                .setCollisionGroups(interactionGroups(ballGroup(index), GROUP_GROUND | GROUP_DRILL_TARGET | (owner === null ? ALL_PLAYER_GROUPS : playerGroup(owner)))),
+            body
+        );
+        return {
+            index,
+            owner,
+            body,
+            colliderHandle: collider.handle,
+            scorer: this.scorers[index],
+            previousPosition: { x: 0, y: BALL_SPAWN_HEIGHT, z: 0 }, // Ball state before the latest physics step,
+            previousQuaternion: { x: 0, y: 0, z: 0, w: 1 },         // for interpolated rendering
+            runFirstTouchTimeMs: null, // simTimeMs of the current run's first touch
+            justHitPlayer: false,
+            lastTouchPlayer: null,     // Pass play: who must not touch it next
+            playerTouches: Array(MAX_PLAYERS).fill(0),
+            isOut: false,              // Versus play: this player's ball has dropped and waits for the others
+            endReason: null,
+            insideTargets: new Set()   // Ids of the drill targets the ball is in
+        };
+    }
+
+    // Rebuild the physics world and game state from scratch, so a recording and its replays start identically
+    reset(seed) {
+        this.random = createSeededRandom(seed);
+        this.createWorld();
+        this.simTimeMs = 0;
+        this.physicsAccumulatorMs = 0;
+        this.gestureRecognizer.reset();
+        this.activeGesture = null;
+        this.clearPoses();
+        this.players.forEach(player => {
+            player.sampledPose = null;
+            player.upperBodyMapping = null;
+        });
+        this.playerTracker.reset();
+        this.playerLostSinceMs = null;
+        this.measuredPoseLatencyMs = 0; // A replay gets its latency from the recorded frames, not the last session
+        this.poseFilter.reset();
+        this.waitForPlayer(0);
+    }
+
+    // Takes effect when the world is next built: reset() gives it the right number of player colliders and balls
+    setPlayerMode(mode) {
+        this.playerMode = mode;
+        this.playerTracker.reset();
+    }
+
+    // Apply new settings to the running world in place: no rebuild, so a run in play carries on
+    applyPhysicsSettings(settings) {
+        this.physicsSettings = normalizePhysicsSettings(settings);
+        if (!this.isReady) return;
+        const { physicsSettings } = this;
+        this.physicsWorld.gravity = { x: 0.0, y: physicsSettings.gravityY, z: 0.0 };
+        this.applyBallProperties();
+        this.playerLimbs.forEach(({ limb }, handle) => {
+            if (LIMB_SHAPES[limb].type === LIMB_SHAPE_TYPES.BOX) return; // Its depth follows the setting next step
+            this.physicsWorld.getCollider(handle).setRadius(limbRadius(limb, physicsSettings.playerColliderRadius));
+        });
+    }
+
+    // Choose which body parts count, in place: the others' colliders stop touching the ball
+    setBodyParts(parts) {
+        this.bodyParts = normalizeBodyParts(parts);
+        this.updateEnabledLimbs();
+    }
+
+    // Switch between standing and seated play. Like a player mode change, reset() should follow:
+    // the run in play was scored with the other scheme's limbs.
+    setControlScheme(scheme) {
+        this.controlScheme = scheme;
+        this.gestureRecognizer = new GestureRecognizer(this.controlSchemeDef.gestures);
+        this.activeGesture = null;
+        this.players.forEach(player => { player.upperBodyMapping = null; });
+        this.updateEnabledLimbs();
+    }
+
+    // Choose a drill, or null for free play. Its targets are built with the world, so reset() should follow.
+    setDrill(drill) {
+        this.drill = drill;
+    }
+
+    updateEnabledLimbs() {
+        this.enabledLimbs = new Set(limbsOfBodyParts(this.activeBodyParts));
+        if (!this.isReady) return;
+        this.playerLimbs.forEach(({ limb }, handle) => this.physicsWorld.getCollider(handle).setEnabled(this.enabledLimbs.has(limb)));
+    }
+
+    // Swap the ball in play for another type, in place like a settings change
+    setBallType(type) {
+        this.ballType = type;
+        if (this.isReady) this.applyBallProperties();
+    }
+
+    applyBallProperties() {
+        const { ballProperties } = this;
+        this.balls.forEach(ball => {
+            const collider = this.physicsWorld.getCollider(ball.colliderHandle);
+            collider.setRadius(ballProperties.radius);
+            collider.setRestitution(ballProperties.restitution);
+            collider.setDensity(ballProperties.density);
+            ball.body.setLinearDamping(ballProperties.linearDamping);
+            ball.body.setAngularDamping(ballProperties.angularDamping);
+        });
+    }
+
+    // --- Pose Input ---
+    // Queue one pose frame ({ poseLandmarks, poseWorldLandmarks, poses?, latencyMs? }); it is
+    // assigned to players at the start of the next step
+    addPoseResults(results) {
+        this.pendingPoseResults.push(results);
+    }
+
+    clearPoses() {
+        this.pendingPoseResults = [];
+        this.players.forEach(player => { player.pose = null; });
+    }
+
+    // Hand each detected person to a player slot. One player takes the (only) pose as is;
+    // with two, the tracker keeps identities stable as people move, cross or step out.
+    assignPlayerPoses(results) {
+        if (Number.isFinite(results.latencyMs)) {
+            this.measuredPoseLatencyMs += (results.latencyMs - this.measuredPoseLatencyMs) * 0.1;
+        }
+        const playerCount = playerCountForMode(this.playerMode);
+        if (playerCount === 1) {
+            this.players[0].pose = results.poseLandmarks
+                ? { landmarks: results.poseLandmarks, worldLandmarks: results.poseWorldLandmarks || null }
+                : null;
+            return;
+        }
+        const poses = results.poses
+            || (results.poseLandmarks ? [{ landmarks: results.poseLandmarks, worldLandmarks: results.poseWorldLandmarks || null }] : []);
+        const assigned = this.playerTracker.assign(poses, this.simTimeMs);
+        this.players.forEach((player, i) => { player.pose = i < playerCount ? assigned[i] : null; });
+    }
+
+    mapLandmarkToWorld(landmark, worldLandmark = null, playerIndex = 0) { // Coordinate mapping
+        if (!landmark || landmark.visibility < LANDMARK_LOST_VISIBILITY) return null; // Stricter initial check maybe needed for T-pose
+
+        // Seated players are mapped from their own upper body, already placed on their half of the pitch
+        const seatedMapping = this.controlSchemeDef.upperBodyMapping ? this.players[playerIndex].upperBodyMapping : null;
+        const { worldWidth, worldHeight, xOffset, yOffset } = seatedMapping || this.worldMapping;
+
+        // Mapping: Mediapipe X (0 left -> 1 right) to World X (-width/2 -> +width/2)
+        // Mapping: Mediapipe Y (0 top -> 1 bottom) to World Y (height -> 0)
+        // Apply X mirror correction due to webcam transform: (1.0 - landmark.x)
+        let gameX = (1.0 - landmark.x - 0.5) * worldWidth + xOffset;
+        // Two players each get their own half of the pitch, centered on their side of the image
+        if (!seatedMapping && playerCountForMode(this.playerMode) > 1) {
+            gameX = (PLAYER_HOME_IMAGE_X[playerIndex] - landmark.x) * worldWidth + PLAYER_HOME_WORLD_X[playerIndex];
+        }
+        const gameY = (1.0 - landmark.y) * worldHeight + yOffset;
+        // Assisted mode keeps the game on the Z=0 plane; otherwise limbs take their tracked depth
+        const gameZ = this.touchMode === TOUCH_MODES.ASSISTED ? 0.0 : this.estimateLimbDepth(landmark, worldLandmark);
+
+        return { x: gameX, y: Math.max(0, gameY), z: gameZ }; // Ensure Y is not below ground
+    }
+
+    // Mediapipe z grows away from the camera and is relative to the hips; the game camera sits at +Z.
+    // World landmarks give depth in meters; image landmarks fall back to z in image-width units (same scale as x).
+    estimateLimbDepth(landmark, worldLandmark) {
+        const depth = worldLandmark
+            ? -worldLandmark.z * LIMB_DEPTH_SCALE
+            : -(landmark.z || 0) * this.worldMapping.worldWidth;
+        return Math.max(-MAX_LIMB_DEPTH, Math.min(MAX_LIMB_DEPTH, depth));
+    }
+
+    // Seated play: ease this player's mapping toward one measured from where their shoulders are now
+    measureUpperBody(player) {
+        if (!player.pose) return;
+        const homeX = playerCountForMode(this.playerMode) > 1 ? PLAYER_HOME_WORLD_X[player.index] : 0;
+        const measured = upperBodyMapping(player.pose.landmarks, homeX);
+        if (!measured) return;
+        const current = player.upperBodyMapping;
+        player.upperBodyMapping = current
+            ? Object.fromEntries(Object.entries(measured).map(([key, value]) => [key, current[key] + (value - current[key]) * UPPER_BODY_MAPPING_SMOOTHING]))
+            : measured;
+    }
+
+    // New pose sample: map and smooth it, and feed limb velocities. Between samples the filter
+    // interpolates or extrapolates, so limbs keep moving every step.
+    samplePlayerPose(player, nowMs) {
+        if (!player.pose || !player.colliders) {
+            this.playerLimbs.forEach(entry => { if (entry.player === player) entry.velocityTracker.reset(); });
+            ALL_LIMB_LANDMARKS.forEach(index => this.poseFilter.addSample(landmarkFilterKey(player, index), null));
+            Object.values(LIMBS).forEach(limb => {
+                player.limbPositions[limb] = null;
+                player.limbPoses[limb] = null;
+            });
+            player.sampledPose = null;
+            return;
+        }
+
+        // Samples are timestamped with when the camera captured them, i.e. arrival time minus the pipeline latency
+        if (player.pose !== player.sampledPose) {
+            player.sampledPose = player.pose;
+            const landmarks = player.pose.landmarks;
+            const worldLandmarks = player.pose.worldLandmarks || [];
+            const sampleTimeMs = nowMs - this.measuredPoseLatencyMs - this.poseFilter.settings.extraLatencyMs;
+            const filtered = new Map(ALL_LIMB_LANDMARKS.map(index => [index, this.poseFilter.addSample(
+                landmarkFilterKey(player, index), this.mapLandmarkToWorld(landmarks[index], worldLandmarks[index], player.index), sampleTimeMs)]));
+            this.playerLimbs.forEach(({ player: owner, limb, velocityTracker }) => {
+                if (owner !== player) return;
+                const pose = this.limbPose(limb, LIMB_SHAPES[limb].landmarks.map(index => filtered.get(index)));
+                velocityTracker.addSample(pose && pose.position, sampleTimeMs);
+            });
+        }
+        Object.values(LIMBS).forEach(limb => {
+            const pose = this.enabledLimbs.has(limb) ? this.estimateLimbPose(player, limb, nowMs) : null;
+            player.limbPoses[limb] = pose;
+            player.limbPositions[limb] = pose && pose.position;
+        });
+    }
+
+    // Where the limb's collider goes at game time nowMs, from its filtered landmarks
+    estimateLimbPose(player, limb, nowMs) {
+        return this.limbPose(limb, LIMB_SHAPES[limb].landmarks.map(index => {
+            const position = this.poseFilter.estimate(landmarkFilterKey(player, index), nowMs);
+            return position && { x: position.x, y: Math.max(0, position.y), z: position.z }; // Extrapolation must not sink below ground
+        }));
+    }
+
+    limbPose(limb, points) {
+        return limbShapePose(limb, points, limbRadius(limb, this.physicsSettings.playerColliderRadius));
+    }
+
+    // --- Stepping ---
+    // Advance the game by stepMs of game time, optionally with a new pose frame.
+    // Returns the events that happened since the last step and the resulting state.
+    step(stepMs, poseResults = null) {
+        this.simTimeMs += stepMs;
+        const nowMs = this.simTimeMs;
+        if (poseResults) this.addPoseResults(poseResults);
+        this.pendingPoseResults.forEach(results => this.assignPlayerPoses(results));
+        this.pendingPoseResults = [];
+
+        if (!this.suspended) this.updateGameFlow(nowMs);
+
+        // Gesture commands from player 1 (not while suspended, where a calibration routine's poses could trigger them)
+        const gestureLandmarks = !this.suspended && this.players[0].pose ? this.players[0].pose.landmarks : null;
+        const gestureState = this.gestureRecognizer.update(gestureLandmarks, nowMs);
+        this.activeGesture = gestureState.active;
+        gestureState.triggered.forEach(gesture => this.runGesture(gesture, nowMs));
+
+        // Seated play follows each player's upper body between runs and holds still through a run
+        const { gameState } = this;
+        const betweenRuns = gameState.is(GAME_STATES.WAITING_FOR_PLAYER, GAME_STATES.RUN_OVER)
+            || (gameState.is(GAME_STATES.COUNTDOWN) && !gameState.data.resume);
+        if (this.controlSchemeDef.upperBodyMapping && betweenRuns) this.players.forEach(player => this.measureUpperBody(player));
+
+        // Feed new pose samples (kinematic colliders move in stepPhysics)
+        this.players.forEach(player => this.samplePlayerPose(player, nowMs));
+
+        // Advance physics in fixed steps, independent of how often step() is called.
+        // Only a run in play moves the ball; every other state holds it where it is.
+        if (!this.suspended && this.gameState.is(GAME_STATES.PLAYING)) this.physicsAccumulatorMs += stepMs;
+        let physicsSteps = 0;
+        while (!this.suspended && this.gameState.is(GAME_STATES.PLAYING) && this.physicsAccumulatorMs >= PHYSICS_STEP_MS - 1e-6) {
+            this.physicsAccumulatorMs -= PHYSICS_STEP_MS;
+            this.stepPhysics(nowMs - this.physicsAccumulatorMs);
+            if (++physicsSteps >= MAX_PHYSICS_STEPS_PER_STEP) {
+                this.physicsAccumulatorMs = 0; // Too far behind (e.g. a backgrounded tab): drop the backlog rather than spiral
+                break;
+            }
+        }
+
+        const events = this.events;
+        this.events = [];
+        return { events, state: this.getState() };
+    }
+
+    // A plain snapshot for adapters that don't read the core's objects directly
+    getState() {
+        const scorer = this.touchScorer;
+        return {
+            timeMs: this.simTimeMs,
+            state: this.gameState.state,
+            playerMode: this.playerMode,
+            score: { touches: scorer.touchCount, points: scorer.points, limbTouches: { ...scorer.limbCounts } },
+            balls: this.balls.map(ball => ({
+                index: ball.index,
+                position: ball.body.translation(),
+                rotation: ball.body.rotation(),
+                velocity: ball.body.linvel(),
+                isOut: ball.isOut,
+                touches: ball.scorer.touchCount,
+                points: ball.scorer.points,
+                playerTouches: [...ball.playerTouches]
+            })),
+            drill: this.drillRun && {
+                id: this.drillRun.id,
+                elapsedMs: this.drillRun.elapsedMs,
+                remainingMs: this.drillRun.remainingMs,
+                progress: this.drillRun.progress,
+                count: this.drillRun.def.goal.count,
+                activeTargets: this.drillRun.activeTargets,
+                result: this.drillRun.result
+            },
+            players: this.players.slice(0, playerCountForMode(this.playerMode)).map(player => ({
+                index: player.index,
+                tracked: player.pose !== null,
+                limbs: { ...player.limbPositions }
+            }))
+        };
+    }
+
+    // --- Gestures ---
+    runGesture(gesture, nowMs) {
+        this.emit(CORE_EVENTS.GESTURE, { gesture: gesture.id, action: gesture.action });
+        switch (gesture.action) {
+            case GESTURE_ACTIONS.RESET: {
+                if (this.gameState.is(GAME_STATES.LOADING, GAME_STATES.WAITING_FOR_PLAYER)) break;
+                // Try to spawn above player's shoulders (two-player balls keep their spawn points)
+                const landmarks = this.players[0].pose.landmarks;
+                const lShoulderPos = this.mapLandmarkToWorld(landmarks[L_SHOULDER]);
+                const rShoulderPos = this.mapLandmarkToWorld(landmarks[R_SHOULDER]);
+                let spawnX = undefined;
+                if (lShoulderPos && rShoulderPos && this.playerMode === PLAYER_MODES.SINGLE) {
+                    spawnX = (lShoulderPos.x + rShoulderPos.x) / 2;
+                }
+                this.restart(RUN_END_REASONS.T_POSE_RESET, nowMs, spawnX);
+                break;
+            }
+            case GESTURE_ACTIONS.TOGGLE_PAUSE:
+                this.togglePause(nowMs);
+                break;
+            // Anything else (e.g. opening the stats) is the adapter's to handle from the event
+        }
+    }
+
+    // --- Game Flow ---
+    // Timed transitions, checked once per step. Ball drops and out-of-bounds end runs from stepPhysics.
+    updateGameFlow(nowMs) {
+        const { gameState } = this;
+        const activePlayers = this.players.slice(0, playerCountForMode(this.playerMode));
+        const { inFrameLandmarks } = this.controlSchemeDef;
+        const inFrame = activePlayers.every(player => isPlayerInFrame(player.pose && player.pose.landmarks, inFrameLandmarks));
+        if (inFrame) {
+            this.playerLostSinceMs = null;
+            if (this.playerInFrameSinceMs === null) this.playerInFrameSinceMs = nowMs;
+        } else {
+            this.playerInFrameSinceMs = null;
+            if (this.playerLostSinceMs === null) this.playerLostSinceMs = nowMs;
+        }
+        const playerLost = !inFrame && nowMs - this.playerLostSinceMs >= PLAYER_LOST_MS;
+
+        switch (gameState.state) {
+            case GAME_STATES.WAITING_FOR_PLAYER:
+                if (inFrame && nowMs - this.playerInFrameSinceMs >= PLAYER_IN_FRAME_MS) this.startCountdown(nowMs);
+                break;
+            case GAME_STATES.COUNTDOWN:
+                if (playerLost) {
+                    gameState.transition(GAME_STATES.WAITING_FOR_PLAYER, nowMs);
+                } else if (gameState.timeInStateMs(nowMs) >= COUNTDOWN_MS) {
+                    if (gameState.data.resume) {
+                        this.balls.forEach(ball => { if (ball.runFirstTouchTimeMs !== null) ball.runFirstTouchTimeMs += nowMs - this.pausedAtMs; });
+                    }
+                    gameState.transition(GAME_STATES.PLAYING, nowMs, { resume: gameState.data.resume });
+                }
+                break;
+            case GAME_STATES.PLAYING:
+                if (playerLost) this.pause(nowMs);
+                break;
+            case GAME_STATES.RUN_OVER:
+                if (gameState.timeInStateMs(nowMs) >= RUN_OVER_DISPLAY_MS) this.startCountdown(nowMs);
+                break;
+        }
+    }
+
+    // Abandon any run in progress (unsaved) and hold the ball until the player is in frame
+    waitForPlayer(nowMs = this.simTimeMs) {
+        this.resetBalls();
+        this.resetScore();
+        this.drillRun = null;
+        this.playerInFrameSinceMs = null;
+        this.gameState.transition(GAME_STATES.WAITING_FOR_PLAYER, nowMs);
+    }
+
+    // Cut any run in play short and count down to fresh balls. reason: what the cut-short run ends
+    // with, the reset gesture or a host page's command
+    restart(reason = RUN_END_REASONS.T_POSE_RESET, nowMs = this.simTimeMs, spawnX = undefined) {
+        if (this.gameState.is(GAME_STATES.LOADING)) return;
+        if (this.gameState.is(GAME_STATES.PLAYING, GAME_STATES.PAUSED)) this.endRun(reason);
+        this.startCountdown(nowMs, spawnX);
+        this.emit(CORE_EVENTS.RESTART);
+    }
+
+    // A fresh countdown puts the ball back at the spawn point and starts a new drill attempt;
+    // resuming leaves both where they were paused
+    startCountdown(nowMs = this.simTimeMs, spawnX = undefined) {
+        this.resetBalls(spawnX);
+        this.drillRun = this.drillDef ? new DrillRun(this.drill) : null;
+        this.gameState.transition(GAME_STATES.COUNTDOWN, nowMs, { resume: false });
+    }
+
+    pause(nowMs = this.simTimeMs) {
+        const { gameState } = this;
+        if (!gameState.is(GAME_STATES.PLAYING, GAME_STATES.COUNTDOWN)) return;
+        // Pausing a resume countdown keeps the original pause time
+        if (!(gameState.is(GAME_STATES.COUNTDOWN) && gameState.data.resume)) this.pausedAtMs = nowMs;
+        gameState.transition(GAME_STATES.PAUSED, nowMs);
+    }
+
+    resume(nowMs = this.simTimeMs) {
+        if (!this.gameState.is(GAME_STATES.PAUSED)) return;
+        this.gameState.transition(GAME_STATES.COUNTDOWN, nowMs, { resume: true });
+    }
+
+    togglePause(nowMs = this.simTimeMs) {
+        if (this.gameState.is(GAME_STATES.PAUSED)) this.resume(nowMs);
+        else this.pause(nowMs);
+    }
+
+    // A ball hit the ground or left the pitch. In versus play the run goes on until every ball is out.
+    loseBall(ball, reason, nowMs) {
+        ball.isOut = true;
+        ball.endReason = reason;
+        ball.justHitPlayer = false;
+        ball.body.setEnabled(false); // Leave it where it fell
+        this.emit(CORE_EVENTS.BALL_LOST, { ball: ball.index, reason });
+        if (this.balls.every(other => other.isOut)) this.finishRun(reason, nowMs);
+    }
+
+    // End the run on a dropped or lost ball, or a decided drill, and show its summary
+    finishRun(reason, nowMs) {
+        const summary = this.endRun(reason);
+        this.gameState.transition(GAME_STATES.RUN_OVER, nowMs, { summary });
+    }
+
+    // Summarize the finished run, report it and start a fresh one. Two-player runs add each player's result.
+    endRun(reason) {
+        const { touchScorer } = this;
+        const firstTouchTimes = this.balls.map(ball => ball.runFirstTouchTimeMs).filter(timeMs => timeMs !== null);
+        const summary = {
+            timestamp: new Date().toISOString(),
+            touches: touchScorer.touchCount,
+            points: touchScorer.points,
+            durationMs: firstTouchTimes.length === 0 ? 0 : Math.round(this.simTimeMs - Math.min(...firstTouchTimes)),
+            limbTouches: { ...touchScorer.limbCounts },
+            endReason: reason,
+            difficulty: matchingDifficulty(this.physicsSettings) || 'custom', // Scores only compare within the same setup
+            ballType: this.ballType,
+            bodyParts: [...this.activeBodyParts],
+            controlScheme: this.controlScheme,
+            playerMode: this.playerMode
+        };
+        if (this.drillRun) {
+            this.drillRun.finish(DRILL_RESULTS.ABANDONED); // No-op if the drill already passed or failed
+            summary.drill = this.drillRun.result;
+        }
+        if (this.playerMode === PLAYER_MODES.PASS) {
+            summary.players = this.balls[0].playerTouches.map(touches => ({ touches }));
+        } else if (this.playerMode === PLAYER_MODES.VERSUS) {
+            summary.players = this.balls.map(ball => ({
+                touches: ball.scorer.touchCount,
+                points: ball.scorer.points,
+                endReason: ball.endReason || reason
+            }));
+            const [first, second] = summary.players;
+            summary.winner = first.touches === second.touches ? null : (first.touches > second.touches ? 0 : 1);
+        }
+        this.emit(CORE_EVENTS.RUN_END, { summary });
+        this.resetScore();
+        return summary;
+    }
+
+    resetScore() {
+        this.balls.forEach(ball => {
+            ball.scorer.reset();
+            ball.runFirstTouchTimeMs = null;
+            ball.lastTouchPlayer = null;
+            ball.playerTouches.fill(0);
+        });
+        this.touchScorer.reset();
+    }
+
+    resetBalls(spawnX = undefined) {
+        this.balls.forEach(ball => this.resetBall(ball, spawnX));
+    }
+
+    // Shared balls spawn near the middle (pass play: over player 1, who starts);
+    // a versus ball spawns over its owner's half. spawnX overrides the spot.
+    resetBall(ball, spawnX = undefined, spawnZ = undefined) {
+        const ownerX = ball.owner !== null ? PLAYER_HOME_WORLD_X[ball.owner]
+            : this.playerMode === PLAYER_MODES.PASS ? PLAYER_HOME_WORLD_X[0] : 0;
+        const startX = spawnX !== undefined ? spawnX : ownerX + (this.random() - 0.5) * 1.0;
+        const startZ = spawnZ !== undefined ? spawnZ : (this.random() - 0.5) * 0.2;
+        const startY = BALL_SPAWN_HEIGHT;
+
+        const ballBody = ball.body;
+        ballBody.setEnabled(true);
+        ballBody.setTranslation({ x: startX, y: startY, z: startZ }, true);
+        ball.previousPosition = { x: startX, y: startY, z: startZ }; // Don't interpolate across the teleport
+        ball.previousQuaternion = { x: 0, y: 0, z: 0, w: 1 };
+        ballBody.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
+        // Reset velocity more completely
+        ballBody.setLinvel({ x: 0, y: -0.5, z: 0 }, true); // Gentle downward start
+        ballBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
+        ball.justHitPlayer = false; // Ensure hit flag is reset
+        ball.isOut = false;
+        ball.endReason = null;
+        ball.insideTargets.clear();
+    }
+
+    // --- Fixed-Step Physics ---
+    // One physics step at game time stepTimeMs: move limbs, step Rapier, handle touches and resets
+    stepPhysics(stepTimeMs) {
+        const { physicsSettings, ballProperties } = this;
+        // Limbs follow the filtered pose at this step's time, so fast kicks sweep through intermediate positions
+        this.playerLimbs.forEach((entry, handle) => {
+            const { player, limb } = entry;
+            if (!player.pose || !this.enabledLimbs.has(limb)) return;
+            const pose = this.estimateLimbPose(player, limb, stepTimeMs);
+            if (!pose) return;
+            entry.pose = pose;
+            const collider = this.physicsWorld.getCollider(handle);
+            collider.parent().setNextKinematicTranslation(pose.position);
+            if (pose.rotation) collider.parent().setNextKinematicRotation(pose.rotation);
+            if (pose.halfHeight !== undefined) collider.setHalfHeight(pose.halfHeight);
+            if (pose.halfExtents) collider.setHalfExtents(pose.halfExtents);
+        });
+
+        const liveBalls = this.balls.filter(ball => !ball.isOut);
+        const preStepBallMotion = new Map(); // Realistic touches replace the solver's bounce and spin with our own
+        liveBalls.forEach(ball => {
+            ball.previousPosition = ball.body.translation();
+            ball.previousQuaternion = ball.body.rotation();
+            preStepBallMotion.set(ball, { velocity: ball.body.linvel(), angularVelocity: ball.body.angvel() });
+            // Spin curves the ball (realistic mode only; assisted play stays in its plane)
+            if (this.touchMode === TOUCH_MODES.REALISTIC) {
+                const acceleration = computeMagnusAcceleration(ball.body.angvel(), ball.body.linvel(), ballProperties.magnusStrength);
+                const impulseScale = ball.body.mass() * PHYSICS_STEP_MS / 1000;
+                ball.body.applyImpulse({ x: acceleration.x * impulseScale, y: acceleration.y * impulseScale, z: acceleration.z * impulseScale }, true);
+            }
+        });
+
+        // Step Physics World & Handle Collisions
+        // Drill targets are entered and left first, so a touch knows which targets the ball is in after this step
+        this.physicsWorld.step(this.eventQueue);
+        const touches = [];
+        this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+            const ball = liveBalls.find(candidate => candidate.colliderHandle === handle1 || candidate.colliderHandle === handle2);
+            if (!ball) return;
+            const otherHandle = ball.colliderHandle === handle1 ? handle2 : handle1;
+            if (this.drillTargets.has(otherHandle)) {
+                this.updateDrillTarget(ball, this.drillTargets.get(otherHandle), started);
+            } else if (started && this.playerLimbs.has(otherHandle)) {
+                touches.push({ ball, playerColliderHandle: otherHandle });
+            }
+        });
+        touches.forEach(({ ball, playerColliderHandle }) => {
+            if (ball.justHitPlayer || ball.isOut) return;
+            this.recordTouch(ball, playerColliderHandle, preStepBallMotion.get(ball), stepTimeMs);
+        });
+
+        // --- Post-Physics Adjustments ---
+        for (const ball of liveBalls) {
+            if (ball.isOut || !this.gameState.is(GAME_STATES.PLAYING)) continue; // Ended by a touch this step
+            const { body } = ball;
+            const ballPosition = body.translation();
+            let currentLinvel = body.linvel();
+
+            // Clamp Maximum Upward Velocity
+            const maxUpwardVelocity = this.touchMode === TOUCH_MODES.ASSISTED
+                ? physicsSettings.maxUpwardVelocity : physicsSettings.maxRealisticUpwardVelocity;
+            if (currentLinvel.y > maxUpwardVelocity) {
+                body.setLinvel({ x: currentLinvel.x, y: maxUpwardVelocity, z: currentLinvel.z }, true);
+                currentLinvel = body.linvel();
+            }
+
+            // Reset hit flag based on ball state
+            if (currentLinvel.y < -0.1 || ballPosition.y < 0.5) {
+                ball.justHitPlayer = false;
+            }
+
+            // Constrain Z-Axis Movement (assisted mode only; otherwise the ball moves freely in depth)
+            // zDamping and Z_CORRECTION_FACTOR are tuned per 60 Hz frame; scale them to the physics step
+            if (this.touchMode === TOUCH_MODES.ASSISTED) {
+                const stepsPer60HzFrame = PHYSICS_STEP_MS / (1000 / 60);
+                const newZVel = currentLinvel.z * Math.pow(physicsSettings.zDamping, stepsPer60HzFrame) - ballPosition.z * Z_CORRECTION_FACTOR * stepsPer60HzFrame;
+                body.setLinvel({ x: currentLinvel.x, y: currentLinvel.y, z: newZVel }, true);
+            }
+
+            // End the run on ground hit / out of bounds; the ball stays put until the next countdown
+            // Measured from the top of the slab, so a ball of any size that comes to rest there counts
+            const groundLevel = GROUND_Y + GROUND_HALF_THICKNESS + ballProperties.radius + GROUND_CONTACT_TOLERANCE;
+            if (ballPosition.y < groundLevel) {
+                this.loseBall(ball, RUN_END_REASONS.GROUND_DROP, stepTimeMs);
+            } else if (ballPosition.y > PITCH_CEILING || Math.abs(ballPosition.x) > PITCH_HALF_WIDTH || Math.abs(ballPosition.z) > PITCH_HALF_DEPTH) {
+                this.loseBall(ball, RUN_END_REASONS.OUT_OF_BOUNDS, stepTimeMs);
+            }
+        }
+
+        if (this.drillRun) this.updateDrill(stepTimeMs);
+    }
+
+    // --- Drills ---
+    // The ball entered or left a drill target's sensor
+    updateDrillTarget(ball, targetId, entered) {
+        if (!entered) {
+            ball.insideTargets.delete(targetId);
+            return;
+        }
+        ball.insideTargets.add(targetId);
+        if (this.drillRun && !ball.isOut && this.drillRun.enterTarget(targetId, ball.body.linvel())) {
+            this.emitDrillProgress(targetId);
+        }
+    }
+
+    emitDrillProgress(target) {
+        const { drillRun } = this;
+        this.emit(CORE_EVENTS.DRILL_PROGRESS, { drill: drillRun.id, target, progress: drillRun.progress, count: drillRun.def.goal.count });
+    }
+
+    // Count this step against the time limit, and end the run once the drill is passed or failed
+    updateDrill(stepTimeMs) {
+        const { drillRun } = this;
+        if (!this.gameState.is(GAME_STATES.PLAYING)) return; // A ball was lost this step
+        drillRun.tick(PHYSICS_STEP_MS);
+        if (drillRun.result) this.finishRun(RUN_END_REASONS.DRILL_OVER, stepTimeMs);
+    }
+
+    // A limb started touching a ball: score it and send the ball on its way.
+    // preStep is the ball's { velocity, angularVelocity } before this physics step.
+    recordTouch(ball, playerColliderHandle, preStep, stepTimeMs) {
+        const limbEntry = this.playerLimbs.get(playerColliderHandle);
+        const { player, limb } = limbEntry;
+        // Pass play: the same player touching twice in a row ends the run
+        if (this.playerMode === PLAYER_MODES.PASS && ball.lastTouchPlayer === player.index) {
+            this.loseBall(ball, RUN_END_REASONS.MISSED_PASS, stepTimeMs);
+            return;
+        }
+        const ballPosition = ball.body.translation(); // Where the ball met the limb, before it's sent off
+        const touch = ball.scorer.recordTouch(limb);
+        ball.lastTouchPlayer = player.index;
+        ball.playerTouches[player.index]++;
+        if (ball.runFirstTouchTimeMs === null) ball.runFirstTouchTimeMs = stepTimeMs;
+        ball.justHitPlayer = true;
+        if (this.touchMode === TOUCH_MODES.ASSISTED) {
+            ball.body.applyImpulse({ x: 0, y: this.physicsSettings.touchImpulseY, z: 0 }, true);
+        } else {
+            this.applyRealisticTouch(ball, limbEntry, preStep);
+        }
+        // How much the touch changed the ball's velocity, for feedback scaled to the hit
+        const velocity = ball.body.linvel();
+        const impactSpeed = Math.hypot(
+            velocity.x - preStep.velocity.x, velocity.y - preStep.velocity.y, velocity.z - preStep.velocity.z);
+        this.emit(CORE_EVENTS.TOUCH, {
+            ball: ball.index,
+            player: player.index,
+            limb,
+            bodyPart: bodyPartOfLimb(limb),
+            isFoot: isFootLimb(limb),
+            impactSpeed,
+            touchCount: ball.scorer.touchCount,
+            combos: touch.combos,
+            // For touch analytics
+            timeMs: stepTimeMs,
+            position: ballPosition,
+            height: ballPosition.y - (GROUND_Y + GROUND_HALF_THICKNESS), // Ball center above the pitch
+            bodyPoint: this.bodyPoint(player, ballPosition),
+            ballVelocity: preStep.velocity
+        });
+        if (this.drillRun && this.drillRun.touch(ball.insideTargets)) this.emitDrillProgress(null);
+    }
+
+    // Where a world point sits against the player's body: x across from the hips and y up from the
+    // feet, both in body heights (feet to nose), with x negative on the player's left.
+    // Null unless the nose, hips and ankles are all tracked.
+    bodyPoint(player, point) {
+        if (!player.pose) return null;
+        const { landmarks } = player.pose;
+        const worldLandmarks = player.pose.worldLandmarks || [];
+        const [nose, leftHip, rightHip, leftAnkle, rightAnkle] = [NOSE, L_HIP, R_HIP, L_ANKLE, R_ANKLE]
+            .map(index => this.mapLandmarkToWorld(landmarks[index], worldLandmarks[index], player.index));
+        if (!nose || !leftHip || !rightHip || !leftAnkle || !rightAnkle) return null;
+        const feetY = Math.min(leftAnkle.y, rightAnkle.y);
+        const bodyHeight = nose.y - feetY;
+        if (bodyHeight <= 0) return null;
+        return { x: (point.x - (leftHip.x + rightHip.x) / 2) / bodyHeight, y: (point.y - feetY) / bodyHeight };
+    }
+
+    // Set the ball's velocity and spin from how the touching limb was moving and where it met the ball.
+    // limb is the touching limb's playerLimbs entry; long limbs push from the point nearest the ball.
+    applyRealisticTouch(ball, { pose, velocityTracker }, { velocity: ballVelocity, angularVelocity }) {
+        const ballBody = ball.body;
+        const { ballProperties } = this;
+        const ballPosition = ballBody.translation();
+        const contact = {
+            ballPosition,
+            ballVelocity,
+            limbPosition: closestPointOnLimb(pose, ballPosition),
+            limbVelocity: velocityTracker.velocity
+        };
+        const targetVelocity = computeTouchVelocity({ ...contact, restitution: ballProperties.restitution });
+        ballBody.setAngvel(computeTouchSpin({
+            ...contact,
+            ballAngularVelocity: angularVelocity,
+            radius: ballProperties.radius,
+            spinTransfer: ballProperties.spinTransfer
+        }), true);
+        const currentVelocity = ballBody.linvel();
+        const mass = ballBody.mass();
+        ballBody.applyImpulse({
+            x: (targetVelocity.x - currentVelocity.x) * mass,
+            y: (targetVelocity.y - currentVelocity.y) * mass,
+            z: (targetVelocity.z - currentVelocity.z) * mass
+        }, true);
+    }
+}
@@ -0,0 +1,57 @@
+// --- Game State Machine ---
+// The game's flow as explicit states: loading → waiting for the player → countdown →
+// playing ⇄ paused → run over → countdown. Every change is dispatched as a
+// 'transition' event, so UI, sounds and stats can follow along without global flags.
+
+export const GAME_STATES = {
+    LOADING: 'loading',                   // Libraries, scene and pose input starting up
+    WAITING_FOR_PLAYER: 'waitingForPlayer', // Ball held until the player's legs are in frame
+    COUNTDOWN: 'countdown',               // Ball held while a short countdown runs
+    PLAYING: 'playing',                   // Physics running, touches count
+    PAUSED: 'paused',                     // Physics frozen mid-run
+    RUN_OVER: 'runOver'                   // Ball dropped; the run's summary is shown
+};
+
+// Allowed transitions from each state. Anything may go back to waiting when the input
+// source changes or the game is reset.
+const TRANSITIONS = {
+    [GAME_STATES.LOADING]: [GAME_STATES.WAITING_FOR_PLAYER],
+    [GAME_STATES.WAITING_FOR_PLAYER]: [GAME_STATES.WAITING_FOR_PLAYER, GAME_STATES.COUNTDOWN],
+    [GAME_STATES.COUNTDOWN]: [GAME_STATES.WAITING_FOR_PLAYER, GAME_STATES.COUNTDOWN, GAME_STATES.PLAYING, GAME_STATES.PAUSED],
+    [GAME_STATES.PLAYING]: [GAME_STATES.WAITING_FOR_PLAYER, GAME_STATES.COUNTDOWN, GAME_STATES.PAUSED, GAME_STATES.RUN_OVER],
+    [GAME_STATES.PAUSED]: [GAME_STATES.WAITING_FOR_PLAYER, GAME_STATES.COUNTDOWN],
+    [GAME_STATES.RUN_OVER]: [GAME_STATES.WAITING_FOR_PLAYER, GAME_STATES.COUNTDOWN]
+};
+
+export class GameStateMachine extends EventTarget {
+    constructor() {
+        super();
+        this.state = GAME_STATES.LOADING;
+        this.data = {};        // Details passed with the last transition (run summary, resume flag...)
+        this.enteredAtMs = 0;  // Game time the current state began
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    timeInStateMs(nowMs) {
+        return nowMs - this.enteredAtMs;
+    }
+
+    canTransition(to) {
+        return TRANSITIONS[this.state].includes(to);
+    }
+
+    // Move to a new state at game time nowMs. Listeners receive { from, to, data } as the event detail.
+    transition(to, nowMs, data = {}) {
+        if (!this.canTransition(to)) {
+            throw new Error(`Invalid game state transition: ${this.state} → ${to}`);
+        }
+        const from = this.state;
+        this.state = to;
+        this.data = data;
+        this.enteredAtMs = nowMs;
+        this.dispatchEvent(new CustomEvent('transition', { detail: { from, to, data } }));
+    }
+}
@@ -0,0 +1,154 @@
+// --- Gesture Commands ---
+// Body gestures that control the game hands-free. Each gesture is declared as data:
+// the landmarks it needs, predicates over those landmarks, how long it must be held,
+// a cooldown before it can fire again, and the action it triggers.
+
+// Landmark indices (check Mediapipe documentation for confirmation)
+export const NOSE = 0;
+export const L_SHOULDER = 11, R_SHOULDER = 12, L_ELBOW = 13, R_ELBOW = 14, L_WRIST = 15, R_WRIST = 16;
+export const L_HIP = 23, R_HIP = 24;
+
+const LANDMARK_VISIBILITY_THRESHOLD = 0.4; // Visibility needed for gesture checks
+
+export const GESTURE_ACTIONS = {
+    RESET: 'reset',
+    TOGGLE_PAUSE: 'togglePause',
+    TOGGLE_MENU: 'toggleMenu'
+};
+
+// --- Predicates ---
+// Raw Mediapipe coordinates: y grows downward, and the image is unmirrored so the
+// player's left side has the larger x.
+
+// Simple T-pose check (adjust tolerances as needed)
+const yTolerance = 0.3;          // Allow some droop (in normalized coordinates)
+const xToleranceShoulder = 0.1;  // Elbow must be horizontally further than shoulder
+const xToleranceElbow = 0.1;     // Wrist must be horizontally further than elbow
+
+function leftArmOutstretched(lm) {
+    const horizontal = lm[L_ELBOW].y < lm[L_SHOULDER].y + yTolerance && lm[L_WRIST].y < lm[L_ELBOW].y + yTolerance;
+    const extended = Math.abs(lm[L_ELBOW].x - lm[L_SHOULDER].x) > xToleranceShoulder && Math.abs(lm[L_WRIST].x - lm[L_ELBOW].x) > xToleranceElbow;
+    const outward = lm[L_ELBOW].x > lm[L_SHOULDER].x && lm[L_WRIST].x > lm[L_ELBOW].x; // Using > because X is mirrored
+    return horizontal && extended && outward;
+}
+
+function rightArmOutstretched(lm) {
+    const horizontal = lm[R_ELBOW].y < lm[R_SHOULDER].y + yTolerance && lm[R_WRIST].y < lm[R_ELBOW].y + yTolerance;
+    const extended = Math.abs(lm[R_ELBOW].x - lm[R_SHOULDER].x) > xToleranceShoulder && Math.abs(lm[R_WRIST].x - lm[R_ELBOW].x) > xToleranceElbow;
+    const outward = lm[R_ELBOW].x < lm[R_SHOULDER].x && lm[R_WRIST].x < lm[R_ELBOW].x; // Using < because X is mirrored
+    return horizontal && extended && outward;
+}
+
+const bothWristsAboveHead = (lm) => lm[L_WRIST].y < lm[NOSE].y && lm[R_WRIST].y < lm[NOSE].y;
+
+// Each wrist has crossed the body's midline to the opposite side
+const wristsCrossed = (lm) => lm[L_WRIST].x < lm[R_WRIST].x;
+
+// Wrists held in front of the chest, between shoulder and hip height
+const wristsAtChest = (lm) => {
+    const top = Math.min(lm[L_SHOULDER].y, lm[R_SHOULDER].y);
+    const bottom = Math.max(lm[L_HIP].y, lm[R_HIP].y);
+    return [lm[L_WRIST], lm[R_WRIST]].every(wrist => wrist.y > top && wrist.y < bottom);
+};
+
+// Each hand resting on its own shoulder: close to it relative to the shoulder width
+const HAND_ON_SHOULDER_DISTANCE = 0.5; // Shoulder widths
+const handsOnShoulders = (lm) => {
+    const shoulderWidth = Math.abs(lm[L_SHOULDER].x - lm[R_SHOULDER].x);
+    const near = (wrist, shoulder) => Math.hypot(wrist.x - shoulder.x, wrist.y - shoulder.y) < HAND_ON_SHOULDER_DISTANCE * shoulderWidth;
+    return near(lm[L_WRIST], lm[L_SHOULDER]) && near(lm[R_WRIST], lm[R_SHOULDER]);
+};
+
+// --- Registry ---
+export const DEFAULT_GESTURES = [
+    {
+        id: 'tPose',
+        label: 'T-pose: reset',
+        landmarks: [L_SHOULDER, R_SHOULDER, L_ELBOW, R_ELBOW, L_WRIST, R_WRIST],
+        predicates: [leftArmOutstretched, rightArmOutstretched],
+        holdMs: 700,
+        cooldownMs: 2000,
+        action: GESTURE_ACTIONS.RESET
+    },
+    {
+        id: 'handsUp',
+        label: 'Hands up: pause / resume',
+        landmarks: [NOSE, L_WRIST, R_WRIST],
+        predicates: [bothWristsAboveHead],
+        holdMs: 1000,
+        cooldownMs: 1500,
+        action: GESTURE_ACTIONS.TOGGLE_PAUSE
+    },
+    {
+        id: 'armsCrossed',
+        label: 'Arms crossed: stats',
+        landmarks: [L_SHOULDER, R_SHOULDER, L_WRIST, R_WRIST, L_HIP, R_HIP],
+        predicates: [wristsCrossed, wristsAtChest],
+        holdMs: 1000,
+        cooldownMs: 2000,
+        action: GESTURE_ACTIONS.TOGGLE_MENU
+    }
+];
+
+// Seated play swaps the T-pose for a reset that needs no room to the sides, which armrests or a
+// desk can take away
+export const SEATED_GESTURES = [
+    {
+        id: 'handsOnShoulders',
+        label: 'Hands on shoulders: reset',
+        landmarks: [L_SHOULDER, R_SHOULDER, L_WRIST, R_WRIST],
+        predicates: [handsOnShoulders],
+        holdMs: 700,
+        cooldownMs: 2000,
+        action: GESTURE_ACTIONS.RESET
+    },
+    ...DEFAULT_GESTURES.filter(gesture => gesture.action !== GESTURE_ACTIONS.RESET)
+];
+
+function matchesGesture(gesture, landmarks) {
+    if (!landmarks) return false;
+    // Check visibility of all required landmarks
+    if (!gesture.landmarks.every(i => landmarks[i] && landmarks[i].visibility > LANDMARK_VISIBILITY_THRESHOLD)) {
+        return false;
+    }
+    return gesture.predicates.every(predicate => predicate(landmarks));
+}
+
+export class GestureRecognizer {
+    constructor(gestures = DEFAULT_GESTURES) {
+        this.gestures = gestures;
+        this.reset();
+    }
+
+    reset() {
+        this.holdStartMs = new Map();     // Gesture id -> when the current hold began
+        this.cooldownEndsAtMs = new Map(); // Gesture id -> when it may fire again
+    }
+
+    isCoolingDown(id, nowMs) {
+        return nowMs < (this.cooldownEndsAtMs.get(id) ?? -Infinity);
+    }
+
+    // Call once per frame with the latest landmarks (or null). Returns the gestures that
+    // completed their hold this frame, and the gesture closest to completing for feedback.
+    update(landmarks, nowMs) {
+        const triggered = [];
+        let active = null;
+        for (const gesture of this.gestures) {
+            if (this.isCoolingDown(gesture.id, nowMs) || !matchesGesture(gesture, landmarks)) {
+                this.holdStartMs.delete(gesture.id);
+                continue;
+            }
+            if (!this.holdStartMs.has(gesture.id)) this.holdStartMs.set(gesture.id, nowMs);
+            const progress = (nowMs - this.holdStartMs.get(gesture.id)) / gesture.holdMs;
+            if (progress >= 1) {
+                triggered.push(gesture);
+                this.holdStartMs.delete(gesture.id);
+                this.cooldownEndsAtMs.set(gesture.id, nowMs + gesture.cooldownMs);
+            } else if (!active || progress > active.progress) {
+                active = { gesture, progress };
+            }
+        }
+        return { triggered, active };
+    }
+}
@@ -0,0 +1,156 @@
+// --- Limb Shapes ---
+// Where each limb's collider sits and what shape it has, worked out from landmarks already
+// mapped to world space. Knees, feet, hands and the head are spheres, thighs are capsules running
+// down from the hips, and the chest is a box over the top half of the shoulder/hip quad.
+
+import { LIMBS } from './touchScoring.js';
+
+export const LIMB_SHAPE_TYPES = {
+    SPHERE: 'sphere',
+    CAPSULE: 'capsule',
+    BOX: 'box'
+};
+
+const NOSE = 0, L_EAR = 7, R_EAR = 8;
+const L_SHOULDER = 11, R_SHOULDER = 12, L_HIP = 23, R_HIP = 24;
+const L_WRIST = 15, R_WRIST = 16, L_PINKY = 17, R_PINKY = 18, L_INDEX = 19, R_INDEX = 20, L_THUMB = 21, R_THUMB = 22;
+const L_KNEE = 25, R_KNEE = 26, L_ANKLE = 27, R_ANKLE = 28;
+
+const THIGH_LENGTH_SHARE = 0.75; // Of hip to knee; the knee's own sphere covers the rest
+const CHEST_HEIGHT_SHARE = 0.5;  // Of shoulders to hips
+
+// landmarks: the pose landmarks each shape is built from. radiusScale multiplies the limb reach
+// setting; a partial shape makes do with whichever of its landmarks are tracked.
+export const LIMB_SHAPES = {
+    [LIMBS.LEFT_KNEE]: { type: LIMB_SHAPE_TYPES.SPHERE, landmarks: [L_KNEE] },
+    [LIMBS.RIGHT_KNEE]: { type: LIMB_SHAPE_TYPES.SPHERE, landmarks: [R_KNEE] },
+    [LIMBS.LEFT_FOOT]: { type: LIMB_SHAPE_TYPES.SPHERE, landmarks: [L_ANKLE] },
+    [LIMBS.RIGHT_FOOT]: { type: LIMB_SHAPE_TYPES.SPHERE, landmarks: [R_ANKLE] },
+    [LIMBS.LEFT_THIGH]: { type: LIMB_SHAPE_TYPES.CAPSULE, landmarks: [L_HIP, L_KNEE], radiusScale: 0.8 },
+    [LIMBS.RIGHT_THIGH]: { type: LIMB_SHAPE_TYPES.CAPSULE, landmarks: [R_HIP, R_KNEE], radiusScale: 0.8 },
+    [LIMBS.CHEST]: { type: LIMB_SHAPE_TYPES.BOX, landmarks: [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP] },
+    [LIMBS.HEAD]: { type: LIMB_SHAPE_TYPES.SPHERE, landmarks: [NOSE, L_EAR, R_EAR], radiusScale: 1.6, partial: true },
+    // Centered on the palm; the wrist alone will do when the fingers aren't tracked
+    [LIMBS.LEFT_HAND]: { type: LIMB_SHAPE_TYPES.SPHERE, landmarks: [L_WRIST, L_PINKY, L_INDEX, L_THUMB], partial: true },
+    [LIMBS.RIGHT_HAND]: { type: LIMB_SHAPE_TYPES.SPHERE, landmarks: [R_WRIST, R_PINKY, R_INDEX, R_THUMB], partial: true }
+};
+
+export const limbRadius = (limb, playerColliderRadius) => playerColliderRadius * (LIMB_SHAPES[limb].radiusScale || 1);
+
+// Collider pose for a limb from its landmarks' world positions (in LIMB_SHAPES order, null when
+// not tracked). Returns null if the shape can't be placed, otherwise
+// sphere: { position, radius }; capsule: { position, rotation, radius, halfHeight, start, end };
+// box: { position, rotation, halfExtents }
+export function limbShapePose(limb, points, radius) {
+    const shape = LIMB_SHAPES[limb];
+    const tracked = points.filter(Boolean);
+    if (tracked.length === 0 || (!shape.partial && tracked.length < points.length)) return null;
+
+    switch (shape.type) {
+        case LIMB_SHAPE_TYPES.SPHERE:
+            return { position: scale(tracked.reduce(add), 1 / tracked.length), radius };
+
+        case LIMB_SHAPE_TYPES.CAPSULE: {
+            const [start, knee] = points;
+            const end = add(start, scale(subtract(knee, start), THIGH_LENGTH_SHARE));
+            const axis = subtract(end, start);
+            const length = Math.hypot(axis.x, axis.y, axis.z);
+            return {
+                position: scale(add(start, end), 0.5),
+                rotation: length > 1e-6 ? rotationFromUp(scale(axis, 1 / length)) : { x: 0, y: 0, z: 0, w: 1 },
+                radius,
+                halfHeight: length / 2,
+                start,
+                end
+            };
+        }
+
+        case LIMB_SHAPE_TYPES.BOX: {
+            const [leftShoulder, rightShoulder, leftHip, rightHip] = points;
+            const shoulderMid = scale(add(leftShoulder, rightShoulder), 0.5);
+            const hipMid = scale(add(leftHip, rightHip), 0.5);
+            const across = subtract(leftShoulder, rightShoulder);
+            const up = subtract(shoulderMid, hipMid);
+            const width = Math.hypot(across.x, across.y, across.z);
+            const torsoLength = Math.hypot(up.x, up.y, up.z);
+            if (width < 1e-6 || torsoLength < 1e-6) return null;
+            // Box axes: x along the shoulders, y up the torso, z out of the chest
+            const xAxis = scale(across, 1 / width);
+            const upAlongX = dot(up, xAxis);
+            const yRaw = subtract(up, scale(xAxis, upAlongX));
+            const yLength = Math.hypot(yRaw.x, yRaw.y, yRaw.z);
+            if (yLength < 1e-6) return null;
+            const yAxis = scale(yRaw, 1 / yLength);
+            const chestHeight = torsoLength * CHEST_HEIGHT_SHARE;
+            return {
+                position: subtract(shoulderMid, scale(up, CHEST_HEIGHT_SHARE / 2)),
+                rotation: rotationFromAxes(xAxis, yAxis, cross(xAxis, yAxis)),
+                halfExtents: { x: width / 2, y: chestHeight / 2, z: radius }
+            };
+        }
+    }
+    return null;
+}
+
+// The point inside the shape's core nearest to point: the touch pushes the ball away from here
+export function closestPointOnLimb(pose, point) {
+    if (pose.start) { // Capsule: nearest point on its segment
+        const axis = subtract(pose.end, pose.start);
+        const lengthSq = dot(axis, axis);
+        const t = lengthSq > 1e-12 ? Math.min(1, Math.max(0, dot(subtract(point, pose.start), axis) / lengthSq)) : 0;
+        return add(pose.start, scale(axis, t));
+    }
+    if (pose.halfExtents) { // Box: clamp into it in its own frame
+        const { halfExtents, rotation } = pose;
+        const local = rotate(conjugate(rotation), subtract(point, pose.position));
+        const clamped = {
+            x: Math.min(halfExtents.x, Math.max(-halfExtents.x, local.x)),
+            y: Math.min(halfExtents.y, Math.max(-halfExtents.y, local.y)),
+            z: Math.min(halfExtents.z, Math.max(-halfExtents.z, local.z))
+        };
+        return add(pose.position, rotate(rotation, clamped));
+    }
+    return pose.position;
+}
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const scale = (a, s) => ({ x: a.x * s, y: a.y * s, z: a.z * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const conjugate = (q) => ({ x: -q.x, y: -q.y, z: -q.z, w: q.w });
+
+function rotate(q, v) {
+    const t = scale(cross(q, v), 2);
+    return add(add(v, scale(t, q.w)), cross(q, t));
+}
+
+// Shortest rotation taking +Y (the capsule axis) onto unit vector direction
+function rotationFromUp(direction) {
+    const w = 1 + direction.y;
+    if (w < 1e-6) return { x: 1, y: 0, z: 0, w: 0 }; // Straight down: half a turn about X
+    const length = Math.hypot(direction.z, direction.x, w);
+    return { x: direction.z / length, y: 0, z: -direction.x / length, w: w / length };
+}
+
+// Quaternion for the rotation whose matrix has orthonormal columns xAxis, yAxis, zAxis
+function rotationFromAxes(xAxis, yAxis, zAxis) {
+    const m00 = xAxis.x, m01 = yAxis.x, m02 = zAxis.x;
+    const m10 = xAxis.y, m11 = yAxis.y, m12 = zAxis.y;
+    const m20 = xAxis.z, m21 = yAxis.z, m22 = zAxis.z;
+    const trace = m00 + m11 + m22;
+    if (trace > 0) {
+        const s = 0.5 / Math.sqrt(trace + 1);
+        return { x: (m21 - m12) * s, y: (m02 - m20) * s, z: (m10 - m01) * s, w: 0.25 / s };
+    }
+    if (m00 > m11 && m00 > m22) {
+        const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+        return { x: 0.25 * s, y: (m01 + m10) / s, z: (m02 + m20) / s, w: (m21 - m12) / s };
+    }
+    if (m11 > m22) {
+        const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+        return { x: (m01 + m10) / s, y: 0.25 * s, z: (m12 + m21) / s, w: (m02 - m20) / s };
+    }
+    const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+    return { x: (m02 + m20) / s, y: (m12 + m21) / s, z: 0.25 * s, w: (m10 - m01) / s };
+}
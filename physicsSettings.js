@@ -0,0 +1,174 @@
+// --- Physics Settings & Difficulty ---
+// The numbers that decide how the ball feels, as one plain settings object. Each setting
+// is declared with its range so the tuning panel, URL parsing and JSON import all share
+// the same limits. Named presets set everything at once.
+
+const PHYSICS_STORAGE_KEY = 'keepUps.physics';
+const PHYSICS_FILE_TYPE = 'keepUpsPhysicsSettings';
+const PHYSICS_FILE_VERSION = 1;
+export const DIFFICULTY_QUERY_PARAM = 'difficulty';
+
+// Ordered as they appear in the tuning panel
+export const PHYSICS_SETTING_DEFS = [
+    { key: 'gravityY', label: 'Gravity', min: -15, max: -2, step: 0.1 },
+    { key: 'touchImpulseY', label: 'Assisted touch pop', min: 0.2, max: 2, step: 0.05 },
+    { key: 'maxUpwardVelocity', label: 'Max rise speed (assisted)', min: 2, max: 12, step: 0.5 },
+    { key: 'maxRealisticUpwardVelocity', label: 'Max rise speed (realistic)', min: 2, max: 15, step: 0.5 },
+    { key: 'zDamping', label: 'Depth damping (assisted)', min: 0.5, max: 1, step: 0.01 },
+    { key: 'ballRestitution', label: 'Ball bounce', min: 0, max: 1, step: 0.05 },
+    { key: 'ballDensity', label: 'Ball density', min: 0.2, max: 3, step: 0.1 },
+    { key: 'ballLinearDamping', label: 'Air drag', min: 0, max: 1, step: 0.01 },
+    { key: 'ballAngularDamping', label: 'Spin drag', min: 0, max: 2, step: 0.05 },
+    { key: 'ballRadius', label: 'Ball size', min: 0.1, max: 0.5, step: 0.01 },
+    { key: 'playerColliderRadius', label: 'Limb reach', min: 0.05, max: 0.3, step: 0.01 },
+    { key: 'spinTransfer', label: 'Spin from off-center touches', min: 0, max: 1, step: 0.05 },
+    { key: 'magnusStrength', label: 'Curve from spin (Magnus)', min: 0, max: 0.2, step: 0.005 }
+];
+
+export const DIFFICULTIES = {
+    EASY: 'easy',
+    NORMAL: 'normal',
+    PRO: 'pro'
+};
+
+export const DIFFICULTY_LABELS = {
+    [DIFFICULTIES.EASY]: 'Easy: floaty ball',
+    [DIFFICULTIES.NORMAL]: 'Normal',
+    [DIFFICULTIES.PRO]: 'Pro: real-ball gravity'
+};
+
+export const DIFFICULTY_PRESETS = {
+    [DIFFICULTIES.NORMAL]: {
+        gravityY: -8,
+        touchImpulseY: 0.7,
+        maxUpwardVelocity: 5,
+        maxRealisticUpwardVelocity: 8, // Realistic touches need headroom for height control
+        zDamping: 0.8,
+        ballRestitution: 0.6,
+        ballDensity: 1.1,
+        ballLinearDamping: 0.1,
+        ballAngularDamping: 0.3,
+        ballRadius: 0.25,
+        playerColliderRadius: 0.13,
+        spinTransfer: 0.4,
+        magnusStrength: 0.05
+    },
+    // Slow, big ball and generous limbs for beginners
+    [DIFFICULTIES.EASY]: {
+        gravityY: -5,
+        touchImpulseY: 0.8,
+        maxUpwardVelocity: 4.5,
+        maxRealisticUpwardVelocity: 7,
+        zDamping: 0.7,
+        ballRestitution: 0.65,
+        ballDensity: 1.0,
+        ballLinearDamping: 0.35,
+        ballAngularDamping: 0.5,
+        ballRadius: 0.3,
+        playerColliderRadius: 0.17,
+        spinTransfer: 0.3,
+        magnusStrength: 0.03 // Less curve to chase
+    },
+    // Earth gravity, a smaller ball that carries, and tight limbs
+    [DIFFICULTIES.PRO]: {
+        gravityY: -9.81,
+        touchImpulseY: 0.7,
+        maxUpwardVelocity: 6,
+        maxRealisticUpwardVelocity: 10,
+        zDamping: 0.85,
+        ballRestitution: 0.55,
+        ballDensity: 1.1,
+        ballLinearDamping: 0.02,
+        ballAngularDamping: 0.2,
+        ballRadius: 0.22,
+        playerColliderRadius: 0.11,
+        spinTransfer: 0.5,
+        magnusStrength: 0.06
+    }
+};
+
+export const DEFAULT_PHYSICS_SETTINGS = DIFFICULTY_PRESETS[DIFFICULTIES.NORMAL];
+
+// Fill in missing settings from Normal, clamp to each setting's range and drop anything unknown
+export function normalizePhysicsSettings(settings = {}) {
+    const normalized = {};
+    for (const { key, min, max } of PHYSICS_SETTING_DEFS) {
+        const value = Number(settings[key]);
+        normalized[key] = Number.isFinite(value) && settings[key] !== null && settings[key] !== ''
+            ? Math.min(max, Math.max(min, value))
+            : DEFAULT_PHYSICS_SETTINGS[key];
+    }
+    return normalized;
+}
+
+// The preset these settings are exactly, or null for a custom setup
+export function matchingDifficulty(settings) {
+    const match = Object.entries(DIFFICULTY_PRESETS)
+        .find(([, preset]) => PHYSICS_SETTING_DEFS.every(({ key }) => preset[key] === settings[key]));
+    return match ? match[0] : null;
+}
+
+// --- Sharing ---
+// A URL carries ?difficulty=<preset>, individual settings by key (?gravityY=-9.81), or both,
+// with the individual settings applied on top of the preset. Returns null if it has neither.
+export function physicsSettingsFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const difficulty = params.get(DIFFICULTY_QUERY_PARAM);
+    const overrides = PHYSICS_SETTING_DEFS.filter(({ key }) => params.has(key));
+    if (!DIFFICULTY_PRESETS[difficulty] && overrides.length === 0) return null;
+    const settings = { ...(DIFFICULTY_PRESETS[difficulty] || DEFAULT_PHYSICS_SETTINGS) };
+    overrides.forEach(({ key }) => { settings[key] = params.get(key); });
+    return normalizePhysicsSettings(settings);
+}
+
+// A copy of url that reproduces these settings: just the preset name when they match one
+export function physicsSettingsToUrl(settings, url) {
+    const shareUrl = new URL(url);
+    shareUrl.searchParams.delete(DIFFICULTY_QUERY_PARAM);
+    PHYSICS_SETTING_DEFS.forEach(({ key }) => shareUrl.searchParams.delete(key));
+    const difficulty = matchingDifficulty(settings);
+    if (difficulty) {
+        shareUrl.searchParams.set(DIFFICULTY_QUERY_PARAM, difficulty);
+    } else {
+        PHYSICS_SETTING_DEFS
+            .filter(({ key }) => settings[key] !== DEFAULT_PHYSICS_SETTINGS[key])
+            .forEach(({ key }) => shareUrl.searchParams.set(key, settings[key]));
+    }
+    return shareUrl.toString();
+}
+
+export function loadPhysicsSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PHYSICS_STORAGE_KEY));
+        return saved ? normalizePhysicsSettings(saved) : { ...DEFAULT_PHYSICS_SETTINGS };
+    } catch (error) {
+        console.warn("Ignoring unreadable physics settings:", error);
+        return { ...DEFAULT_PHYSICS_SETTINGS };
+    }
+}
+
+export function savePhysicsSettings(settings) {
+    localStorage.setItem(PHYSICS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function parsePhysicsSettings(text) {
+    const data = JSON.parse(text);
+    if (!data || data.type !== PHYSICS_FILE_TYPE || typeof data.settings !== 'object') {
+        throw new Error('Not a physics settings file');
+    }
+    if (data.version !== PHYSICS_FILE_VERSION) {
+        throw new Error(`Unsupported physics settings version: ${data.version}`);
+    }
+    return normalizePhysicsSettings(data.settings);
+}
+
+export function downloadPhysicsSettings(settings) {
+    const data = { type: PHYSICS_FILE_TYPE, version: PHYSICS_FILE_VERSION, settings };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `keep-ups-physics-${matchingDifficulty(settings) || 'custom'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
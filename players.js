@@ -0,0 +1,116 @@
+// --- Local Multiplayer ---
+// Player modes, and the tracker that keeps each person in front of the camera bound to
+// the same player slot from frame to frame. Pose detectors return people in no particular
+// order, so identity comes from where each person was and how big they appear.
+
+export const PLAYER_MODES = {
+    SINGLE: 'single',
+    PASS: 'pass',     // Two players share one ball; touches must alternate between them
+    VERSUS: 'versus'  // Two players, each with their own ball and score
+};
+
+export const PLAYER_MODE_LABELS = {
+    [PLAYER_MODES.SINGLE]: '1 player',
+    [PLAYER_MODES.PASS]: '2 players: pass',
+    [PLAYER_MODES.VERSUS]: '2 players: versus'
+};
+
+export const MAX_PLAYERS = 2;
+
+export function playerCountForMode(mode) {
+    return mode === PLAYER_MODES.SINGLE ? 1 : 2;
+}
+
+// Marker colors (3D) and skeleton colors (webcam overlay) per player slot
+export const PLAYER_COLORS = [
+    { knee: 0x0077ff, foot: 0xff0000, body: 0x00cc88, hand: 0x00e5ff, skeleton: '#00FF00', css: '#4da6ff' },
+    { knee: 0xff9900, foot: 0xaa00ff, body: 0xffdd33, hand: 0xff4d88, skeleton: '#FF66FF', css: '#ffad33' }
+];
+
+const L_SHOULDER = 11, R_SHOULDER = 12, L_HIP = 23, R_HIP = 24;
+const MIN_VISIBILITY = 0.3;
+
+const LOST_GRACE_MS = 3000;     // A slot remembers where its player was for this long after losing them
+const MAX_PREDICTION_MS = 500;  // Don't extrapolate a lost player's movement further than this
+const SIZE_WEIGHT = 2.0;        // How much torso-length differences count against a match, relative to x distance
+const UNSEEN_SLOT_COST = 0.5;   // Makes a remembered slot win over an empty one at the same distance
+const VELOCITY_SMOOTHING = 0.3;
+
+// Each slot owns one side of the (unmirrored) image and the matching half of the pitch:
+// player 1 appears on the left of the mirrored view, which is the larger raw x.
+export const PLAYER_HOME_IMAGE_X = [0.75, 0.25];
+export const PLAYER_HOME_WORLD_X = [-1.4, 1.4];
+
+// Hip center x and torso length: cheap descriptors that survive players crossing paths
+function describePose(landmarks) {
+    if (!landmarks) return null;
+    const points = [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP].map(i => landmarks[i]);
+    if (!points.every(p => p && (p.visibility ?? 1) >= MIN_VISIBILITY)) return null;
+    const [ls, rs, lh, rh] = points;
+    const hipX = (lh.x + rh.x) / 2;
+    const torso = Math.hypot((ls.x + rs.x) / 2 - hipX, (ls.y + rs.y) / 2 - (lh.y + rh.y) / 2);
+    return { x: hipX, torso };
+}
+
+export class PlayerTracker {
+    constructor(slotCount = MAX_PLAYERS) {
+        this.slotCount = slotCount;
+        this.reset();
+    }
+
+    reset() {
+        // Per slot: { x, torso, velocityX, lastSeenMs } once a player has been seen
+        this.slots = Array.from({ length: this.slotCount }, () => null);
+    }
+
+    // How poorly a detected pose fits a slot; lower is better
+    matchCost(slotIndex, descriptor, nowMs) {
+        const slot = this.slots[slotIndex];
+        if (!slot || nowMs - slot.lastSeenMs > LOST_GRACE_MS) {
+            return Math.abs(descriptor.x - PLAYER_HOME_IMAGE_X[slotIndex]) + UNSEEN_SLOT_COST;
+        }
+        const aheadS = Math.min(nowMs - slot.lastSeenMs, MAX_PREDICTION_MS) / 1000;
+        const predictedX = slot.x + slot.velocityX * aheadS;
+        return Math.abs(descriptor.x - predictedX) + SIZE_WEIGHT * Math.abs(descriptor.torso - slot.torso);
+    }
+
+    // poses: [{ landmarks, worldLandmarks }] in detector order. Returns one entry per slot,
+    // the pose assigned to that player or null when they are not in frame.
+    assign(poses, nowMs) {
+        const candidates = [];
+        poses.forEach((pose, poseIndex) => {
+            const descriptor = describePose(pose.landmarks);
+            if (!descriptor) return;
+            for (let slotIndex = 0; slotIndex < this.slotCount; slotIndex++) {
+                candidates.push({ poseIndex, slotIndex, descriptor, cost: this.matchCost(slotIndex, descriptor, nowMs) });
+            }
+        });
+        // Greedy matching: the most confident pairs claim their slots first
+        candidates.sort((a, b) => a.cost - b.cost);
+
+        const assigned = Array.from({ length: this.slotCount }, () => null);
+        const usedPoses = new Set();
+        for (const { poseIndex, slotIndex, descriptor } of candidates) {
+            if (assigned[slotIndex] || usedPoses.has(poseIndex)) continue;
+            assigned[slotIndex] = poses[poseIndex];
+            usedPoses.add(poseIndex);
+            this.updateSlot(slotIndex, descriptor, nowMs);
+        }
+        return assigned;
+    }
+
+    updateSlot(slotIndex, descriptor, nowMs) {
+        const slot = this.slots[slotIndex];
+        if (!slot || nowMs - slot.lastSeenMs > LOST_GRACE_MS) {
+            this.slots[slotIndex] = { ...descriptor, velocityX: 0, lastSeenMs: nowMs };
+            return;
+        }
+        const dtS = (nowMs - slot.lastSeenMs) / 1000;
+        if (dtS > 0) {
+            slot.velocityX += ((descriptor.x - slot.x) / dtS - slot.velocityX) * VELOCITY_SMOOTHING;
+        }
+        slot.x = descriptor.x;
+        slot.torso = descriptor.torso;
+        slot.lastSeenMs = nowMs;
+    }
+}
@@ -0,0 +1,130 @@
+// --- Pose Filtering & Latency Compensation ---
+// Sits between pose results and the kinematic colliders. Pose samples arrive at the
+// camera's rate (and late, after Mediapipe's processing), while the game renders at
+// the display's rate. Each tracked limb position is smoothed with a One-Euro filter,
+// then interpolated or extrapolated to the current game time.
+
+export const FILTER_MODES = {
+    OFF: 'off',                 // Raw samples, held until the next one arrives (original behavior)
+    SMOOTH: 'smooth',           // One-Euro smoothing, held between samples
+    INTERPOLATE: 'interpolate', // Smoothing plus blending between the last two samples; smoothest, one sample behind
+    PREDICT: 'predict'          // Smoothing plus extrapolation to "now", compensating pipeline latency
+};
+
+export const DEFAULT_FILTER_SETTINGS = {
+    mode: FILTER_MODES.PREDICT,
+    minCutoff: 1.5,          // Hz; lower = steadier when still, laggier when moving slowly
+    beta: 0.8,               // How quickly the cutoff rises with speed; higher = less lag on fast kicks
+    extraLatencyMs: 30,      // Camera capture/display delay on top of the measured Mediapipe time
+    maxExtrapolationMs: 120  // Never predict further ahead than this
+};
+
+const DERIVATIVE_CUTOFF = 1.0; // Hz, for the One-Euro filter's speed estimate
+
+function smoothingFactor(cutoffHz, dtS) {
+    const tau = 1 / (2 * Math.PI * cutoffHz);
+    return 1 / (1 + tau / dtS);
+}
+
+// One-Euro filter (Casiez et al. 2012) for a single value
+export class OneEuroFilter {
+    constructor(settings) {
+        this.settings = settings; // Shared object, so runtime tuning applies immediately
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTimeMs = null;
+    }
+
+    filter(value, timeMs) {
+        if (this.value === null || timeMs <= this.lastTimeMs) {
+            this.value = value;
+            this.lastTimeMs = timeMs;
+            return value;
+        }
+        const dtS = (timeMs - this.lastTimeMs) / 1000;
+        const rawDerivative = (value - this.value) / dtS;
+        this.derivative += smoothingFactor(DERIVATIVE_CUTOFF, dtS) * (rawDerivative - this.derivative);
+        const cutoff = this.settings.minCutoff + this.settings.beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(cutoff, dtS) * (value - this.value);
+        this.lastTimeMs = timeMs;
+        return this.value;
+    }
+}
+
+class LimbTrack {
+    constructor(settings) {
+        this.axisFilters = { x: new OneEuroFilter(settings), y: new OneEuroFilter(settings), z: new OneEuroFilter(settings) };
+        this.reset();
+    }
+
+    reset() {
+        Object.values(this.axisFilters).forEach(filter => filter.reset());
+        this.raw = null;
+        this.previous = null; // { position, timeMs } of the sample before latest
+        this.latest = null;
+    }
+}
+
+export class PoseFilter {
+    constructor(settings = { ...DEFAULT_FILTER_SETTINGS }) {
+        this.settings = settings;
+        this.tracks = new Map(); // Limb key -> LimbTrack
+    }
+
+    track(key) {
+        if (!this.tracks.has(key)) this.tracks.set(key, new LimbTrack(this.settings));
+        return this.tracks.get(key);
+    }
+
+    reset() {
+        this.tracks.forEach(track => track.reset());
+    }
+
+    // Feed one pose sample for a limb. timeMs is when the pose was captured (arrival time minus latency).
+    addSample(key, position, timeMs) {
+        const track = this.track(key);
+        if (!position) {
+            track.reset();
+            return null;
+        }
+        track.raw = position;
+        const filtered = {
+            x: track.axisFilters.x.filter(position.x, timeMs),
+            y: track.axisFilters.y.filter(position.y, timeMs),
+            z: track.axisFilters.z.filter(position.z, timeMs)
+        };
+        track.previous = track.latest;
+        track.latest = { position: filtered, timeMs };
+        return filtered;
+    }
+
+    // Where the limb should be drawn and collide at game time nowMs
+    estimate(key, nowMs) {
+        const track = this.track(key);
+        if (!track.latest) return null;
+        const { mode, maxExtrapolationMs } = this.settings;
+        if (mode === FILTER_MODES.OFF) return track.raw;
+        const latest = track.latest;
+        const previous = track.previous;
+        if (mode === FILTER_MODES.SMOOTH || !previous || latest.timeMs <= previous.timeMs) return latest.position;
+
+        const intervalMs = latest.timeMs - previous.timeMs;
+        let t;
+        if (mode === FILTER_MODES.INTERPOLATE) {
+            // Show the pose one sample interval in the past, blending the two samples either side of it
+            t = Math.min(1, Math.max(0, (nowMs - intervalMs - previous.timeMs) / intervalMs));
+        } else {
+            const aheadMs = Math.min(maxExtrapolationMs, Math.max(0, nowMs - latest.timeMs));
+            t = 1 + aheadMs / intervalMs;
+        }
+        return {
+            x: previous.position.x + (latest.position.x - previous.position.x) * t,
+            y: previous.position.y + (latest.position.y - previous.position.y) * t,
+            z: previous.position.z + (latest.position.z - previous.position.z) * t
+        };
+    }
+}
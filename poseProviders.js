@@ -0,0 +1,570 @@
+// --- Pose Input Providers ---
+// Every input source the game can read poses from. A provider hands results to the
+// game in the same { poseLandmarks } shape Mediapipe's onResults produces, so the
+// game loop never needs to know where a pose came from.
+//
+// Results may also carry poses: [{ landmarks, worldLandmarks }] when a source sees more
+// than one person (two-player modes); poseLandmarks is then the first of them.
+//
+// Provider interface:
+//   start(onResults) -> Promise   begin emitting results to onResults
+//   stop()                        stop emitting and release listeners/devices
+//   update(stepMs)                called once per game frame; frame-driven sources emit here
+//   fixedStepMs                   if set, the game advances by exactly this much per frame
+//   isFinished                    true once a finite source has nothing left to emit
+import { PoseReplay } from './poseRecording.js';
+
+// Mediapipe landmark indices used to build synthetic skeletons
+export const LANDMARK = {
+    NOSE: 0, L_EYE: 2, R_EYE: 5, L_EAR: 7, R_EAR: 8,
+    L_SHOULDER: 11, R_SHOULDER: 12, L_ELBOW: 13, R_ELBOW: 14, L_WRIST: 15, R_WRIST: 16,
+    L_HIP: 23, R_HIP: 24, L_KNEE: 25, R_KNEE: 26, L_ANKLE: 27, R_ANKLE: 28,
+    L_HEEL: 29, R_HEEL: 30, L_FOOT_INDEX: 31, R_FOOT_INDEX: 32
+};
+
+// Joints that move together when a knee or ankle is dragged or kicked
+const LEG_CHAINS = {
+    [LANDMARK.L_KNEE]: [LANDMARK.L_KNEE, LANDMARK.L_ANKLE, LANDMARK.L_HEEL, LANDMARK.L_FOOT_INDEX],
+    [LANDMARK.R_KNEE]: [LANDMARK.R_KNEE, LANDMARK.R_ANKLE, LANDMARK.R_HEEL, LANDMARK.R_FOOT_INDEX],
+    [LANDMARK.L_ANKLE]: [LANDMARK.L_ANKLE, LANDMARK.L_HEEL, LANDMARK.L_FOOT_INDEX],
+    [LANDMARK.R_ANKLE]: [LANDMARK.R_ANKLE, LANDMARK.R_HEEL, LANDMARK.R_FOOT_INDEX]
+};
+const DRAGGABLE_JOINTS = [LANDMARK.L_KNEE, LANDMARK.R_KNEE, LANDMARK.L_ANKLE, LANDMARK.R_ANKLE];
+
+// Standing pose in raw (unmirrored) image coordinates: the player's left side has the larger x.
+// Entries are [x offset from body center, y]; index order follows Mediapipe's 33-point model.
+const STANDING_POSE = [
+    [0, 0.15],                                              // 0 nose
+    [0.012, 0.13], [0.02, 0.13], [0.028, 0.13],             // 1-3 left eye inner/center/outer
+    [-0.012, 0.13], [-0.02, 0.13], [-0.028, 0.13],          // 4-6 right eye inner/center/outer
+    [0.04, 0.15], [-0.04, 0.15],                            // 7-8 ears
+    [0.015, 0.18], [-0.015, 0.18],                          // 9-10 mouth
+    [0.08, 0.3], [-0.08, 0.3],                              // 11-12 shoulders
+    [0.1, 0.42], [-0.1, 0.42],                              // 13-14 elbows
+    [0.1, 0.52], [-0.1, 0.52],                              // 15-16 wrists
+    [0.105, 0.55], [-0.105, 0.55],                          // 17-18 pinkies
+    [0.1, 0.56], [-0.1, 0.56],                              // 19-20 index fingers
+    [0.09, 0.54], [-0.09, 0.54],                            // 21-22 thumbs
+    [0.05, 0.55], [-0.05, 0.55],                            // 23-24 hips
+    [0.05, 0.72], [-0.05, 0.72],                            // 25-26 knees
+    [0.05, 0.9], [-0.05, 0.9],                              // 27-28 ankles
+    [0.045, 0.92], [-0.045, 0.92],                          // 29-30 heels
+    [0.07, 0.93], [-0.07, 0.93]                             // 31-32 foot index
+];
+
+// Arm positions that satisfy the game's gesture checks, keyed by the key that holds them
+const GESTURE_ARMS = {
+    t: { // T-pose
+        [LANDMARK.L_ELBOW]: [0.2, 0.3], [LANDMARK.R_ELBOW]: [-0.2, 0.3],
+        [LANDMARK.L_WRIST]: [0.32, 0.3], [LANDMARK.R_WRIST]: [-0.32, 0.3]
+    },
+    h: { // Both hands above the head
+        [LANDMARK.L_ELBOW]: [0.12, 0.2], [LANDMARK.R_ELBOW]: [-0.12, 0.2],
+        [LANDMARK.L_WRIST]: [0.1, 0.06], [LANDMARK.R_WRIST]: [-0.1, 0.06]
+    },
+    x: { // Arms crossed over the chest
+        [LANDMARK.L_ELBOW]: [0.1, 0.42], [LANDMARK.R_ELBOW]: [-0.1, 0.42],
+        [LANDMARK.L_WRIST]: [-0.05, 0.38], [LANDMARK.R_WRIST]: [0.05, 0.38]
+    }
+};
+
+export function createStandingLandmarks(centerX = 0.5) {
+    return STANDING_POSE.map(([dx, y]) => ({ x: centerX + dx, y, z: 0, visibility: 1 }));
+}
+
+function moveChain(landmarks, joint, dx, dy) {
+    for (const index of LEG_CHAINS[joint] || [joint]) {
+        landmarks[index].x += dx;
+        landmarks[index].y += dy;
+    }
+}
+
+// --- Mediapipe Webcam ---
+const POSE_FILES_URL = './vendor/mediapipe/pose'; // WASM, graph and model files pose.js loads
+
+// Capture sizes offered in the camera panel; smaller frames track faster on slow machines
+export const CAMERA_RESOLUTIONS = {
+    '320x240': { width: 320, height: 240, label: '320×240 (fastest)' },
+    '640x480': { width: 640, height: 480, label: '640×480' },
+    '1280x720': { width: 1280, height: 720, label: '1280×720 (sharpest)' }
+};
+export const DEFAULT_CAMERA_RESOLUTION = '640x480';
+
+// Video inputs the browser knows about; labels stay blank until camera access is granted
+export async function listCameras() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter(device => device.kind === 'videoinput')
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+export class MediaPipePoseProvider {
+    // deviceId null opens the browser's default camera. modelComplexity 0, 1 or 2 picks the
+    // lite, full or heavy model: faster or more accurate tracking.
+    constructor({ videoElement, onVideoResize, deviceId = null, resolution = DEFAULT_CAMERA_RESOLUTION, modelComplexity = 1 }) {
+        this.videoElement = videoElement;
+        this.onVideoResize = onVideoResize;
+        this.deviceId = deviceId;
+        this.resolution = resolution;
+        this.modelComplexity = modelComplexity;
+        this.label = 'Webcam';
+        this.fixedStepMs = null;
+        this.isFinished = false;
+        this.pose = null;
+        this.stream = null;
+        this.frameRequest = null;
+        this.lastVideoTime = -1;
+        this.onResults = null;
+        this.lastSendTimeMs = 0;
+    }
+
+    async start(onResults) {
+        // Ensure Mediapipe scripts are loaded (basic check)
+        if (typeof Pose === 'undefined') {
+            throw new Error('Mediapipe libraries not loaded.');
+        }
+        this.onResults = onResults;
+
+        if (!this.pose) await this.loadModel();
+        if (!this.stream) await this.openCamera();
+    }
+
+    // The browser picks the closest size the camera supports. A saved camera that has been
+    // unplugged falls back to the default one.
+    async openCamera() {
+        const { width, height } = CAMERA_RESOLUTIONS[this.resolution] || CAMERA_RESOLUTIONS[DEFAULT_CAMERA_RESOLUTION];
+        const open = (deviceId) => navigator.mediaDevices.getUserMedia({
+            video: { deviceId: deviceId ? { exact: deviceId } : undefined, width: { ideal: width }, height: { ideal: height } },
+            audio: false
+        });
+        let stream;
+        try {
+            stream = await open(this.deviceId);
+        } catch (error) {
+            if (!this.deviceId || (error.name !== 'NotFoundError' && error.name !== 'OverconstrainedError')) throw error;
+            console.warn('Chosen camera unavailable, opening the default one:', error);
+            stream = await open(null);
+        }
+        this.stream = stream;
+        this.videoElement.srcObject = stream;
+        await this.videoElement.play();
+        this.lastVideoTime = -1;
+        this.sendFrames(stream);
+    }
+
+    closeCamera() {
+        if (!this.stream) return;
+        cancelAnimationFrame(this.frameRequest);
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.videoElement.srcObject = null;
+    }
+
+    // Each new video frame goes to the model once the previous one is done; the loop ends with its stream
+    async sendFrames(stream) {
+        if (this.stream !== stream) return;
+        const video = this.videoElement;
+        if (video.readyState >= 2 && video.currentTime !== this.lastVideoTime) {
+            this.lastVideoTime = video.currentTime;
+            this.onVideoResize(video.videoWidth, video.videoHeight);
+            try {
+                this.lastSendTimeMs = performance.now();
+                await this.processFrame();
+            } catch (error) {
+                console.error("Mediapipe pose detection error:", error);
+            }
+        }
+        if (this.stream === stream) this.frameRequest = requestAnimationFrame(() => this.sendFrames(stream));
+    }
+
+    // Switches camera or resolution; a running camera reopens with the new choice
+    async setCamera({ deviceId = this.deviceId, resolution = this.resolution }) {
+        this.deviceId = deviceId;
+        this.resolution = resolution;
+        if (!this.stream) return;
+        this.closeCamera();
+        await this.openCamera();
+    }
+
+    // What the camera actually delivers, which may differ from what was asked for
+    get cameraInfo() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        if (!track) return null;
+        const { width, height, frameRate } = track.getSettings();
+        return { label: track.label, width, height, frameRate };
+    }
+
+    async loadModel() {
+        this.pose = new Pose({ locateFile: (file) => `${POSE_FILES_URL}/${file}` });
+        this.pose.setOptions({
+            modelComplexity: this.modelComplexity,
+            smoothLandmarks: true,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+        // Results from a stopped provider are dropped rather than leaking into another source
+        this.pose.onResults((results) => {
+            if (!this.onResults) return;
+            results.latencyMs = performance.now() - this.lastSendTimeMs; // Mediapipe processing time for this frame
+            this.onResults(results);
+        });
+    }
+
+    async processFrame() {
+        await this.pose.send({ image: this.videoElement });
+    }
+
+    // Pose reloads its graph with the other model; frames sent meanwhile wait for it
+    async setModelComplexity(complexity) {
+        if (complexity === this.modelComplexity) return;
+        this.modelComplexity = complexity;
+        if (this.pose) this.pose.setOptions({ modelComplexity: complexity });
+    }
+
+    stop() {
+        this.onResults = null;
+        this.closeCamera();
+    }
+
+    update() {} // Results arrive asynchronously from the camera loop
+}
+
+// --- Mediapipe Webcam, Several People ---
+// The legacy Pose solution tracks one person, so two-player modes use the Tasks API's
+// PoseLandmarker, which detects up to numPoses people per frame.
+const TASKS_VISION_URL = './vendor/mediapipe/tasks-vision';
+const POSE_LANDMARKER_VARIANTS = ['lite', 'full', 'heavy']; // By model complexity
+const poseLandmarkerModelUrl = (variant) => `./vendor/mediapipe/models/pose_landmarker_${variant}.task`;
+// Where tools/vendorLibraries.js downloads the models from; used when the vendored copy is missing.
+// sw.js precaches these too, so two-player play works offline either way.
+const hostedPoseLandmarkerModelUrl = (variant) =>
+    `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_${variant}/float16/1/pose_landmarker_${variant}.task`;
+
+export class MediaPipeMultiPoseProvider extends MediaPipePoseProvider {
+    constructor({ numPoses = 2, ...options }) {
+        super(options);
+        this.numPoses = numPoses;
+        this.fileset = null; // Tasks WASM, loaded once and shared by every model
+        this.label = `Webcam (${numPoses} players)`;
+    }
+
+    async loadModel() {
+        this.pose = await this.createLandmarker();
+    }
+
+    async createLandmarker() {
+        const { FilesetResolver, PoseLandmarker } = await import(`${TASKS_VISION_URL}/vision_bundle.mjs`);
+        if (!this.fileset) this.fileset = await FilesetResolver.forVisionTasks(`${TASKS_VISION_URL}/wasm`);
+        const variant = POSE_LANDMARKER_VARIANTS[this.modelComplexity] || 'full';
+        const create = (modelAssetPath) => PoseLandmarker.createFromOptions(this.fileset, {
+            baseOptions: { modelAssetPath, delegate: 'GPU' },
+            runningMode: 'VIDEO',
+            numPoses: this.numPoses,
+            minPoseDetectionConfidence: 0.5,
+            minPosePresenceConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+        try {
+            return await create(poseLandmarkerModelUrl(variant));
+        } catch (error) {
+            console.warn('Vendored pose landmarker model unavailable, loading the hosted one:', error);
+            return create(hostedPoseLandmarkerModelUrl(variant));
+        }
+    }
+
+    // The old landmarker keeps tracking until the new model is ready
+    async setModelComplexity(complexity) {
+        if (complexity === this.modelComplexity) return;
+        this.modelComplexity = complexity;
+        if (!this.pose) return;
+        const landmarker = await this.createLandmarker();
+        if (this.modelComplexity !== complexity) { // Changed again while loading
+            landmarker.close();
+            return;
+        }
+        const previous = this.pose;
+        this.pose = landmarker;
+        previous.close();
+    }
+
+    async processFrame() {
+        const result = this.pose.detectForVideo(this.videoElement, this.lastSendTimeMs);
+        if (!this.onResults) return;
+        const poses = result.landmarks.map((landmarks, i) => ({ landmarks, worldLandmarks: result.worldLandmarks[i] || null }));
+        this.onResults({
+            poses,
+            poseLandmarks: poses[0] ? poses[0].landmarks : null,
+            poseWorldLandmarks: poses[0] ? poses[0].worldLandmarks : null,
+            latencyMs: performance.now() - this.lastSendTimeMs
+        });
+    }
+}
+
+// --- Mouse & Keyboard Synthetic Skeleton ---
+// Drag knees and ankles on the overlay canvas, or use the keyboard:
+// Q/E raise the left/right knee, A/D flick the left/right foot, arrows step sideways, hold T to T-pose.
+// With two players, the second skeleton uses U/O for knees, J/L for feet and N/M to step.
+const SYNTHETIC_CANVAS_SIZE = { width: 640, height: 480 };
+const KEY_KNEE_LIFT = 0.16;     // Normalized height a knee rises when its key is held
+const KEY_FOOT_FLICK = 0.14;    // Normalized height a foot rises when its key is held
+const KEY_MOVE_SPEED = 0.4;     // Normalized widths per second for sideways steps
+const KEY_EASE_PER_SECOND = 18; // How quickly held keys reach their target (higher = snappier kicks)
+const DRAG_PICK_RADIUS = 0.06;  // Normalized distance within which a joint can be grabbed
+
+// Keyboard controls per skeleton; gesture keys (GESTURE_ARMS) always pose the first skeleton
+const SKELETON_KEYS = [
+    {
+        joints: { [LANDMARK.L_KNEE]: 'q', [LANDMARK.R_KNEE]: 'e', [LANDMARK.L_ANKLE]: 'a', [LANDMARK.R_ANKLE]: 'd' },
+        stepLeft: 'arrowleft', stepRight: 'arrowright'
+    },
+    {
+        joints: { [LANDMARK.L_KNEE]: 'u', [LANDMARK.R_KNEE]: 'o', [LANDMARK.L_ANKLE]: 'j', [LANDMARK.R_ANKLE]: 'l' },
+        stepLeft: 'n', stepRight: 'm'
+    }
+];
+const SKELETON_START_X = { 1: [0.5], 2: [0.7, 0.3] }; // Two players start side by side
+
+export class SyntheticSkeletonProvider {
+    constructor({ canvas, playerCount = 1 }) {
+        this.canvas = canvas;
+        this.label = playerCount > 1 ? `Mouse & keyboard (${playerCount} players)` : 'Mouse & keyboard';
+        this.fixedStepMs = null;
+        this.isFinished = false;
+        this.onResults = null;
+        this.skeletons = SKELETON_START_X[playerCount].map((centerX, index) => ({
+            keys: SKELETON_KEYS[index],
+            centerX,
+            dragOffsets: {}, // joint -> { dx, dy } set by dragging
+            keyLift: { [LANDMARK.L_KNEE]: 0, [LANDMARK.R_KNEE]: 0, [LANDMARK.L_ANKLE]: 0, [LANDMARK.R_ANKLE]: 0 },
+            lastLandmarks: createStandingLandmarks(centerX)
+        }));
+        this.controlKeys = new Set([
+            ...Object.keys(GESTURE_ARMS),
+            ...this.skeletons.flatMap(({ keys }) => [...Object.values(keys.joints), keys.stepLeft, keys.stepRight])
+        ]);
+        this.heldKeys = new Set();
+        this.dragged = null; // { skeleton, joint } while a joint is being dragged
+        this.dragStart = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+    }
+
+    async start(onResults) {
+        this.onResults = onResults;
+        this.canvas.width = SYNTHETIC_CANVAS_SIZE.width;
+        this.canvas.height = SYNTHETIC_CANVAS_SIZE.height;
+        this.canvas.style.cursor = 'grab';
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        window.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+    }
+
+    stop() {
+        this.onResults = null;
+        this.dragged = null;
+        this.heldKeys.clear();
+        this.canvas.style.cursor = '';
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+    }
+
+    update(stepMs) {
+        if (!this.onResults) return;
+        const stepS = stepMs / 1000;
+        const ease = 1 - Math.exp(-KEY_EASE_PER_SECOND * stepS);
+        const gestureKey = Object.keys(GESTURE_ARMS).find(key => this.heldKeys.has(key));
+
+        const poses = this.skeletons.map((skeleton, index) => {
+            const { keys } = skeleton;
+            if (this.heldKeys.has(keys.stepLeft)) skeleton.centerX += KEY_MOVE_SPEED * stepS;  // Mirrored: player's left is +x
+            if (this.heldKeys.has(keys.stepRight)) skeleton.centerX -= KEY_MOVE_SPEED * stepS;
+            skeleton.centerX = Math.min(0.85, Math.max(0.15, skeleton.centerX));
+
+            for (const joint of DRAGGABLE_JOINTS) {
+                const target = this.heldKeys.has(keys.joints[joint])
+                    ? (joint === LANDMARK.L_KNEE || joint === LANDMARK.R_KNEE ? KEY_KNEE_LIFT : KEY_FOOT_FLICK)
+                    : 0;
+                skeleton.keyLift[joint] += (target - skeleton.keyLift[joint]) * ease;
+            }
+
+            const landmarks = createStandingLandmarks(skeleton.centerX);
+            if (gestureKey && index === 0) {
+                for (const [landmarkIndex, [dx, y]] of Object.entries(GESTURE_ARMS[gestureKey])) {
+                    landmarks[landmarkIndex].x = skeleton.centerX + dx;
+                    landmarks[landmarkIndex].y = y;
+                }
+            }
+            for (const joint of DRAGGABLE_JOINTS) {
+                const drag = skeleton.dragOffsets[joint] || { dx: 0, dy: 0 };
+                moveChain(landmarks, joint, drag.dx, drag.dy - skeleton.keyLift[joint]);
+            }
+            skeleton.lastLandmarks = landmarks;
+            return { landmarks, worldLandmarks: null };
+        });
+
+        if (poses.length > 1) {
+            this.onResults({ poseLandmarks: poses[0].landmarks, poses });
+        } else {
+            this.onResults({ poseLandmarks: poses[0].landmarks });
+        }
+    }
+
+    // Convert a pointer position to raw landmark coordinates, undoing the overlay's
+    // CSS mirroring and object-fit: cover cropping.
+    clientToNormalized(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = Math.max(rect.width / this.canvas.width, rect.height / this.canvas.height);
+        const drawnWidth = this.canvas.width * scale;
+        const drawnHeight = this.canvas.height * scale;
+        const unmirroredX = rect.right - clientX;
+        return {
+            x: (unmirroredX - (rect.width - drawnWidth) / 2) / drawnWidth,
+            y: (clientY - rect.top - (rect.height - drawnHeight) / 2) / drawnHeight
+        };
+    }
+
+    handlePointerDown(event) {
+        const point = this.clientToNormalized(event.clientX, event.clientY);
+        let closest = null;
+        let closestDistance = DRAG_PICK_RADIUS;
+        for (const skeleton of this.skeletons) {
+            for (const joint of DRAGGABLE_JOINTS) {
+                const lm = skeleton.lastLandmarks[joint];
+                const distance = Math.hypot(lm.x - point.x, lm.y - point.y);
+                if (distance < closestDistance) {
+                    closest = { skeleton, joint };
+                    closestDistance = distance;
+                }
+            }
+        }
+        if (closest === null) return;
+        this.dragged = closest;
+        this.dragStart = { point, offset: { ...(closest.skeleton.dragOffsets[closest.joint] || { dx: 0, dy: 0 }) } };
+        this.canvas.style.cursor = 'grabbing';
+        event.preventDefault();
+    }
+
+    handlePointerMove(event) {
+        if (this.dragged === null) return;
+        const point = this.clientToNormalized(event.clientX, event.clientY);
+        this.dragged.skeleton.dragOffsets[this.dragged.joint] = {
+            dx: this.dragStart.offset.dx + point.x - this.dragStart.point.x,
+            dy: this.dragStart.offset.dy + point.y - this.dragStart.point.y
+        };
+    }
+
+    handlePointerUp() {
+        if (this.dragged === null) return;
+        this.dragged = null;
+        this.canvas.style.cursor = 'grab';
+    }
+
+    handleKeyDown(event) {
+        const key = event.key.toLowerCase();
+        if (this.controlKeys.has(key)) {
+            this.heldKeys.add(key);
+            if (key.startsWith('arrow')) event.preventDefault();
+        } else if (key === 'r') {
+            this.skeletons.forEach(skeleton => { skeleton.dragOffsets = {}; }); // Snap dragged joints back to standing
+        }
+    }
+
+    handleKeyUp(event) {
+        this.heldKeys.delete(event.key.toLowerCase());
+    }
+}
+
+// --- Scripted Landmark Sequences ---
+// script(timeMs) returns a landmark array (or null for "no pose") for the given game time,
+// or an array of landmark arrays when it plays several people.
+// Runs at a fixed step so the same script always produces the same game.
+export class ScriptedPoseProvider {
+    constructor(script, { label = 'Scripted', durationMs = Infinity, fixedStepMs = 1000 / 60 } = {}) {
+        this.script = script;
+        this.label = label;
+        this.durationMs = durationMs;
+        this.fixedStepMs = fixedStepMs;
+        this.timeMs = 0;
+        this.isFinished = false;
+        this.onResults = null;
+    }
+
+    async start(onResults) {
+        this.onResults = onResults;
+        this.timeMs = 0;
+        this.isFinished = false;
+    }
+
+    stop() {
+        this.onResults = null;
+    }
+
+    update(stepMs) {
+        if (!this.onResults || this.isFinished) return;
+        this.timeMs += stepMs;
+        if (this.timeMs > this.durationMs) {
+            this.isFinished = true;
+            return;
+        }
+        const landmarks = this.script(this.timeMs);
+        if (landmarks && Array.isArray(landmarks[0])) {
+            const poses = landmarks.map(personLandmarks => ({ landmarks: personLandmarks, worldLandmarks: null }));
+            this.onResults({ poseLandmarks: poses[0] ? poses[0].landmarks : null, poses });
+        } else {
+            this.onResults({ poseLandmarks: landmarks || null });
+        }
+    }
+}
+
+// Demo script: alternating knee lifts under the ball's usual spawn point
+export function createKneeJuggleScript({ periodMs = 900, liftHeight = 0.18, centerX = 0.5 } = {}) {
+    return (timeMs) => {
+        const landmarks = createStandingLandmarks(centerX);
+        const phase = (timeMs % (2 * periodMs)) / periodMs; // 0-1 left leg, 1-2 right leg
+        const joint = phase < 1 ? LANDMARK.L_KNEE : LANDMARK.R_KNEE;
+        const lift = Math.sin(Math.PI * (phase % 1)) * liftHeight;
+        moveChain(landmarks, joint, 0, -lift);
+        return landmarks;
+    };
+}
+
+// Two-player demo: two jugglers side by side, half a beat apart
+export function createTwoPlayerJuggleScript({ periodMs = 900 } = {}) {
+    const left = createKneeJuggleScript({ periodMs, centerX: 0.7 });
+    const right = createKneeJuggleScript({ periodMs, centerX: 0.3 });
+    return (timeMs) => [left(timeMs), right(timeMs + periodMs / 2)];
+}
+
+// --- Recorded Session Replay ---
+export class ReplayPoseProvider {
+    constructor(recording, { fixedStepMs = 1000 / 60 } = {}) {
+        this.replay = new PoseReplay(recording);
+        this.label = 'Replay';
+        this.fixedStepMs = fixedStepMs; // Fixed step keeps replays deterministic
+        this.onResults = null;
+    }
+
+    get isFinished() {
+        return this.replay.isFinished;
+    }
+
+    async start(onResults) {
+        this.onResults = onResults;
+    }
+
+    stop() {
+        this.onResults = null;
+    }
+
+    update(stepMs) {
+        if (this.onResults) this.replay.advance(stepMs, this.onResults);
+    }
+}
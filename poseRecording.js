@@ -0,0 +1,146 @@
+// --- Pose Session Recording & Replay ---
+// Captures the poseLandmarks stream from onPoseResults into a timestamped JSON
+// file, and plays a saved file back one fixed game step at a time.
+
+const RECORDING_FORMAT_VERSION = 1;
+const LANDMARK_PRECISION = 100000; // 5 decimals is well below Mediapipe's own noise
+
+function roundValue(value) {
+    return Math.round(value * LANDMARK_PRECISION) / LANDMARK_PRECISION;
+}
+
+function copyLandmarks(landmarks) {
+    if (!landmarks) return null;
+    return landmarks.map(lm => ({
+        x: roundValue(lm.x),
+        y: roundValue(lm.y),
+        z: roundValue(lm.z ?? 0),
+        visibility: roundValue(lm.visibility ?? 0)
+    }));
+}
+
+export class PoseRecorder {
+    constructor() {
+        this.recording = null;
+        this.startTimeMs = 0;
+    }
+
+    get isRecording() {
+        return this.recording !== null;
+    }
+
+    // seed is the RNG seed the game was reset with, so replays spawn the ball identically;
+    // playerMode, physics, ballType, bodyParts, controlScheme, drill, touchMode, worldMapping and filterSettings
+    // let a session replay (in the browser or through the headless core) in the mode and with the settings it was played with
+    start(seed, { playerMode, physics, ballType, bodyParts, controlScheme, drill, touchMode, worldMapping, filterSettings } = {}, nowMs = performance.now()) {
+        this.startTimeMs = nowMs;
+        this.recording = {
+            version: RECORDING_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            seed,
+            frames: []
+        };
+        if (playerMode) this.recording.playerMode = playerMode;
+        if (physics) this.recording.physics = { ...physics };
+        if (ballType) this.recording.ballType = ballType;
+        if (bodyParts) this.recording.bodyParts = [...bodyParts];
+        if (controlScheme) this.recording.controlScheme = controlScheme;
+        if (drill) this.recording.drill = drill;
+        if (touchMode) this.recording.touchMode = touchMode;
+        if (worldMapping) {
+            const { worldWidth, worldHeight, xOffset, yOffset } = worldMapping;
+            this.recording.worldMapping = { worldWidth, worldHeight, xOffset, yOffset };
+        }
+        if (filterSettings) this.recording.filterSettings = { ...filterSettings };
+    }
+
+    addFrame(results, nowMs = performance.now()) {
+        if (!this.recording) return;
+        const frame = {
+            t: Math.round(nowMs - this.startTimeMs),
+            landmarks: copyLandmarks(results.poseLandmarks)
+        };
+        // The pipeline latency the core dated this frame's limbs back by
+        if (Number.isFinite(results.latencyMs)) frame.latencyMs = roundValue(results.latencyMs);
+        // World landmarks (meters, hip-centered) carry the depth the game places limbs at
+        if (results.poseWorldLandmarks) frame.worldLandmarks = copyLandmarks(results.poseWorldLandmarks);
+        // Every detected person, in detector order, when the source sees more than one
+        if (results.poses) {
+            frame.poses = results.poses.map(pose => {
+                const copy = { landmarks: copyLandmarks(pose.landmarks) };
+                if (pose.worldLandmarks) copy.worldLandmarks = copyLandmarks(pose.worldLandmarks);
+                return copy;
+            });
+        }
+        this.recording.frames.push(frame);
+    }
+
+    stop() {
+        const recording = this.recording;
+        this.recording = null;
+        if (recording) {
+            const lastFrame = recording.frames[recording.frames.length - 1];
+            recording.durationMs = lastFrame ? lastFrame.t : 0;
+        }
+        return recording;
+    }
+}
+
+export class PoseReplay {
+    constructor(recording) {
+        this.recording = recording;
+        this.timeMs = 0;
+        this.nextFrameIndex = 0;
+    }
+
+    get isFinished() {
+        return this.nextFrameIndex >= this.recording.frames.length;
+    }
+
+    get progress() {
+        const total = this.recording.durationMs || 1;
+        return Math.min(1, this.timeMs / total);
+    }
+
+    // Advance replay time by stepMs and hand every frame that is now due to onFrame,
+    // in the same { poseLandmarks, poseWorldLandmarks, latencyMs } shape the webcam providers produce.
+    advance(stepMs, onFrame) {
+        this.timeMs += stepMs;
+        const frames = this.recording.frames;
+        while (this.nextFrameIndex < frames.length && frames[this.nextFrameIndex].t <= this.timeMs) {
+            const frame = frames[this.nextFrameIndex];
+            const results = { poseLandmarks: frame.landmarks, poseWorldLandmarks: frame.worldLandmarks || null };
+            if (Number.isFinite(frame.latencyMs)) results.latencyMs = frame.latencyMs;
+            if (frame.poses) {
+                results.poses = frame.poses.map(pose => ({ landmarks: pose.landmarks, worldLandmarks: pose.worldLandmarks || null }));
+            }
+            onFrame(results);
+            this.nextFrameIndex++;
+        }
+    }
+}
+
+export function parseRecording(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.frames)) {
+        throw new Error('Not a pose recording: missing frames');
+    }
+    if (data.version !== RECORDING_FORMAT_VERSION) {
+        throw new Error(`Unsupported pose recording version: ${data.version}`);
+    }
+    if (!Number.isFinite(data.durationMs)) {
+        const lastFrame = data.frames[data.frames.length - 1];
+        data.durationMs = lastFrame ? lastFrame.t : 0;
+    }
+    return data;
+}
+
+export function downloadRecording(recording) {
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `keep-ups-session-${recording.createdAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,120 @@
+// --- Quality Settings ---
+// Graphics and tracking quality tiers, and a manager that steps between them to hold a target
+// frame rate on whatever machine the game runs on. Each tier sets the render resolution, the
+// shadows, the sphere and cylinder detail and the pose model (0 lite, 1 full, 2 heavy).
+
+const QUALITY_STORAGE_KEY = 'keepUps.quality';
+
+// Lowest first. High is the game's look before quality scaling existed.
+export const QUALITY_TIERS = [
+    { id: 'low', label: 'Low', renderScale: 0.5, shadows: false, shadowMapSize: 512, segments: 12, poseModelComplexity: 0 },
+    { id: 'medium', label: 'Medium', renderScale: 0.75, shadows: false, shadowMapSize: 512, segments: 20, poseModelComplexity: 0 },
+    { id: 'high', label: 'High', renderScale: 1, shadows: true, shadowMapSize: 1024, segments: 32, poseModelComplexity: 1 },
+    { id: 'ultra', label: 'Ultra', renderScale: 2, shadows: true, shadowMapSize: 2048, segments: 48, poseModelComplexity: 2 }
+];
+
+export const QUALITY_MODES = { AUTO: 'auto' }; // Otherwise a tier id, fixed by hand
+export const TARGET_FRAME_RATES = [30, 60];
+const DEFAULT_TIER = 'high';
+export const DEFAULT_QUALITY_SETTINGS = { mode: QUALITY_MODES.AUTO, targetFps: 60, autoTier: DEFAULT_TIER };
+
+export const qualityTier = (id) => QUALITY_TIERS.find(tier => tier.id === id) || QUALITY_TIERS.find(tier => tier.id === DEFAULT_TIER);
+
+// Never render above the display's own resolution; Ultra only sharpens high-DPI screens
+export const tierPixelRatio = (tier, devicePixelRatio) => Math.min(tier.renderScale, Math.max(1, devicePixelRatio));
+
+export function loadQualitySettings() {
+    try {
+        const saved = { ...DEFAULT_QUALITY_SETTINGS, ...JSON.parse(localStorage.getItem(QUALITY_STORAGE_KEY)) };
+        return {
+            mode: saved.mode === QUALITY_MODES.AUTO || QUALITY_TIERS.some(tier => tier.id === saved.mode) ? saved.mode : QUALITY_MODES.AUTO,
+            targetFps: TARGET_FRAME_RATES.includes(saved.targetFps) ? saved.targetFps : DEFAULT_QUALITY_SETTINGS.targetFps,
+            autoTier: qualityTier(saved.autoTier).id
+        };
+    } catch (error) {
+        return { ...DEFAULT_QUALITY_SETTINGS };
+    }
+}
+
+export function saveQualitySettings(settings) {
+    localStorage.setItem(QUALITY_STORAGE_KEY, JSON.stringify(settings));
+}
+
+// --- Automatic Scaling ---
+const WINDOW_MS = 2000;                 // Timings are judged over windows this long
+const SETTLE_MS = 3000;                 // Ignore timings this long after a change (shader compiles, model loads)
+const DOWNGRADE_FPS_FRACTION = 0.85;    // Below this share of the target, step down
+const UPGRADE_FPS_FRACTION = 0.95;      // Step up only when at the target...
+const UPGRADE_WORK_FRACTION = 0.5;      // ...with each frame's work taking under half its budget...
+const UPGRADE_AFTER_MS = 10000;         // ...for this long
+const RETRY_AFTER_MS = 60000;           // A tier that had to be left isn't tried again for this long
+const MAX_POSE_LATENCY_MS = 80;         // A slower pose model makes touches feel late
+const MAX_FRAME_GAP_MS = 250;           // Longer gaps are a hidden tab or a stall, not the game's speed
+
+export class QualityManager {
+    constructor({ tierIndex, targetFps }) {
+        this.tierIndex = tierIndex;
+        this.targetFps = targetFps;
+        this.blockedUntilMs = new Map(); // Tier index -> when it may be tried again
+        this.restart(0);
+    }
+
+    // Start measuring afresh, e.g. after the tier or target changed
+    restart(nowMs) {
+        this.settleUntilMs = nowMs + SETTLE_MS;
+        this.windowStartMs = null;
+        this.frames = 0;
+        this.workMs = 0;
+        this.poseLatencyMs = 0;
+        this.headroomSinceMs = null;
+    }
+
+    // frameIntervalMs: time since the previous frame; workMs: time the frame took to simulate and
+    // draw; poseLatencyMs: how long the pose model takes per frame (0 without a webcam).
+    // Returns the new tier index when the tier should change, otherwise null.
+    update({ nowMs, frameIntervalMs, workMs, poseLatencyMs }) {
+        if (nowMs < this.settleUntilMs || frameIntervalMs > MAX_FRAME_GAP_MS) return null;
+        if (this.windowStartMs === null) {
+            this.windowStartMs = nowMs;
+            return null;
+        }
+        this.frames++;
+        this.workMs += workMs;
+        this.poseLatencyMs = Math.max(this.poseLatencyMs, poseLatencyMs);
+        if (nowMs - this.windowStartMs < WINDOW_MS) return null;
+
+        const fps = this.frames / ((nowMs - this.windowStartMs) / 1000);
+        const averageWorkMs = this.workMs / this.frames;
+        const { poseLatencyMs: worstPoseLatencyMs } = this;
+        this.windowStartMs = nowMs;
+        this.frames = 0;
+        this.workMs = 0;
+        this.poseLatencyMs = 0;
+
+        if (fps < this.targetFps * DOWNGRADE_FPS_FRACTION || worstPoseLatencyMs > MAX_POSE_LATENCY_MS) {
+            this.headroomSinceMs = null;
+            if (this.tierIndex === 0) return null;
+            this.blockedUntilMs.set(this.tierIndex, nowMs + RETRY_AFTER_MS);
+            return this.changeTier(this.tierIndex - 1, nowMs);
+        }
+
+        const hasHeadroom = fps >= this.targetFps * UPGRADE_FPS_FRACTION
+            && averageWorkMs < (1000 / this.targetFps) * UPGRADE_WORK_FRACTION
+            && worstPoseLatencyMs < MAX_POSE_LATENCY_MS * UPGRADE_WORK_FRACTION;
+        if (!hasHeadroom) {
+            this.headroomSinceMs = null;
+            return null;
+        }
+        if (this.headroomSinceMs === null) this.headroomSinceMs = nowMs;
+        const next = this.tierIndex + 1;
+        if (next >= QUALITY_TIERS.length || nowMs - this.headroomSinceMs < UPGRADE_AFTER_MS
+            || nowMs < (this.blockedUntilMs.get(next) || 0)) return null;
+        return this.changeTier(next, nowMs);
+    }
+
+    changeTier(tierIndex, nowMs) {
+        this.tierIndex = tierIndex;
+        this.restart(nowMs);
+        return tierIndex;
+    }
+}
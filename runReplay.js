@@ -0,0 +1,154 @@
+// --- Instant Replay ---
+// Records what the 3D scene showed during a run (ball transforms and limb marker
+// positions, once per rendered frame) and plays it back for rewatching. Unlike pose
+// recordings, nothing is re-simulated: playback just moves the meshes.
+
+const RUN_REPLAY_FORMAT_VERSION = 1;
+const RUN_REPLAY_TYPE = 'keepUpsRunReplay';
+const POSITION_PRECISION = 1000;    // Millimeters
+const ROTATION_PRECISION = 10000;
+
+const round = (value, precision) => Math.round(value * precision) / precision;
+
+// Frames are kept as flat arrays to keep saved files small:
+// b: per ball [x, y, z, qx, qy, qz, qw]; p: per player, per limb [x, y, z] or null when hidden,
+// with [qx, qy, qz, qw, sx, sy, sz] after the position for markers shaped like their limb (head, chest, thighs)
+function recordMarker({ position: p, quaternion: q, scale: s }) {
+    const position = [round(p.x, POSITION_PRECISION), round(p.y, POSITION_PRECISION), round(p.z, POSITION_PRECISION)];
+    if (!q) return position;
+    return [
+        ...position,
+        round(q.x, ROTATION_PRECISION), round(q.y, ROTATION_PRECISION), round(q.z, ROTATION_PRECISION), round(q.w, ROTATION_PRECISION),
+        round(s.x, POSITION_PRECISION), round(s.y, POSITION_PRECISION), round(s.z, POSITION_PRECISION)
+    ];
+}
+
+export class RunRecorder {
+    constructor() {
+        this.replay = null;
+        this.startTimeMs = 0;
+    }
+
+    get isRecording() {
+        return this.replay !== null;
+    }
+
+    // limbs names the order limb positions are stored in; playerMode, the ball's type and radius
+    // and ballCount describe the scene
+    start({ playerMode, ballType, ballRadius, ballCount, playerCount, limbs }, nowMs) {
+        this.startTimeMs = nowMs;
+        this.replay = {
+            type: RUN_REPLAY_TYPE,
+            version: RUN_REPLAY_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            playerMode,
+            ballType,
+            ballRadius,
+            ballCount,
+            playerCount,
+            limbs,
+            frames: []
+        };
+    }
+
+    // balls: [{ position, quaternion }]; players: [[{ position, quaternion?, scale? } | null per limb]],
+    // all Three.js-like objects
+    addFrame(nowMs, balls, players) {
+        if (!this.replay) return;
+        this.replay.frames.push({
+            t: Math.round(nowMs - this.startTimeMs),
+            b: balls.map(({ position: p, quaternion: q }) => [
+                round(p.x, POSITION_PRECISION), round(p.y, POSITION_PRECISION), round(p.z, POSITION_PRECISION),
+                round(q.x, ROTATION_PRECISION), round(q.y, ROTATION_PRECISION), round(q.z, ROTATION_PRECISION), round(q.w, ROTATION_PRECISION)
+            ]),
+            p: players.map(markers => markers.map(marker => marker && recordMarker(marker)))
+        });
+    }
+
+    // summary is the run summary shown when it ended; returns null if nothing was recorded
+    stop(summary = null) {
+        const replay = this.replay;
+        this.replay = null;
+        if (!replay || replay.frames.length === 0) return null;
+        replay.durationMs = replay.frames[replay.frames.length - 1].t;
+        if (summary) replay.summary = summary;
+        return replay;
+    }
+
+    // Drop a run that was abandoned rather than finished
+    discard() {
+        this.replay = null;
+    }
+}
+
+export class RunPlayback {
+    constructor(replay) {
+        this.replay = replay;
+        this.timeMs = 0;
+        this.speed = 1;
+        this.playing = true;
+    }
+
+    get durationMs() {
+        return this.replay.durationMs;
+    }
+
+    get isAtEnd() {
+        return this.timeMs >= this.durationMs;
+    }
+
+    // Advance by real time dtMs, scaled by the playback speed; stops at the end
+    advance(dtMs) {
+        if (!this.playing) return;
+        this.seek(this.timeMs + dtMs * this.speed);
+        if (this.isAtEnd) this.playing = false;
+    }
+
+    seek(timeMs) {
+        this.timeMs = Math.min(this.durationMs, Math.max(0, timeMs));
+    }
+
+    togglePlaying() {
+        if (!this.playing && this.isAtEnd) this.timeMs = 0; // Play again from the start
+        this.playing = !this.playing;
+    }
+
+    // The two recorded frames either side of the current time, and how far between them it is
+    sample() {
+        const frames = this.replay.frames;
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) { // Last frame at or before timeMs
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid].t <= this.timeMs) low = mid;
+            else high = mid - 1;
+        }
+        const from = frames[low];
+        const to = frames[Math.min(low + 1, frames.length - 1)];
+        const alpha = to.t > from.t ? Math.min(1, (this.timeMs - from.t) / (to.t - from.t)) : 0;
+        return { from, to, alpha };
+    }
+}
+
+export function parseRunReplay(text) {
+    const data = JSON.parse(text);
+    if (!data || data.type !== RUN_REPLAY_TYPE || !Array.isArray(data.frames) || data.frames.length === 0) {
+        throw new Error('Not an instant replay file');
+    }
+    if (data.version !== RUN_REPLAY_FORMAT_VERSION) {
+        throw new Error(`Unsupported instant replay version: ${data.version}`);
+    }
+    if (!Number.isFinite(data.durationMs)) data.durationMs = data.frames[data.frames.length - 1].t;
+    return data;
+}
+
+export function downloadRunReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    const touches = replay.summary ? `-${replay.summary.touches}-touches` : '';
+    link.download = `keep-ups-replay${touches}-${replay.createdAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,113 @@
+// --- Session History ---
+// Every finished run is kept in localStorage so personal bests and trends survive
+// reloads. History can be exported to / imported from JSON to move between browsers.
+
+const HISTORY_STORAGE_KEY = 'keepUps.sessionHistory';
+const HISTORY_FORMAT_VERSION = 1;
+const MAX_STORED_RUNS = 1000; // Oldest runs are dropped beyond this
+
+export const RUN_END_REASONS = {
+    GROUND_DROP: 'groundDrop',
+    OUT_OF_BOUNDS: 'outOfBounds',
+    T_POSE_RESET: 'tPoseReset',   // The reset gesture: a T-pose, or hands on shoulders in seated play
+    MISSED_PASS: 'missedPass', // Pass play: the same player touched the ball twice in a row
+    DRILL_OVER: 'drillOver',   // A drill was passed or failed (see the summary's drill result)
+    HOST_RESET: 'hostReset'    // A host page's reset command (see gameApi.js)
+};
+
+export const RUN_END_LABELS = {
+    [RUN_END_REASONS.GROUND_DROP]: 'Ground drop',
+    [RUN_END_REASONS.OUT_OF_BOUNDS]: 'Out of bounds',
+    [RUN_END_REASONS.T_POSE_RESET]: 'Reset gesture',
+    [RUN_END_REASONS.MISSED_PASS]: 'Missed pass',
+    [RUN_END_REASONS.DRILL_OVER]: 'Drill over',
+    [RUN_END_REASONS.HOST_RESET]: 'Reset by host'
+};
+
+export function loadRunHistory() {
+    try {
+        const runs = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+        return Array.isArray(runs) ? runs : [];
+    } catch (error) {
+        console.warn("Ignoring unreadable session history:", error);
+        return [];
+    }
+}
+
+function storeRunHistory(runs) {
+    const sorted = [...runs].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(sorted.slice(-MAX_STORED_RUNS)));
+}
+
+// run: { timestamp, touches, points, durationMs, limbTouches, endReason, controlScheme, ... } (a run summary)
+export function saveRun(run) {
+    const runs = loadRunHistory();
+    runs.push(run);
+    storeRunHistory(runs);
+}
+
+export function summarizeRuns(runs, trendLength = 20) {
+    if (runs.length === 0) {
+        return { runCount: 0, best: null, averageTouches: 0, averageDurationMs: 0, limbTotals: {}, endReasons: {}, trend: [] };
+    }
+    const limbTotals = {};
+    const endReasons = {};
+    let best = runs[0];
+    let totalTouches = 0;
+    let totalDurationMs = 0;
+    for (const run of runs) {
+        if (run.touches > best.touches) best = run;
+        totalTouches += run.touches;
+        totalDurationMs += run.durationMs;
+        for (const [limb, count] of Object.entries(run.limbTouches || {})) {
+            limbTotals[limb] = (limbTotals[limb] || 0) + count;
+        }
+        endReasons[run.endReason] = (endReasons[run.endReason] || 0) + 1;
+    }
+    return {
+        runCount: runs.length,
+        best,
+        averageTouches: totalTouches / runs.length,
+        averageDurationMs: totalDurationMs / runs.length,
+        limbTotals,
+        endReasons,
+        trend: runs.slice(-trendLength)
+    };
+}
+
+export function exportRunHistory() {
+    const data = {
+        version: HISTORY_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        runs: loadRunHistory()
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `keep-ups-history-${data.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Merges an exported file into local history, skipping runs already present. Returns how many were added.
+export function importRunHistory(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.runs)) {
+        throw new Error('Not a keep-ups history file: missing runs');
+    }
+    if (data.version !== HISTORY_FORMAT_VERSION) {
+        throw new Error(`Unsupported history version: ${data.version}`);
+    }
+    const runs = loadRunHistory();
+    const known = new Set(runs.map(run => run.timestamp));
+    let added = 0;
+    for (const run of data.runs) {
+        if (!run || typeof run.timestamp !== 'string' || !Number.isFinite(run.touches) || !Number.isFinite(run.durationMs) || known.has(run.timestamp)) continue;
+        runs.push(run);
+        known.add(run.timestamp);
+        added++;
+    }
+    storeRunHistory(runs);
+    return added;
+}
@@ -0,0 +1,180 @@
+// --- Sound Effects ---
+// Every sound is synthesized with the Web Audio API, so there are no audio files to
+// download. Each effect is declared as a function that schedules oscillators and noise
+// into a destination node; the engine owns the context, master volume and mute.
+
+const SOUND_SETTINGS_STORAGE_KEY = 'keepUps.sound';
+
+export const DEFAULT_SOUND_SETTINGS = {
+    volume: 0.7, // 0..1, applied to the master gain
+    muted: false
+};
+
+export const SOUNDS = {
+    KNEE_TOUCH: 'kneeTouch',
+    FOOT_TOUCH: 'footTouch',
+    HEAD_TOUCH: 'headTouch',
+    CHEST_TOUCH: 'chestTouch',
+    HAND_TOUCH: 'handTouch',
+    GROUND_DROP: 'groundDrop',
+    OUT_OF_BOUNDS: 'outOfBounds',
+    RESET: 'reset',
+    MILESTONE: 'milestone'
+};
+
+// Keep-up counts worth celebrating: 10, 25, 50, 100, 250, 500, 1000...
+export function isMilestone(count) {
+    if (count < 10) return false;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(count)));
+    return [1, 2.5, 5].some(step => count === step * magnitude);
+}
+
+// --- Building blocks ---
+// Each schedules one voice at time `at` and disconnects itself when finished.
+
+function tone(ctx, destination, { type = 'sine', from, to = from, at, durationMs, gain = 0.5, attackMs = 5 }) {
+    const end = at + durationMs / 1000;
+    const oscillator = ctx.createOscillator();
+    const envelope = ctx.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(from, at);
+    if (to !== from) oscillator.frequency.exponentialRampToValueAtTime(to, end);
+    envelope.gain.setValueAtTime(0.0001, at);
+    envelope.gain.exponentialRampToValueAtTime(gain, at + attackMs / 1000);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+    oscillator.connect(envelope).connect(destination);
+    oscillator.onended = () => envelope.disconnect();
+    oscillator.start(at);
+    oscillator.stop(end);
+}
+
+function noiseBurst(ctx, destination, { filterType = 'lowpass', frequency, at, durationMs, gain = 0.3 }) {
+    const length = Math.ceil(ctx.sampleRate * durationMs / 1000);
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = (Math.random() * 2 - 1) * (1 - i / length); // Decaying white noise
+    const source = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const envelope = ctx.createGain();
+    source.buffer = buffer;
+    filter.type = filterType;
+    filter.frequency.value = frequency;
+    envelope.gain.value = gain;
+    source.connect(filter).connect(envelope).connect(destination);
+    source.onended = () => envelope.disconnect();
+    source.start(at);
+}
+
+// --- Registry ---
+// strength (0..1) is how hard the touch was; it raises both pitch and loudness.
+const SOUND_EFFECTS = {
+    // Knee: a low, padded thump
+    [SOUNDS.KNEE_TOUCH]: (ctx, destination, at, { strength = 0.5 } = {}) => {
+        const pitch = 0.8 + 0.6 * strength;
+        tone(ctx, destination, { from: 150 * pitch, to: 60 * pitch, at, durationMs: 140, gain: 0.4 + 0.4 * strength });
+        noiseBurst(ctx, destination, { frequency: 600, at, durationMs: 60, gain: 0.15 + 0.2 * strength });
+    },
+    // Foot: a sharper, brighter strike
+    [SOUNDS.FOOT_TOUCH]: (ctx, destination, at, { strength = 0.5 } = {}) => {
+        const pitch = 0.8 + 0.6 * strength;
+        tone(ctx, destination, { type: 'triangle', from: 340 * pitch, to: 120 * pitch, at, durationMs: 90, gain: 0.35 + 0.4 * strength });
+        noiseBurst(ctx, destination, { filterType: 'highpass', frequency: 1800, at, durationMs: 35, gain: 0.2 + 0.2 * strength });
+    },
+    // Head: a hollow knock
+    [SOUNDS.HEAD_TOUCH]: (ctx, destination, at, { strength = 0.5 } = {}) => {
+        const pitch = 0.8 + 0.6 * strength;
+        tone(ctx, destination, { from: 520 * pitch, to: 260 * pitch, at, durationMs: 110, gain: 0.3 + 0.35 * strength });
+        noiseBurst(ctx, destination, { filterType: 'bandpass', frequency: 1200, at, durationMs: 40, gain: 0.15 + 0.2 * strength });
+    },
+    // Chest: a deep, broad thud
+    [SOUNDS.CHEST_TOUCH]: (ctx, destination, at, { strength = 0.5 } = {}) => {
+        const pitch = 0.8 + 0.6 * strength;
+        tone(ctx, destination, { from: 110 * pitch, to: 45 * pitch, at, durationMs: 200, gain: 0.45 + 0.4 * strength });
+        noiseBurst(ctx, destination, { frequency: 400, at, durationMs: 90, gain: 0.2 + 0.2 * strength });
+    },
+    // Hand: a short slap
+    [SOUNDS.HAND_TOUCH]: (ctx, destination, at, { strength = 0.5 } = {}) => {
+        const pitch = 0.8 + 0.6 * strength;
+        noiseBurst(ctx, destination, { filterType: 'highpass', frequency: 2500, at, durationMs: 50, gain: 0.3 + 0.3 * strength });
+        tone(ctx, destination, { type: 'triangle', from: 420 * pitch, to: 200 * pitch, at, durationMs: 60, gain: 0.2 + 0.25 * strength });
+    },
+    // Ground drop: a falling "womp"
+    [SOUNDS.GROUND_DROP]: (ctx, destination, at) => {
+        tone(ctx, destination, { type: 'sawtooth', from: 220, to: 55, at, durationMs: 500, gain: 0.25 });
+        noiseBurst(ctx, destination, { frequency: 300, at, durationMs: 150, gain: 0.3 });
+    },
+    // Out of bounds: a two-note buzzer
+    [SOUNDS.OUT_OF_BOUNDS]: (ctx, destination, at) => {
+        tone(ctx, destination, { type: 'square', from: 185, at, durationMs: 160, gain: 0.15 });
+        tone(ctx, destination, { type: 'square', from: 139, at: at + 0.18, durationMs: 260, gain: 0.15 });
+    },
+    // Reset: a rising sweep
+    [SOUNDS.RESET]: (ctx, destination, at) => {
+        tone(ctx, destination, { from: 300, to: 900, at, durationMs: 250, gain: 0.3 });
+    },
+    // Milestone: a major arpeggio, one note longer for every order of magnitude
+    [SOUNDS.MILESTONE]: (ctx, destination, at, { count = 10 } = {}) => {
+        const notes = [523.25, 659.25, 783.99, 1046.5, 1318.5]; // C5 E5 G5 C6 E6
+        const noteCount = Math.min(notes.length, 2 + Math.floor(Math.log10(count)));
+        notes.slice(0, noteCount).forEach((frequency, i) => {
+            tone(ctx, destination, { type: 'triangle', from: frequency, at: at + i * 0.09, durationMs: 220, gain: 0.3 });
+        });
+    }
+};
+
+export function loadSoundSettings() {
+    try {
+        return { ...DEFAULT_SOUND_SETTINGS, ...JSON.parse(localStorage.getItem(SOUND_SETTINGS_STORAGE_KEY)) };
+    } catch (error) {
+        return { ...DEFAULT_SOUND_SETTINGS };
+    }
+}
+
+export class SoundEngine {
+    constructor(settings = loadSoundSettings()) {
+        this.settings = settings;
+        this.ctx = null;    // Created on the first user gesture; browsers keep audio suspended until then
+        this.master = null;
+    }
+
+    // Call from a click or key press so the browser lets audio start
+    unlock() {
+        if (typeof AudioContext === 'undefined') return;
+        if (!this.ctx) {
+            this.ctx = new AudioContext();
+            this.master = this.ctx.createGain();
+            this.master.connect(this.ctx.destination);
+            this.applySettings();
+        }
+        if (this.ctx.state === 'suspended') this.ctx.resume();
+    }
+
+    applySettings() {
+        if (!this.master) return;
+        const gain = this.settings.muted ? 0 : this.settings.volume;
+        this.master.gain.setTargetAtTime(gain, this.ctx.currentTime, 0.02);
+    }
+
+    setVolume(volume) {
+        this.settings.volume = Math.min(1, Math.max(0, volume));
+        this.saveSettings();
+    }
+
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.saveSettings();
+    }
+
+    saveSettings() {
+        this.applySettings();
+        localStorage.setItem(SOUND_SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    // Play a sound from SOUNDS now. Silently does nothing until audio is unlocked, or while muted.
+    play(name, options = {}) {
+        if (!this.ctx || this.ctx.state !== 'running' || this.settings.muted) return;
+        const effect = SOUND_EFFECTS[name];
+        if (!effect) throw new Error(`Unknown sound: ${name}`);
+        effect(this.ctx, this.master, this.ctx.currentTime, options);
+    }
+}
@@ -0,0 +1,139 @@
+// --- Stats Screen ---
+// Personal best, averages and a trend of recent runs, with history export/import.
+// Standing and seated runs are summarized separately.
+import { loadRunHistory, summarizeRuns, exportRunHistory, importRunHistory, RUN_END_LABELS } from './sessionHistory.js';
+import { LIMB_LABELS, DEFAULT_BODY_PARTS, limbsOfBodyParts } from './touchScoring.js';
+import { CONTROL_SCHEME_DEFS, DEFAULT_CONTROL_SCHEME, controlSchemeOfRun } from './controlSchemes.js';
+
+const TREND_LENGTH = 20; // Runs shown in the trend chart
+
+const statsOverlay = document.getElementById('stats-overlay');
+const statsSchemeSelect = document.getElementById('stats-scheme');
+const statsSummaryElement = document.getElementById('stats-summary');
+const statsTrendCanvas = document.getElementById('stats-trend-canvas');
+const statsMessageElement = document.getElementById('stats-message');
+const statsExportButton = document.getElementById('stats-export-button');
+const statsImportButton = document.getElementById('stats-import-button');
+const statsImportInput = document.getElementById('stats-import-input');
+
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+function addSummaryRow(label, value) {
+    const term = document.createElement('dt');
+    term.innerText = label;
+    const detail = document.createElement('dd');
+    detail.innerText = value;
+    statsSummaryElement.append(term, detail);
+}
+
+Object.entries(CONTROL_SCHEME_DEFS).forEach(([scheme, def]) => {
+    statsSchemeSelect.add(new Option(def.label, scheme));
+});
+
+function renderSummary(summary, scheme) {
+    statsSummaryElement.replaceChildren();
+    if (summary.runCount === 0) {
+        addSummaryRow('Runs', 'None yet — go play!');
+        return;
+    }
+    const best = summary.best;
+    addSummaryRow('Personal best', `${best.touches} keep-ups (${new Date(best.timestamp).toLocaleDateString()})`);
+    addSummaryRow('Runs', summary.runCount);
+    addSummaryRow('Average', `${summary.averageTouches.toFixed(1)} keep-ups in ${formatDuration(summary.averageDurationMs)}`);
+    // The scheme's usual limbs always; other body parts once they've had a touch
+    const usualLimbs = limbsOfBodyParts(CONTROL_SCHEME_DEFS[scheme].bodyParts || DEFAULT_BODY_PARTS);
+    addSummaryRow('Touches by limb', Object.entries(LIMB_LABELS)
+        .filter(([limb]) => usualLimbs.includes(limb) || summary.limbTotals[limb])
+        .map(([limb, label]) => `${label} ${summary.limbTotals[limb] || 0}`).join(' · '));
+    addSummaryRow('Runs ended by', Object.entries(summary.endReasons)
+        .map(([reason, count]) => `${RUN_END_LABELS[reason] || reason} ${count}`).join(' · '));
+}
+
+// Bar per recent run, oldest on the left, personal best highlighted
+function renderTrend(summary) {
+    const ctx = statsTrendCanvas.getContext('2d');
+    const { width, height } = statsTrendCanvas;
+    ctx.clearRect(0, 0, width, height);
+    const runs = summary.trend;
+    if (runs.length === 0) return;
+
+    const maxTouches = Math.max(1, ...runs.map(run => run.touches));
+    const slot = width / TREND_LENGTH;
+    const barWidth = slot * 0.7;
+    runs.forEach((run, i) => {
+        const barHeight = (run.touches / maxTouches) * (height - 20);
+        const x = i * slot + (slot - barWidth) / 2;
+        ctx.fillStyle = run === summary.best ? '#ffd700' : '#00a5ff';
+        ctx.fillRect(x, height - barHeight, barWidth, barHeight);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '10px Helvetica, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(run.touches, x + barWidth / 2, height - barHeight - 4);
+    });
+
+    // Average line for the runs shown
+    const average = runs.reduce((sum, run) => sum + run.touches, 0) / runs.length;
+    const averageY = height - (average / maxTouches) * (height - 20);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, averageY);
+    ctx.lineTo(width, averageY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+function render() {
+    const scheme = statsSchemeSelect.value;
+    const runs = loadRunHistory().filter(run => controlSchemeOfRun(run) === scheme);
+    const summary = summarizeRuns(runs, TREND_LENGTH);
+    renderSummary(summary, scheme);
+    renderTrend(summary);
+}
+
+// scheme picks which runs to show first; the screen can switch between schemes
+export function showStats(scheme = DEFAULT_CONTROL_SCHEME) {
+    statsMessageElement.innerText = '';
+    statsSchemeSelect.value = scheme;
+    render();
+    statsOverlay.classList.add('visible');
+}
+
+export function hideStats() {
+    statsOverlay.classList.remove('visible');
+}
+
+export function toggleStats(scheme) {
+    if (statsOverlay.classList.contains('visible')) hideStats();
+    else showStats(scheme);
+}
+
+// Clicking the dimmed backdrop closes the screen; clicks inside the panel do not
+statsOverlay.addEventListener('click', (e) => {
+    if (e.target === statsOverlay) hideStats();
+});
+
+statsSchemeSelect.addEventListener('change', () => render());
+
+statsExportButton.addEventListener('click', () => exportRunHistory());
+
+statsImportButton.addEventListener('click', () => statsImportInput.click());
+
+statsImportInput.addEventListener('change', async () => {
+    const file = statsImportInput.files[0];
+    statsImportInput.value = ''; // Allow importing the same file again
+    if (!file) return;
+    try {
+        const added = importRunHistory(await file.text());
+        statsMessageElement.innerText = `Imported ${added} run${added === 1 ? '' : 's'}.`;
+        render();
+    } catch (error) {
+        console.error("Failed to import session history:", error);
+        statsMessageElement.innerText = `Import failed: ${error.message}`;
+    }
+});
@@ -0,0 +1,122 @@
+// --- Offline Service Worker ---
+// Precaches the game and the vendored libraries, WASM and pose models on the first visit, so
+// after that the game launches and plays with no network at all.
+// Game files are served from the cache and refreshed in the background, so updates arrive on
+// the next launch; vendored files never change under the same cache name.
+
+const APP_CACHE = 'keep-ups-app';
+const VENDOR_CACHE = 'keep-ups-vendor-v1'; // Bump after re-running tools/vendorLibraries.js with new versions
+const VENDOR_FILE_LIST = 'vendor/files.json';
+
+// Anything missing here is still cached the first time it loads online
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'assets/background.webp',
+    'assets/icon-192.png',
+    'assets/icon-512.png',
+    'analyticsScreen.js',
+    'ballTypes.js',
+    'calibration.js',
+    'controlSchemes.js',
+    'drills.js',
+    'game.js',
+    'gameApi.js',
+    'gameCore.js',
+    'gameState.js',
+    'gestures.js',
+    'limbShapes.js',
+    'physicsSettings.js',
+    'players.js',
+    'poseFilter.js',
+    'poseProviders.js',
+    'poseRecording.js',
+    'qualitySettings.js',
+    'runReplay.js',
+    'sessionHistory.js',
+    'sounds.js',
+    'statsScreen.js',
+    'touchAnalytics.js',
+    'touchPhysics.js',
+    'touchScoring.js',
+    'trackingDiagnostics.js'
+];
+
+// Two-player tracking loads its pose landmarker models from vendor/mediapipe/models/ when
+// tools/vendorLibraries.js could download them, and from Google's model host otherwise (see
+// MediaPipeMultiPoseProvider). The hosted copies are precached too, so pass and versus play offline.
+const POSE_LANDMARKER_VARIANTS = ['lite', 'full', 'heavy'];
+const vendoredModelPath = (variant) => `vendor/mediapipe/models/pose_landmarker_${variant}.task`;
+const hostedModelUrl = (variant) =>
+    `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_${variant}/float16/1/pose_landmarker_${variant}.task`;
+const HOSTED_MODEL_URLS = POSE_LANDMARKER_VARIANTS.map(hostedModelUrl);
+
+// Analytics is optional: offline, its requests get an empty answer instead of an error
+const ANALYTICS_HOSTS = ['cloud.umami.is'];
+
+const vendorPrefix = new URL('vendor/', self.registration.scope).pathname;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const vendorFiles = await (await fetch(VENDOR_FILE_LIST, { cache: 'no-cache' })).json();
+        const vendorCache = await caches.open(VENDOR_CACHE);
+        await vendorCache.addAll(vendorFiles);
+        // Best effort: a model host that can't be reached now is cached the first time it loads
+        const hostedModels = POSE_LANDMARKER_VARIANTS
+            .filter(variant => !vendorFiles.includes(vendoredModelPath(variant)))
+            .map(hostedModelUrl);
+        await Promise.allSettled(hostedModels.map(url => vendorCache.add(url)));
+        await (await caches.open(APP_CACHE)).addAll([...APP_FILES, VENDOR_FILE_LIST]);
+        await self.skipWaiting();
+    })());
+});
+
+// Drop vendor caches from older library versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== APP_CACHE && name !== VENDOR_CACHE).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (ANALYTICS_HOSTS.includes(url.hostname)) {
+        event.respondWith(fetch(request).catch(() => new Response(null, { status: 204 })));
+        return;
+    }
+    if (request.method === 'GET' && HOSTED_MODEL_URLS.includes(request.url)) {
+        event.respondWith(fromVendorCache(request, request.url));
+        return;
+    }
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    // Query strings carry settings (shared physics links, ?input=), not different files
+    const key = url.origin + url.pathname;
+    event.respondWith(url.pathname.startsWith(vendorPrefix) ? fromVendorCache(request, key) : fromAppCache(event, key));
+});
+
+async function fromVendorCache(request, key) {
+    const cache = await caches.open(VENDOR_CACHE);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+}
+
+// Cached copy straight away while a fresh one is fetched for next time
+async function fromAppCache(event, key) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(key);
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    });
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {})); // Offline: keep the cached copy
+    return cached;
+}
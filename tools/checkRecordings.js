@@ -0,0 +1,69 @@
+// --- Recording Regression Check ---
+// Runs every recording in tools/fixtures through the game core and compares the output, game
+// events included, with the expected output saved next to it (<name>.expected.json). Any
+// difference means a change altered how existing sessions play out; when that's intended,
+// save the new output with --update and commit it along with the change. Each recording is
+// also replayed twice on one core shared by all of them, like replays in a browser session:
+// nothing left over from earlier play may change the outcome.
+//
+//   npm test                  Check every recording
+//   npm test -- --update      Save the current output as expected
+
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GameCore } from '../gameCore.js';
+import { simulationReport, stableJson, loadRapier } from './simulateRecording.js';
+
+const ROOT_DIR = join(fileURLToPath(import.meta.url), '..', '..');
+const FIXTURES_DIR = join('tools', 'fixtures'); // From the repo root, so paths in the output don't depend on the checkout
+const EXPECTED_SUFFIX = '.expected.json';
+
+// The first line that differs, for the failure message
+function firstDifference(expected, actual) {
+    const expectedLines = expected.split('\n');
+    const actualLines = actual.split('\n');
+    const line = expectedLines.findIndex((text, i) => text !== actualLines[i]);
+    const at = line === -1 ? expectedLines.length : line;
+    return `line ${at + 1}: expected ${JSON.stringify(expectedLines[at])}, got ${JSON.stringify(actualLines[at])}`;
+}
+
+async function main(args) {
+    const update = args.includes('--update');
+    process.chdir(ROOT_DIR);
+    const RAPIER = await loadRapier();
+    const sharedCore = new GameCore({ RAPIER });
+    const recordings = readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json') && !file.endsWith(EXPECTED_SUFFIX));
+    const failed = [];
+
+    for (const file of recordings) {
+        const path = join(FIXTURES_DIR, file);
+        const expectedPath = join(FIXTURES_DIR, file.replace(/\.json$/, EXPECTED_SUFFIX));
+        const simulate = (core = null) => stableJson(simulationReport(RAPIER, path, { withEvents: true, core })) + '\n';
+        const actual = simulate();
+        for (const replay of [1, 2]) {
+            const replayed = simulate(sharedCore);
+            if (replayed !== actual) failed.push(`${path}: replay ${replay} on a used core differs, ${firstDifference(actual, replayed)}`);
+        }
+        if (update) {
+            writeFileSync(expectedPath, actual);
+            console.log(`${path}: saved`);
+        } else if (!existsSync(expectedPath)) {
+            failed.push(`${path}: no expected output; run with --update to save it`);
+        } else {
+            const expected = readFileSync(expectedPath, 'utf8');
+            if (expected === actual) console.log(`${path}: ok`);
+            else failed.push(`${path}: ${firstDifference(expected, actual)}`);
+        }
+    }
+
+    if (failed.length > 0) {
+        console.error(`Recordings that play out differently:\n  ${failed.join('\n  ')}`);
+        process.exit(1);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
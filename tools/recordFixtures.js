@@ -0,0 +1,330 @@
+// --- Fixture Recordings ---
+// Records the pose sessions in tools/fixtures that `npm test` replays (see checkRecordings.js).
+// A scripted juggler plays each one live against the game core: it watches the ball, holds the
+// limb whose turn it is under where the ball comes down and lifts it so the ball goes back up
+// toward where the next touch should be. What's saved is only the pose stream, with a jittery pipeline latency and
+// the settings it was played with, so the fixtures replay like any recording from the browser.
+// Rerun it to add or change a fixture, then save its expected output with `npm test -- --update`.
+//
+//   node tools/recordFixtures.js            Every fixture
+//   node tools/recordFixtures.js passPlay   Only the named ones
+
+import { writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GameCore, CORE_EVENTS } from '../gameCore.js';
+import { PoseRecorder, PoseReplay } from '../poseRecording.js';
+import { LANDMARK, createStandingLandmarks } from '../poseProviders.js';
+import { LIMBS, BODY_PARTS } from '../touchScoring.js';
+import { LIMB_SHAPES, limbRadius } from '../limbShapes.js';
+import { PLAYER_MODES, PLAYER_HOME_IMAGE_X, PLAYER_HOME_WORLD_X, playerCountForMode } from '../players.js';
+import { TOUCH_MODES } from '../touchPhysics.js';
+import { CONTROL_SCHEMES } from '../controlSchemes.js';
+import { BALL_TYPES } from '../ballTypes.js';
+import { DRILLS } from '../drills.js';
+import { DEFAULT_PHYSICS_SETTINGS } from '../physicsSettings.js';
+import { FILTER_MODES, DEFAULT_FILTER_SETTINGS } from '../poseFilter.js';
+import { recordingSettings, loadRapier } from './simulateRecording.js';
+
+const FIXTURES_DIR = join(fileURLToPath(import.meta.url), '..', 'fixtures');
+const STEP_MS = 1000 / 60;     // The fixed step recordings replay at
+const STEPS_PER_FRAME = 3;     // A 20 fps camera, which keeps the files small
+const STRIKE_MS = 350;         // A lift up and back down; the limb peaks halfway
+const CONTACT_MARGIN = 0.04;   // Ball center above the limb's peak when they meet, beyond both radii
+const FLIGHT_S = 2;            // About how long the ball is up between touches
+const KEPT_SIDE_SHARE = 0.65;  // Of the ball's side speed a touch leaves it with (see computeTouchVelocity)
+const AIM_SHARE = 0.6;         // Of the off-center offset to use: the bounce comes out stronger than estimated, and the next touch corrects the rest
+const MAX_NORMAL_SIDE = 0.5;   // Never strike further off center than this share of the ball and limb radii
+const FOLLOW_SHARE = 0.3;      // Of the way to move the limb toward the ball each frame between strikes
+const STEP_ASIDE_X = 0.2;      // How far a player moves away from the ball, in image units, to let it drop
+
+const FACE_LANDMARKS = [1, 2, 3, 4, 5, 6, 9, 10];
+const UPPER_BODY_LANDMARKS = Array.from({ length: LANDMARK.L_HIP }, (_, i) => i);
+const HEAD_LEAN_X = 0.18; // When heading is on, the upper body leans this far, in image units, out of the way of leg touches
+
+// Each limb lifts with the joints below it; rise is how far up it goes in world units
+const STRIKES = {
+    [LIMBS.LEFT_KNEE]: { followers: [LANDMARK.L_ANKLE, LANDMARK.L_HEEL, LANDMARK.L_FOOT_INDEX], rise: 0.7 },
+    [LIMBS.RIGHT_KNEE]: { followers: [LANDMARK.R_ANKLE, LANDMARK.R_HEEL, LANDMARK.R_FOOT_INDEX], rise: 0.7 },
+    [LIMBS.LEFT_FOOT]: { followers: [LANDMARK.L_HEEL, LANDMARK.L_FOOT_INDEX], rise: 0.8 },
+    [LIMBS.RIGHT_FOOT]: { followers: [LANDMARK.R_HEEL, LANDMARK.R_FOOT_INDEX], rise: 0.8 },
+    [LIMBS.HEAD]: { followers: FACE_LANDMARKS, rise: 0.1 }, // A little jump into the header
+    [LIMBS.LEFT_HAND]: { followers: [], rise: 0.6 },
+    [LIMBS.RIGHT_HAND]: { followers: [], rise: 0.6 }
+};
+
+// Seated players hold their hands in front of the chest, where the shoulder mapping puts them at play height
+const SEATED_HAND_Y = 0.36;
+const HAND_LANDMARKS = [
+    [LANDMARK.L_WRIST, 17, 19, 21],
+    [LANDMARK.R_WRIST, 18, 20, 22]
+];
+
+// A pass-play strike that keeps the ball instead of passing it, so the player's next touch loses it
+const toSelf = (limb) => ({ limb, toSelf: true });
+
+// settings: the recording header. strikes: each player's limbs, used in turn; null lets the ball drop.
+const FIXTURES = [
+    {
+        name: 'standingJuggle',
+        seed: 7,
+        durationMs: 19000,
+        settings: { physics: { ...DEFAULT_PHYSICS_SETTINGS, maxRealisticUpwardVelocity: 5.5 } }, // Lower touches, a shorter file
+        strikes: [[ // Alternating feet, knee-foot-knee and a weak foot streak, then a drop
+            LIMBS.RIGHT_FOOT, LIMBS.LEFT_FOOT, LIMBS.RIGHT_FOOT, LIMBS.LEFT_KNEE, LIMBS.LEFT_FOOT, LIMBS.RIGHT_KNEE,
+            LIMBS.LEFT_FOOT, LIMBS.LEFT_FOOT, LIMBS.LEFT_FOOT, null
+        ]]
+    },
+    {
+        name: 'passPlay',
+        seed: 11,
+        durationMs: 15000,
+        settings: { playerMode: PLAYER_MODES.PASS, ballType: BALL_TYPES.BEACH },
+        strikes: [ // Passes back and forth until the second player keeps the ball and touches it again
+            [LIMBS.RIGHT_FOOT, LIMBS.LEFT_KNEE, LIMBS.LEFT_FOOT],
+            [LIMBS.LEFT_FOOT, LIMBS.RIGHT_FOOT, toSelf(LIMBS.LEFT_FOOT), LIMBS.RIGHT_FOOT]
+        ]
+    },
+    {
+        name: 'versusAssisted',
+        seed: 23,
+        durationMs: 9000,
+        settings: {
+            playerMode: PLAYER_MODES.VERSUS,
+            touchMode: TOUCH_MODES.ASSISTED,
+            bodyParts: [BODY_PARTS.FEET, BODY_PARTS.KNEES, BODY_PARTS.HEAD]
+        },
+        strikes: [ // Headers against knee-foot-knee, each player on their own ball
+            [LIMBS.HEAD, LIMBS.HEAD, LIMBS.HEAD, null],
+            [LIMBS.RIGHT_KNEE, LIMBS.LEFT_FOOT, LIMBS.RIGHT_KNEE, null]
+        ]
+    },
+    {
+        name: 'seatedHands',
+        seed: 5,
+        durationMs: 12500,
+        settings: {
+            controlScheme: CONTROL_SCHEMES.SEATED,
+            bodyParts: [BODY_PARTS.HANDS],
+            filterSettings: { ...DEFAULT_FILTER_SETTINGS, mode: FILTER_MODES.INTERPOLATE, minCutoff: 2.5 }
+        },
+        strikes: [[LIMBS.LEFT_HAND, LIMBS.RIGHT_HAND, LIMBS.LEFT_HAND, LIMBS.RIGHT_HAND, null]]
+    },
+    {
+        name: 'hoopDrill',
+        seed: 3,
+        durationMs: 9000,
+        settings: { drill: DRILLS.HOOP, ballType: BALL_TYPES.TENNIS },
+        strikes: [[LIMBS.RIGHT_FOOT, LIMBS.LEFT_FOOT]]
+    }
+];
+
+const isSeated = (settings) => settings.controlScheme === CONTROL_SCHEMES.SEATED;
+
+function restLandmarks(fixture, centerX) {
+    const landmarks = createStandingLandmarks(centerX);
+    if (isSeated(fixture.settings)) {
+        HAND_LANDMARKS.flat().forEach(index => { landmarks[index].y += SEATED_HAND_Y - landmarks[LANDMARK.L_WRIST].y; });
+    }
+    return landmarks;
+}
+
+// The image position a world position maps from: the inverse of GameCore.mapLandmarkToWorld
+function worldToImage(core, playerIndex, world) {
+    const player = core.players[playerIndex];
+    const seatedMapping = core.controlSchemeDef.upperBodyMapping ? player.upperBodyMapping : null;
+    const { worldWidth, worldHeight, xOffset, yOffset } = seatedMapping || core.worldMapping;
+    const x = !seatedMapping && playerCountForMode(core.playerMode) > 1
+        ? PLAYER_HOME_IMAGE_X[playerIndex] - (world.x - PLAYER_HOME_WORLD_X[playerIndex]) / worldWidth
+        : 0.5 - (world.x - xOffset) / worldWidth;
+    return { x, y: 1 - (world.y - yOffset) / worldHeight, z: -world.z / core.worldMapping.worldWidth };
+}
+
+function imageToWorldY(core, playerIndex, y) {
+    const player = core.players[playerIndex];
+    const seatedMapping = core.controlSchemeDef.upperBodyMapping ? player.upperBodyMapping : null;
+    const { worldHeight, yOffset } = seatedMapping || core.worldMapping;
+    return (1 - y) * worldHeight + yOffset;
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const average = (landmarks, indices, axis) => indices.reduce((sum, i) => sum + landmarks[i][axis], 0) / indices.length;
+
+// Where the next touch should send the ball: back over the player, or to the partner in pass play
+function aimX(core, playerIndex, toSelf) {
+    if (core.playerMode === PLAYER_MODES.SINGLE) return 0;
+    if (core.playerMode === PLAYER_MODES.PASS && !toSelf) return PLAYER_HOME_WORLD_X[1 - playerIndex];
+    return PLAYER_HOME_WORLD_X[playerIndex];
+}
+
+class Juggler {
+    constructor(fixture, index) {
+        this.fixture = fixture;
+        this.index = index;
+        this.strikes = fixture.strikes[index];
+        this.turn = 0;
+        this.reach = { x: 0, z: 0 }; // How far the striking limb is held out from where it rests, in image units
+        this.strike = null;          // { startMs, riseY } while the limb is lifted
+        const centerX = playerCountForMode(fixture.settings.playerMode || PLAYER_MODES.SINGLE) > 1 ? PLAYER_HOME_IMAGE_X[index] : 0.5;
+        this.rest = restLandmarks(fixture, centerX);
+        this.centerX = centerX;
+        this.asideX = 0; // Where the player stepped to let the ball drop, in image units from where they stand
+    }
+
+    get limb() {
+        const strike = this.strikes[this.turn % this.strikes.length];
+        return strike && strike.limb ? strike.limb : strike;
+    }
+
+    get leansAside() {
+        return (this.fixture.settings.bodyParts || []).includes(BODY_PARTS.HEAD) && this.limb !== LIMBS.HEAD;
+    }
+
+    get keepsBall() {
+        return Boolean(this.strikes[this.turn % this.strikes.length]?.toSelf);
+    }
+
+    // A dropped ball ends the wait for it
+    runEnded() {
+        if (this.limb === null) this.turn++;
+    }
+
+    // ball: the core's snapshot of the ball this player plays next, or null when it's the partner's turn
+    pose(core, ball, nowMs) {
+        if (this.strike && nowMs - this.strike.startMs >= STRIKE_MS) {
+            this.strike = null;
+            this.turn++;
+        }
+        const landmarks = this.rest.map(landmark => ({ ...landmark }));
+        if (this.limb === null) {
+            if (ball && this.asideX === 0) {
+                this.asideX = worldToImage(core, this.index, ball.position).x > this.centerX ? -STEP_ASIDE_X : STEP_ASIDE_X;
+            }
+            landmarks.forEach(landmark => { landmark.x += this.asideX; });
+            return landmarks;
+        }
+        this.asideX = 0;
+        if (ball && !this.strike) this.follow(core, ball, nowMs);
+        if (this.leansAside) {
+            const lean = LIMB_SHAPES[this.limb].landmarks[0] % 2 === 0 ? HEAD_LEAN_X : -HEAD_LEAN_X; // Away from the leg (odd landmarks are the left side)
+            UPPER_BODY_LANDMARKS.forEach(i => { landmarks[i].x += lean; });
+        }
+
+        // The limb is held under where the ball will come down, and lifted straight up to meet it
+        const lift = this.strike ? this.strike.riseY * Math.sin(Math.PI * (nowMs - this.strike.startMs) / STRIKE_MS) : 0;
+        [...LIMB_SHAPES[this.limb].landmarks, ...STRIKES[this.limb].followers].forEach(i => {
+            landmarks[i].x += this.reach.x;
+            landmarks[i].y -= lift;
+            landmarks[i].z = this.reach.z;
+        });
+        return landmarks;
+    }
+
+    // Move the limb toward where it should meet the ball, and start the lift when the ball is
+    // due to meet it at its peak. The meeting point is a little off the ball's center, to take off
+    // side speed and send the ball toward the next touch.
+    follow(core, ball, nowMs) {
+        const { position, velocity } = ball;
+        const keys = LIMB_SHAPES[this.limb].landmarks;
+        const restImage = { x: average(this.rest, keys, 'x'), y: average(this.rest, keys, 'y') };
+        const restY = imageToWorldY(core, this.index, restImage.y);
+        const peakY = restY + STRIKES[this.limb].rise;
+        const contactY = peakY + core.ballProperties.radius + limbRadius(this.limb, core.physicsSettings.playerColliderRadius) + CONTACT_MARGIN;
+        const gravity = -core.physicsSettings.gravityY;
+        const discriminant = velocity.y * velocity.y + 2 * gravity * (position.y - contactY);
+        if (discriminant < 0) return;
+        const untilContactS = (velocity.y + Math.sqrt(discriminant)) / gravity; // On the way down
+
+        // A touch keeps a share of the ball's side speed and adds the bounce along the contact normal,
+        // so the limb sits off the ball's center by the share of the bounce the side speed still needs
+        const { radius, restitution } = core.ballProperties;
+        const reach = radius + limbRadius(this.limb, core.physicsSettings.playerColliderRadius);
+        const bounce = (1 + restitution) * (gravity * untilContactS - velocity.y);
+        const contactX = position.x + velocity.x * untilContactS;
+        const contactZ = position.z + velocity.z * untilContactS;
+        const offset = (axis, contact, aim) => {
+            const wantedSpeed = (aim - contact) / FLIGHT_S;
+            return AIM_SHARE * reach * clamp((wantedSpeed - KEPT_SIDE_SHARE * velocity[axis]) / bounce, -MAX_NORMAL_SIDE, MAX_NORMAL_SIDE);
+        };
+        const target = worldToImage(core, this.index, {
+            x: contactX - offset('x', contactX, aimX(core, this.index, this.keepsBall)),
+            y: contactY,
+            z: contactZ - offset('z', contactZ, 0)
+        });
+        this.reach.x += (target.x - restImage.x - this.reach.x) * FOLLOW_SHARE;
+        this.reach.z += (target.z - this.reach.z) * FOLLOW_SHARE;
+
+        if (velocity.y < 0 && untilContactS > 0 && untilContactS * 1000 <= STRIKE_MS / 2) {
+            this.strike = { startMs: nowMs, riseY: restImage.y - worldToImage(core, this.index, { x: 0, y: peakY, z: 0 }).y };
+        }
+    }
+}
+
+// In pass play the ball is the partner's after a touch unless it was kept, and whoever it comes down
+// nearest to at the start of a run
+function passReceiver(ball, lastToucher, kept) {
+    if (lastToucher !== null) return kept ? lastToucher : 1 - lastToucher;
+    return Math.abs(ball.position.x - PLAYER_HOME_WORLD_X[0]) <= Math.abs(ball.position.x - PLAYER_HOME_WORLD_X[1]) ? 0 : 1;
+}
+
+// A frame's pipeline latency: around a webcam's, never the same twice in a row
+const frameLatencyMs = (frame) => 35 + ((frame * 7919) % 23);
+
+function recordFixture(RAPIER, fixture) {
+    const recorder = new PoseRecorder();
+    recorder.start(fixture.seed, fixture.settings, 0);
+    const core = new GameCore({ RAPIER, ...recordingSettings(recorder.recording) });
+    core.reset(fixture.seed);
+    // Frames reach the core the way a replay hands them over, so the recording replays exactly as it was played
+    const replay = new PoseReplay(recorder.recording);
+    const jugglers = fixture.strikes.map((_, index) => new Juggler(fixture, index));
+    let lastToucher = null;
+    let kept = false; // The last touch was meant to keep the ball
+    const played = { touches: 0, combos: new Set() };
+
+    for (let step = 1; step * STEP_MS <= fixture.durationMs; step++) {
+        const nowMs = step * STEP_MS;
+        if (step % STEPS_PER_FRAME === 0) {
+            const { balls } = core.getState();
+            const poses = jugglers.map(juggler => {
+                const ball = core.playerMode === PLAYER_MODES.VERSUS ? balls[juggler.index]
+                    : core.playerMode === PLAYER_MODES.PASS && juggler.index !== passReceiver(balls[0], lastToucher, kept) ? null : balls[0];
+                return { landmarks: juggler.pose(core, ball && !ball.isOut ? ball : null, nowMs), worldLandmarks: null };
+            });
+            const results = { poseLandmarks: poses[0].landmarks, poseWorldLandmarks: null, latencyMs: frameLatencyMs(step / STEPS_PER_FRAME) };
+            if (poses.length > 1) results.poses = poses;
+            recorder.addFrame(results, Math.floor(nowMs));
+        }
+        replay.advance(STEP_MS, results => core.addPoseResults(results));
+        core.step(STEP_MS).events.forEach(event => {
+            if (event.type === CORE_EVENTS.TOUCH) {
+                kept = jugglers[event.player].keepsBall;
+                lastToucher = event.player;
+                played.touches++;
+                event.combos.forEach(combo => played.combos.add(combo.id));
+            } else if (event.type === CORE_EVENTS.RUN_END) {
+                lastToucher = null;
+                kept = false;
+                jugglers.forEach(juggler => juggler.runEnded());
+            }
+        });
+    }
+    return { recording: recorder.stop(), played };
+}
+
+async function main(names) {
+    const RAPIER = await loadRapier();
+    const fixtures = names.length > 0 ? FIXTURES.filter(fixture => names.includes(fixture.name)) : FIXTURES;
+    for (const fixture of fixtures) {
+        const { recording, played } = recordFixture(RAPIER, fixture);
+        recording.createdAt = new Date(0).toISOString(); // Rerunning an unchanged fixture leaves the file alone
+        writeFileSync(join(FIXTURES_DIR, `${fixture.name}.json`), JSON.stringify(recording) + '\n');
+        const combos = played.combos.size > 0 ? `, combos: ${[...played.combos].join(', ')}` : '';
+        console.log(`${fixture.name}: ${recording.frames.length} frames, ${played.touches} touches${combos}`);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
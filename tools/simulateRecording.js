@@ -0,0 +1,115 @@
+// --- Headless Simulation ---
+// Runs a saved pose recording through the game core in Node, with no browser, and prints
+// what happened as JSON. Run it before and after a gameplay change and diff the output.
+// Needs the Rapier version the browser loads, pinned in package.json: npm install
+//
+//   node tools/simulateRecording.js session.json            Runs and final score
+//   node tools/simulateRecording.js session.json --events   Every game event as well
+
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { GameCore, CORE_EVENTS } from '../gameCore.js';
+import { PoseReplay, parseRecording } from '../poseRecording.js';
+import { PLAYER_MODES } from '../players.js';
+import { TOUCH_MODES } from '../touchPhysics.js';
+import { DEFAULT_BODY_PARTS } from '../touchScoring.js';
+import { DEFAULT_FILTER_SETTINGS } from '../poseFilter.js';
+import { DEFAULT_PHYSICS_SETTINGS } from '../physicsSettings.js';
+import { DEFAULT_BALL_TYPE } from '../ballTypes.js';
+import { DEFAULT_CONTROL_SCHEME } from '../controlSchemes.js';
+import { DEFAULT_MAPPING } from '../calibration.js';
+
+const REPLAY_STEP_MS = 1000 / 60; // The fixed step the browser replays recordings at
+
+// The settings a recording was played with, as GameCore options; what older recordings didn't store
+// takes the defaults, the same in every run
+export function recordingSettings(recording) {
+    return {
+        playerMode: recording.playerMode || PLAYER_MODES.SINGLE,
+        touchMode: recording.touchMode || TOUCH_MODES.REALISTIC,
+        physicsSettings: recording.physics || DEFAULT_PHYSICS_SETTINGS,
+        ballType: recording.ballType || DEFAULT_BALL_TYPE,
+        bodyParts: recording.bodyParts || DEFAULT_BODY_PARTS,
+        controlScheme: recording.controlScheme || DEFAULT_CONTROL_SCHEME,
+        drill: recording.drill || null,
+        worldMapping: recording.worldMapping || DEFAULT_MAPPING,
+        filterSettings: { ...DEFAULT_FILTER_SETTINGS, ...recording.filterSettings }
+    };
+}
+
+// Switch a core that has already played to the recording's settings, as the browser does before a replay
+function applyRecordingSettings(core, settings) {
+    core.setPlayerMode(settings.playerMode);
+    core.touchMode = settings.touchMode;
+    core.applyPhysicsSettings(settings.physicsSettings);
+    core.setBallType(settings.ballType);
+    core.setBodyParts(settings.bodyParts);
+    core.setControlScheme(settings.controlScheme);
+    core.setDrill(settings.drill);
+    core.worldMapping = settings.worldMapping;
+    Object.assign(core.poseFilter.settings, settings.filterSettings); // The filters share the settings object
+}
+
+// Play the recording back from the start it was recorded with (same seed, mode and settings),
+// one fixed step at a time, on a new core or on core if given. RAPIER must already be initialized.
+export function simulateRecording(RAPIER, recording, { stepMs = REPLAY_STEP_MS, core = null } = {}) {
+    const settings = recordingSettings(recording);
+    if (core) applyRecordingSettings(core, settings);
+    else core = new GameCore({ RAPIER, ...settings });
+    core.reset(recording.seed);
+    core.events = []; // The reset's own transition starts from whatever state the core was left in
+
+    const replay = new PoseReplay(recording);
+    const events = [];
+    while (!replay.isFinished) {
+        replay.advance(stepMs, results => core.addPoseResults(results));
+        events.push(...core.step(stepMs).events);
+    }
+
+    const state = core.getState();
+    return {
+        events,
+        runs: events.filter(event => event.type === CORE_EVENTS.RUN_END).map(event => event.summary),
+        final: {
+            timeMs: state.timeMs,
+            state: state.state,
+            score: state.score,
+            balls: state.balls.map(({ touches, points, isOut }) => ({ touches, points, isOut }))
+        }
+    };
+}
+
+// What the tool prints for a recording file
+export function simulationReport(RAPIER, path, { withEvents = false, core = null } = {}) {
+    const recording = parseRecording(readFileSync(path, 'utf8'));
+    const { events, runs, final } = simulateRecording(RAPIER, recording, { core });
+    const report = { recording: path, seed: recording.seed, frames: recording.frames.length, runs, final };
+    if (withEvents) report.events = events;
+    return report;
+}
+
+// Wall-clock timestamps would make every run's output differ
+export const stableJson = (value) => JSON.stringify(value, (key, v) => (key === 'timestamp' ? undefined : v), 2);
+
+export async function loadRapier() {
+    const { default: RAPIER } = await import('@dimforge/rapier3d-compat');
+    await RAPIER.init();
+    return RAPIER;
+}
+
+async function main(args) {
+    const [path, ...flags] = args;
+    if (!path) {
+        console.error('Usage: node tools/simulateRecording.js <recording.json> [--events]');
+        process.exit(1);
+    }
+    const RAPIER = await loadRapier();
+    console.log(stableJson(simulationReport(RAPIER, path, { withEvents: flags.includes('--events') })));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,142 @@
+// --- Vendored Libraries ---
+// Downloads the pinned copies of Three.js, Rapier and MediaPipe (scripts, WASM and pose models)
+// that the game loads from vendor/, so it runs without any CDN, and writes vendor/files.json,
+// the list the service worker precaches. Run it again after changing a version below.
+//
+//   node tools/vendorLibraries.js
+
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { gunzipSync } from 'node:zlib';
+
+const VENDOR_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'vendor');
+const NPM_REGISTRY = 'https://registry.npmjs.org';
+
+// Only the files the game loads are kept; files maps package paths to paths under vendor/
+const VENDORED_PACKAGES = [
+    {
+        name: 'three',
+        version: '0.158.0',
+        files: { 'build/three.module.min.js': 'three/three.module.min.js' }
+    },
+    {
+        name: '@dimforge/rapier3d-compat', // The WASM is embedded in the module
+        version: '0.14.0', // Keep package.json's devDependency, which the Node tools use, in step
+        files: { 'rapier.es.js': 'rapier/rapier.es.js' }
+    },
+    {
+        name: '@mediapipe/drawing_utils',
+        version: '0.3.1675466124',
+        files: { 'drawing_utils.js': 'mediapipe/drawing_utils/drawing_utils.js' }
+    },
+    {
+        name: '@mediapipe/pose', // Lite, full and heavy models for model complexity 0, 1 and 2
+        version: '0.5.1675469404',
+        files: Object.fromEntries([
+            'pose.js',
+            'pose_web.binarypb',
+            'pose_solution_packed_assets_loader.js',
+            'pose_solution_packed_assets.data',
+            'pose_solution_simd_wasm_bin.js',
+            'pose_solution_simd_wasm_bin.wasm',
+            'pose_solution_wasm_bin.js',
+            'pose_solution_wasm_bin.wasm',
+            'pose_landmark_lite.tflite',
+            'pose_landmark_full.tflite',
+            'pose_landmark_heavy.tflite'
+        ].map(file => [file, `mediapipe/pose/${file}`]))
+    },
+    {
+        name: '@mediapipe/tasks-vision',
+        version: '0.10.14',
+        files: Object.fromEntries([
+            'vision_bundle.mjs',
+            'wasm/vision_wasm_internal.js',
+            'wasm/vision_wasm_internal.wasm',
+            'wasm/vision_wasm_nosimd_internal.js',
+            'wasm/vision_wasm_nosimd_internal.wasm'
+        ].map(file => [file, `mediapipe/tasks-vision/${file}`]))
+    }
+];
+
+// Files published outside npm
+const VENDORED_DOWNLOADS = ['lite', 'full', 'heavy'].map(variant => ({
+    url: `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_${variant}/float16/1/pose_landmarker_${variant}.task`,
+    to: `mediapipe/models/pose_landmarker_${variant}.task`
+}));
+
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// Regular files in a tar archive, by path
+function readTar(archive) {
+    const entries = new Map();
+    const text = (start, length) => archive.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    for (let offset = 0; offset + 512 <= archive.length;) {
+        const name = text(offset, 100);
+        if (!name) break; // The archive ends with empty blocks
+        const size = parseInt(text(offset + 124, 12).trim() || '0', 8);
+        const type = text(offset + 156, 1);
+        const prefix = text(offset + 345, 155);
+        if (type === '0' || type === '') {
+            entries.set(prefix ? `${prefix}/${name}` : name, archive.subarray(offset + 512, offset + 512 + size));
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+function writeVendored(path, data) {
+    const target = join(VENDOR_DIR, path);
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, data);
+}
+
+async function main() {
+    rmSync(VENDOR_DIR, { recursive: true, force: true });
+    const written = [];
+    const failed = [];
+
+    for (const { name, version, files } of VENDORED_PACKAGES) {
+        const tarball = `${NPM_REGISTRY}/${name}/-/${name.split('/').pop()}-${version}.tgz`;
+        try {
+            const entries = readTar(gunzipSync(await download(tarball)));
+            for (const [from, to] of Object.entries(files)) {
+                const data = entries.get(`package/${from}`);
+                if (!data) throw new Error(`${name}@${version} has no ${from}`);
+                writeVendored(to, data);
+                written.push(to);
+            }
+            console.log(`${name}@${version}`);
+        } catch (error) {
+            failed.push(`${name}@${version}: ${error.message}`);
+        }
+    }
+
+    for (const { url, to } of VENDORED_DOWNLOADS) {
+        try {
+            writeVendored(to, await download(url));
+            written.push(to);
+            console.log(to);
+        } catch (error) {
+            failed.push(`${to}: ${error.cause ? error.cause.message : error.message}`);
+        }
+    }
+
+    // Only what was actually written, so the service worker never precaches a missing file
+    writeVendored('files.json', JSON.stringify(written.map(path => `vendor/${path}`), null, 2) + '\n');
+
+    if (failed.length > 0) {
+        console.error(`Not vendored:\n  ${failed.join('\n  ')}`);
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,120 @@
+// --- Touch Analytics ---
+// Keeps every touch of the session (where the ball was, how high, which limb, how it came in
+// and the time since the previous touch) and works out what a coach would look for: where on
+// the body touches land, at what heights, how steady the rhythm is and left/right balance.
+
+const MAX_LOGGED_RUNS = 50;         // The session log keeps this many recent runs
+export const HEIGHT_BIN_SIZE = 0.1;  // Histogram bins, in body heights (feet to nose)
+export const MAX_BODY_HEIGHT = 1.4;  // Touches higher than this are counted in the top bin
+const RHYTHM_WINDOW = 5;            // Intervals in each point of the rolling consistency line
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Left or right limb; null for the head and chest
+export const limbSide = (limb) => (limb.startsWith('left') ? 'left' : limb.startsWith('right') ? 'right' : null);
+
+export class TouchLog {
+    constructor() {
+        this.runs = [];    // Finished runs: { summary, touches }, oldest first
+        this.current = []; // Touches of the run in play
+    }
+
+    // event is a core TOUCH event
+    add(event) {
+        const previous = this.current.filter(touch => touch.ball === event.ball).pop();
+        this.current.push({
+            timeMs: event.timeMs,
+            ball: event.ball,
+            player: event.player,
+            limb: event.limb,
+            bodyPart: event.bodyPart,
+            position: { x: round(event.position.x), y: round(event.position.y), z: round(event.position.z) },
+            height: round(event.height),
+            bodyPoint: event.bodyPoint && { x: round(event.bodyPoint.x), y: round(event.bodyPoint.y) },
+            ballVelocity: { x: round(event.ballVelocity.x), y: round(event.ballVelocity.y), z: round(event.ballVelocity.z) },
+            intervalMs: previous ? Math.round(event.timeMs - previous.timeMs) : null // Since the previous touch on this ball
+        });
+    }
+
+    // The run ended: keep it if it had any touches
+    endRun(summary) {
+        if (this.current.length > 0) {
+            this.runs.push({ summary, touches: this.current });
+            if (this.runs.length > MAX_LOGGED_RUNS) this.runs.shift();
+        }
+        this.current = [];
+    }
+
+    // The game was reset mid-run
+    discardRun() {
+        this.current = [];
+    }
+
+    get lastRun() {
+        return this.runs[this.runs.length - 1] || null;
+    }
+
+    // One row per touch, for spreadsheets
+    toCsv() {
+        const header = ['run', 'timeMs', 'ball', 'player', 'limb', 'bodyPart', 'x', 'y', 'z', 'height',
+            'bodyX', 'bodyY', 'ballVx', 'ballVy', 'ballVz', 'intervalMs'];
+        const rows = this.runs.flatMap((run, runIndex) => run.touches.map(touch => [
+            runIndex + 1, Math.round(touch.timeMs), touch.ball, touch.player, touch.limb, touch.bodyPart,
+            touch.position.x, touch.position.y, touch.position.z, touch.height,
+            touch.bodyPoint ? touch.bodyPoint.x : '', touch.bodyPoint ? touch.bodyPoint.y : '',
+            touch.ballVelocity.x, touch.ballVelocity.y, touch.ballVelocity.z, touch.intervalMs ?? ''
+        ]));
+        return [header, ...rows].map(row => row.join(',')).join('\n');
+    }
+}
+
+// Spread of the intervals relative to their mean, turned into 0-1 (1 = perfectly even)
+function consistency(intervals) {
+    if (intervals.length < 2) return null;
+    const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+    const variance = intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length;
+    return Math.max(0, 1 - Math.sqrt(variance) / mean);
+}
+
+// touches: TouchLog touch records, in the order they happened
+export function analyzeTouches(touches) {
+    const placed = touches.filter(touch => touch.bodyPoint); // Touches with a full-body pose to place them against
+
+    const heightBins = Array(Math.round(MAX_BODY_HEIGHT / HEIGHT_BIN_SIZE)).fill(0);
+    placed.forEach(touch => {
+        const bin = Math.floor(Math.max(0, touch.bodyPoint.y) / HEIGHT_BIN_SIZE + 1e-9); // 0.3 / 0.1 is just under 3
+        heightBins[Math.min(heightBins.length - 1, bin)]++;
+    });
+
+    const intervals = touches.filter(touch => touch.intervalMs !== null).map(touch => touch.intervalMs);
+    const rollingConsistency = intervals.map((_, i) =>
+        i + 1 >= RHYTHM_WINDOW ? consistency(intervals.slice(i + 1 - RHYTHM_WINDOW, i + 1)) : null);
+
+    const balance = { limbs: { left: 0, right: 0 }, contact: { left: 0, right: 0 } };
+    touches.forEach(touch => {
+        const side = limbSide(touch.limb);
+        if (side) balance.limbs[side]++;
+    });
+    placed.forEach(touch => { balance.contact[touch.bodyPoint.x < 0 ? 'left' : 'right']++; });
+
+    return {
+        touchCount: touches.length,
+        heatPoints: placed.map(touch => touch.bodyPoint),
+        heightBins,
+        intervals,
+        meanIntervalMs: intervals.length > 0 ? intervals.reduce((sum, value) => sum + value, 0) / intervals.length : null,
+        consistency: consistency(intervals),
+        rollingConsistency,
+        balance
+    };
+}
+
+export function downloadTouchCsv(log) {
+    const blob = new Blob([log.toCsv()], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `keep-ups-touches-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,141 @@
+// --- Touch Physics ---
+// Limb velocity estimation from successive pose samples, and the ball velocity and spin
+// a touch produces from limb speed, direction and contact point.
+
+export const TOUCH_MODES = {
+    ASSISTED: 'assisted',   // Every touch pops the ball straight up by the same amount
+    REALISTIC: 'realistic'  // Touch strength and direction follow the limb's movement
+};
+
+const LIMB_VELOCITY_SMOOTHING = 0.5; // Weight of the newest sample (1 = no smoothing)
+const LIMB_SAMPLE_MAX_GAP_MS = 250;  // Older samples are too stale to estimate velocity from
+const MAX_LIMB_SPEED = 12;           // Clamp for tracking glitches that teleport a joint
+
+const TOUCH_RESTITUTION = 0.6;     // Default bounce off the limb along the contact normal (the Normal ball's restitution)
+const TOUCH_FRICTION = 0.35;       // Share of the limb's sideways/forward motion passed on to the ball
+const TOUCH_MIN_UP_SPEED = 1.5;    // Even a dead-still limb keeps a touch playable
+const TOUCH_MAX_SIDE_SPEED = 3.0;  // Keep steered touches on the pitch (applies to X and Z)
+const TOUCH_MAX_SPIN = 40;         // rad/s; keeps tracking glitches from spinning the ball wildly
+
+export class LimbVelocityTracker {
+    constructor() {
+        this.lastPosition = null;
+        this.lastTimeMs = 0;
+        this.velocity = { x: 0, y: 0, z: 0 };
+    }
+
+    // Feed one pose sample (world position, or null when the joint is not visible)
+    addSample(position, timeMs) {
+        if (!position) {
+            this.reset();
+            return;
+        }
+        const dtMs = timeMs - this.lastTimeMs;
+        if (this.lastPosition && dtMs > 0 && dtMs <= LIMB_SAMPLE_MAX_GAP_MS) {
+            const dtS = dtMs / 1000;
+            for (const axis of ['x', 'y', 'z']) {
+                const sample = clamp((position[axis] - this.lastPosition[axis]) / dtS, -MAX_LIMB_SPEED, MAX_LIMB_SPEED);
+                this.velocity[axis] += (sample - this.velocity[axis]) * LIMB_VELOCITY_SMOOTHING;
+            }
+        } else {
+            this.velocity = { x: 0, y: 0, z: 0 };
+        }
+        this.lastPosition = { x: position.x, y: position.y, z: position.z };
+        this.lastTimeMs = timeMs;
+    }
+
+    reset() {
+        this.lastPosition = null;
+        this.velocity = { x: 0, y: 0, z: 0 };
+    }
+}
+
+// Ball velocity after a touch, treating the limb as a heavy moving surface:
+// the ball bounces off it along the contact normal (ball center minus limb center),
+// picks up part of the limb's sideways motion, and always leaves with some lift.
+export function computeTouchVelocity({ ballPosition, ballVelocity, limbPosition, limbVelocity, restitution = TOUCH_RESTITUTION }) {
+    const normal = contactNormal(ballPosition, limbPosition);
+    const relative = {
+        x: limbVelocity.x - ballVelocity.x,
+        y: limbVelocity.y - ballVelocity.y,
+        z: limbVelocity.z - ballVelocity.z
+    };
+    const relativeNormalSpeed = relative.x * normal.x + relative.y * normal.y + relative.z * normal.z;
+    const normalImpulse = (1 + restitution) * Math.max(0, relativeNormalSpeed);
+
+    // Tangential part of the relative motion drags the ball along (steering)
+    const tangent = {
+        x: relative.x - relativeNormalSpeed * normal.x,
+        z: relative.z - relativeNormalSpeed * normal.z
+    };
+
+    const velocity = {
+        x: ballVelocity.x + normal.x * normalImpulse + tangent.x * TOUCH_FRICTION,
+        y: ballVelocity.y + normal.y * normalImpulse,
+        z: ballVelocity.z + normal.z * normalImpulse + tangent.z * TOUCH_FRICTION
+    };
+    velocity.y = Math.max(velocity.y, TOUCH_MIN_UP_SPEED);
+    velocity.x = clamp(velocity.x, -TOUCH_MAX_SIDE_SPEED, TOUCH_MAX_SIDE_SPEED);
+    velocity.z = clamp(velocity.z, -TOUCH_MAX_SIDE_SPEED, TOUCH_MAX_SIDE_SPEED);
+    return velocity;
+}
+
+// Ball angular velocity after a touch. The limb's motion across the contact point, less the
+// ball surface's own motion there, drags the surface along: an off-center or brushing touch
+// spins the ball, a square one leaves its spin alone. spinTransfer is the share of that slip
+// turned into spin.
+export function computeTouchSpin({ ballPosition, ballVelocity, ballAngularVelocity, limbPosition, limbVelocity, radius, spinTransfer }) {
+    const normal = contactNormal(ballPosition, limbPosition);
+    const contact = { x: -normal.x * radius, y: -normal.y * radius, z: -normal.z * radius }; // From the ball center
+    const surfaceSpin = cross(ballAngularVelocity, contact);
+    const slip = {
+        x: limbVelocity.x - ballVelocity.x - surfaceSpin.x,
+        y: limbVelocity.y - ballVelocity.y - surfaceSpin.y,
+        z: limbVelocity.z - ballVelocity.z - surfaceSpin.z
+    };
+    const slipNormalSpeed = slip.x * normal.x + slip.y * normal.y + slip.z * normal.z;
+    const tangentSlip = {
+        x: slip.x - slipNormalSpeed * normal.x,
+        y: slip.y - slipNormalSpeed * normal.y,
+        z: slip.z - slipNormalSpeed * normal.z
+    };
+    const torque = cross(contact, tangentSlip);
+    const scale = spinTransfer / (radius * radius);
+    const spin = {
+        x: ballAngularVelocity.x + torque.x * scale,
+        y: ballAngularVelocity.y + torque.y * scale,
+        z: ballAngularVelocity.z + torque.z * scale
+    };
+    const speed = Math.hypot(spin.x, spin.y, spin.z);
+    return speed > TOUCH_MAX_SPIN
+        ? { x: spin.x * TOUCH_MAX_SPIN / speed, y: spin.y * TOUCH_MAX_SPIN / speed, z: spin.z * TOUCH_MAX_SPIN / speed }
+        : spin;
+}
+
+// Magnus effect: a spinning ball is pushed across its direction of travel (ω × v), so spin
+// curves its flight. Returns the acceleration; strength folds air density and ball size together.
+export function computeMagnusAcceleration(angularVelocity, velocity, strength) {
+    const force = cross(angularVelocity, velocity);
+    return { x: force.x * strength, y: force.y * strength, z: force.z * strength };
+}
+
+// Unit vector from the limb center to the ball center
+function contactNormal(ballPosition, limbPosition) {
+    const normal = {
+        x: ballPosition.x - limbPosition.x,
+        y: ballPosition.y - limbPosition.y,
+        z: ballPosition.z - limbPosition.z
+    };
+    const length = Math.hypot(normal.x, normal.y, normal.z);
+    return length > 1e-6
+        ? { x: normal.x / length, y: normal.y / length, z: normal.z / length }
+        : { x: 0, y: 1, z: 0 };
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,162 @@
+// --- Touch Scoring ---
+// Attributes each touch to a limb, keeps a per-limb breakdown for the run and
+// awards combo bonuses for drill-style touch sequences.
+
+export const LIMBS = {
+    LEFT_KNEE: 'leftKnee',
+    RIGHT_KNEE: 'rightKnee',
+    LEFT_FOOT: 'leftFoot',
+    RIGHT_FOOT: 'rightFoot',
+    LEFT_THIGH: 'leftThigh',
+    RIGHT_THIGH: 'rightThigh',
+    CHEST: 'chest',
+    HEAD: 'head',
+    LEFT_HAND: 'leftHand',
+    RIGHT_HAND: 'rightHand'
+};
+
+export const LIMB_LABELS = {
+    [LIMBS.LEFT_KNEE]: 'L knee',
+    [LIMBS.RIGHT_KNEE]: 'R knee',
+    [LIMBS.LEFT_FOOT]: 'L foot',
+    [LIMBS.RIGHT_FOOT]: 'R foot',
+    [LIMBS.LEFT_THIGH]: 'L thigh',
+    [LIMBS.RIGHT_THIGH]: 'R thigh',
+    [LIMBS.CHEST]: 'Chest',
+    [LIMBS.HEAD]: 'Head',
+    [LIMBS.LEFT_HAND]: 'L hand',
+    [LIMBS.RIGHT_HAND]: 'R hand'
+};
+
+// --- Body Parts ---
+// Limbs are switched on and off a body part at a time, so a session can be feet only or all
+// body. Each part has its own points per touch: the harder touches are worth more.
+// Hands are only for seated play (see controlSchemes.js), so they aren't offered in ⚙.
+export const BODY_PARTS = {
+    FEET: 'feet',
+    KNEES: 'knees',
+    THIGHS: 'thighs',
+    CHEST: 'chest',
+    HEAD: 'head',
+    HANDS: 'hands'
+};
+
+export const BODY_PART_DEFS = {
+    [BODY_PARTS.FEET]: { label: 'Feet', limbs: [LIMBS.LEFT_FOOT, LIMBS.RIGHT_FOOT], points: 1 },
+    [BODY_PARTS.KNEES]: { label: 'Knees', limbs: [LIMBS.LEFT_KNEE, LIMBS.RIGHT_KNEE], points: 1 },
+    [BODY_PARTS.THIGHS]: { label: 'Thighs', limbs: [LIMBS.LEFT_THIGH, LIMBS.RIGHT_THIGH], points: 1 },
+    [BODY_PARTS.CHEST]: { label: 'Chest', limbs: [LIMBS.CHEST], points: 2 },
+    [BODY_PARTS.HEAD]: { label: 'Head', limbs: [LIMBS.HEAD], points: 2 },
+    [BODY_PARTS.HANDS]: { label: 'Hands', limbs: [LIMBS.LEFT_HAND, LIMBS.RIGHT_HAND], points: 1, selectable: false }
+};
+
+// The parts a standing player can switch on and off
+export const SELECTABLE_BODY_PARTS = Object.keys(BODY_PART_DEFS).filter(part => BODY_PART_DEFS[part].selectable !== false);
+
+export const DEFAULT_BODY_PARTS = [BODY_PARTS.FEET, BODY_PARTS.KNEES];
+
+export const BODY_PART_PRESETS = {
+    feetOnly: { label: 'Feet only', parts: [BODY_PARTS.FEET] },
+    legs: { label: 'Feet and knees', parts: DEFAULT_BODY_PARTS },
+    allBody: { label: 'All body', parts: SELECTABLE_BODY_PARTS }
+};
+
+export const bodyPartOfLimb = (limb) => Object.keys(BODY_PART_DEFS).find(part => BODY_PART_DEFS[part].limbs.includes(limb));
+
+// Known parts in registry order, without duplicates; nothing valid falls back to the default
+export function normalizeBodyParts(parts) {
+    const valid = Object.values(BODY_PARTS).filter(part => Array.isArray(parts) && parts.includes(part));
+    return valid.length > 0 ? valid : [...DEFAULT_BODY_PARTS];
+}
+
+// The preset these parts match, or null for a custom selection
+export function matchingBodyPartPreset(parts) {
+    const normalized = normalizeBodyParts(parts);
+    const match = Object.entries(BODY_PART_PRESETS)
+        .find(([, preset]) => preset.parts.length === normalized.length && preset.parts.every(part => normalized.includes(part)));
+    return match ? match[0] : null;
+}
+
+export const limbsOfBodyParts = (parts) => parts.flatMap(part => BODY_PART_DEFS[part].limbs);
+
+const isFoot = (limb) => limb === LIMBS.LEFT_FOOT || limb === LIMBS.RIGHT_FOOT;
+const isKnee = (limb) => limb === LIMBS.LEFT_KNEE || limb === LIMBS.RIGHT_KNEE;
+const isHand = (limb) => limb === LIMBS.LEFT_HAND || limb === LIMBS.RIGHT_HAND;
+
+const STREAK_MIN_LENGTH = 3; // Streak combos start paying out from the third touch
+
+// Length of the run of touches at the end of history that satisfy pairOk(previous, current)
+function trailingStreak(history, startOk, pairOk) {
+    let length = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (!startOk(history[i])) break;
+        if (length > 0 && !pairOk(history[i], history[i + 1])) break;
+        length++;
+    }
+    return length;
+}
+
+// Each rule looks at the run's touch history (latest touch last) and returns the bonus it earns, if any
+export const COMBO_RULES = [
+    {
+        id: 'alternatingFeet',
+        evaluate(history) {
+            const streak = trailingStreak(history, isFoot, (previous, next) => previous !== next);
+            return streak >= STREAK_MIN_LENGTH ? { bonus: 1, label: `Alternating feet ×${streak}` } : null;
+        }
+    },
+    {
+        id: 'alternatingHands',
+        evaluate(history) {
+            const streak = trailingStreak(history, isHand, (previous, next) => previous !== next);
+            return streak >= STREAK_MIN_LENGTH ? { bonus: 1, label: `Alternating hands ×${streak}` } : null;
+        }
+    },
+    {
+        id: 'kneeFootKnee',
+        evaluate(history) {
+            const [first, second, third] = history.slice(-3);
+            return history.length >= 3 && isKnee(first) && isFoot(second) && isKnee(third)
+                ? { bonus: 3, label: 'Knee-foot-knee' }
+                : null;
+        }
+    },
+    {
+        id: 'weakFootStreak',
+        evaluate(history, { weakFoot }) {
+            const streak = trailingStreak(history, limb => limb === weakFoot, () => true);
+            if (streak < STREAK_MIN_LENGTH) return null;
+            return { bonus: streak >= 2 * STREAK_MIN_LENGTH ? 2 : 1, label: `Weak foot ×${streak}` };
+        }
+    }
+];
+
+export class TouchScorer {
+    constructor({ weakFoot = LIMBS.LEFT_FOOT } = {}) {
+        this.weakFoot = weakFoot;
+        this.reset();
+    }
+
+    reset() {
+        this.touchCount = 0;
+        this.points = 0;
+        this.history = [];
+        this.limbCounts = Object.fromEntries(Object.values(LIMBS).map(limb => [limb, 0]));
+    }
+
+    // Returns the points this touch earned and the combos it completed
+    recordTouch(limb) {
+        this.touchCount++;
+        this.limbCounts[limb]++;
+        this.history.push(limb);
+
+        const combos = [];
+        for (const rule of COMBO_RULES) {
+            const result = rule.evaluate(this.history, { weakFoot: this.weakFoot });
+            if (result) combos.push({ id: rule.id, ...result });
+        }
+        const points = BODY_PART_DEFS[bodyPartOfLimb(limb)].points + combos.reduce((sum, combo) => sum + combo.bonus, 0);
+        this.points += points;
+        return { points, combos };
+    }
+}
@@ -0,0 +1,144 @@
+// --- Tracking Diagnostics ---
+// Reads the player's setup from what the tracker sees (which joints are visible, how big and
+// where the player is in the picture, how bright the image is and how fast poses arrive) and
+// turns problems into advice the player can act on before a run starts.
+import { LIMB_SHAPES } from './limbShapes.js';
+import { PLAYER_VISIBILITY_THRESHOLD, LANDMARK_LOST_VISIBILITY } from './gameCore.js';
+
+const TOO_DARK_BRIGHTNESS = 0.2;     // Mean image brightness, 0 (black) to 1 (white)
+const TOO_BRIGHT_BRIGHTNESS = 0.85;
+const MIN_POSE_FPS = 15;             // Slower than this and fast kicks are missed
+const MIN_SHOULDER_WIDTH = 0.07;     // Of the image width; narrower shoulders mean the player is far away
+const CENTER_MARGIN = 0.2;           // A single player's hips should be at least this far from the image edges
+const WARNING_DELAY_MS = 700;        // A problem must last this long before it's shown, so a stumble doesn't nag
+const BRIGHTNESS_SAMPLE_SIZE = { width: 32, height: 24 };
+
+const L_SHOULDER = 11, R_SHOULDER = 12, L_HIP = 23, R_HIP = 24;
+
+// Joints the diagnostics HUD can list, in body order
+const JOINT_LABELS = {
+    0: 'Nose',
+    11: 'L shoulder', 12: 'R shoulder',
+    13: 'L elbow', 14: 'R elbow',
+    15: 'L wrist', 16: 'R wrist',
+    23: 'L hip', 24: 'R hip',
+    25: 'L knee', 26: 'R knee',
+    27: 'L ankle', 28: 'R ankle',
+    31: 'L toes', 32: 'R toes'
+};
+
+// Missing joints, each with how to fix it. A warning only applies when the joints are needed:
+// in frame for the control scheme, or followed by a limb that scores.
+const JOINT_WARNINGS = [
+    { id: 'shoulders', landmarks: [11, 12], message: 'Shoulders not visible — move back or raise the camera' },
+    { id: 'hands', landmarks: [15, 16], message: 'Hands not visible — move back from the camera' },
+    { id: 'head', landmarks: [0], message: 'Head not visible — step back or tilt the camera up' },
+    { id: 'knees', landmarks: [25, 26], message: 'Knees not visible — step back' },
+    { id: 'ankles', landmarks: [27, 28], message: 'Ankles not visible — step back' }
+];
+
+const isVisible = (landmarks, index) => landmarks[index] && landmarks[index].visibility > PLAYER_VISIBILITY_THRESHOLD;
+
+// 'ok' counts toward being in frame, 'weak' still tracks, 'lost' is dropped
+export function visibilityLevel(visibility) {
+    if (visibility > PLAYER_VISIBILITY_THRESHOLD) return 'ok';
+    return visibility >= LANDMARK_LOST_VISIBILITY ? 'weak' : 'lost';
+}
+
+// The labeled joints behind the given limbs and the landmarks the scheme needs in frame
+export function trackedJoints(limbs, requiredLandmarks) {
+    const indices = new Set(requiredLandmarks);
+    limbs.forEach(limb => LIMB_SHAPES[limb].landmarks.forEach(index => indices.add(index)));
+    return [...indices].filter(index => JOINT_LABELS[index]).sort((a, b) => a - b)
+        .map(index => ({ index, label: JOINT_LABELS[index] }));
+}
+
+// Problems with one player's pose, most basic first
+function diagnosePose(landmarks, { neededLandmarks, playerCount }) {
+    const warnings = JOINT_WARNINGS
+        .filter(({ landmarks: joints }) => joints.some(index => neededLandmarks.includes(index)))
+        .filter(({ landmarks: joints }) => !joints.every(index => isVisible(landmarks, index)))
+        .map(({ id, message }) => ({ id, message }));
+
+    if (isVisible(landmarks, L_SHOULDER) && isVisible(landmarks, R_SHOULDER)
+        && Math.abs(landmarks[L_SHOULDER].x - landmarks[R_SHOULDER].x) < MIN_SHOULDER_WIDTH) {
+        warnings.push({ id: 'tooFar', message: 'Too far from the camera — come a little closer' });
+    }
+    // Two players share the picture, so only a single player is steered to the middle
+    if (playerCount === 1 && isVisible(landmarks, L_HIP) && isVisible(landmarks, R_HIP)) {
+        const hipsX = (landmarks[L_HIP].x + landmarks[R_HIP].x) / 2;
+        if (hipsX < CENTER_MARGIN || hipsX > 1 - CENTER_MARGIN) {
+            warnings.push({ id: 'offCenter', message: 'Near the edge of the picture — move to the middle' });
+        }
+    }
+    return warnings;
+}
+
+// frame: { poses: one landmark array per player (null when not seen), neededLandmarks,
+// brightness (0-1, null if unknown), poseFps (null if unknown) }. Returns [{ id, message }].
+export function diagnoseTracking({ poses, neededLandmarks, brightness = null, poseFps = null }) {
+    const warnings = [];
+    const playerCount = poses.length;
+    const prefix = (i) => (playerCount > 1 ? `Player ${i + 1}: ` : '');
+
+    if (brightness !== null && brightness < TOO_DARK_BRIGHTNESS) {
+        warnings.push({ id: 'tooDark', message: 'Too dark — turn on a light or face a window' });
+    } else if (brightness !== null && brightness > TOO_BRIGHT_BRIGHTNESS) {
+        warnings.push({ id: 'tooBright', message: 'Picture washed out — avoid bright light behind you' });
+    }
+
+    poses.forEach((landmarks, i) => {
+        if (!landmarks) {
+            warnings.push({ id: `noPlayer:${i}`, message: `${prefix(i)}Not in view — step in front of the camera` });
+            return;
+        }
+        diagnosePose(landmarks, { neededLandmarks, playerCount }).forEach(({ id, message }) => {
+            warnings.push({ id: `${id}:${i}`, message: prefix(i) + message });
+        });
+    });
+
+    if (poseFps !== null && poseFps < MIN_POSE_FPS) {
+        warnings.push({ id: 'slowTracking', message: 'Tracking is slow — pick a lower resolution in 📷' });
+    }
+    return warnings;
+}
+
+// Shows a warning once its problem has lasted WARNING_DELAY_MS, and drops it as soon as it's fixed
+export class TrackingAdvisor {
+    constructor() {
+        this.firstSeenMs = new Map(); // Warning id -> when the problem appeared
+    }
+
+    update(frame, nowMs) {
+        const warnings = diagnoseTracking(frame);
+        const ids = new Set(warnings.map(warning => warning.id));
+        [...this.firstSeenMs.keys()].forEach(id => { if (!ids.has(id)) this.firstSeenMs.delete(id); });
+        warnings.forEach(({ id }) => { if (!this.firstSeenMs.has(id)) this.firstSeenMs.set(id, nowMs); });
+        return warnings.filter(({ id }) => nowMs - this.firstSeenMs.get(id) >= WARNING_DELAY_MS);
+    }
+
+    reset() {
+        this.firstSeenMs.clear();
+    }
+}
+
+let brightnessCanvas = null;
+
+// Mean brightness of a shrunken video frame, 0 (black) to 1 (white); null before the video has a frame
+export function measureBrightness(video) {
+    if (video.readyState < 2) return null;
+    if (!brightnessCanvas) {
+        brightnessCanvas = document.createElement('canvas');
+        brightnessCanvas.width = BRIGHTNESS_SAMPLE_SIZE.width;
+        brightnessCanvas.height = BRIGHTNESS_SAMPLE_SIZE.height;
+    }
+    const { width, height } = brightnessCanvas;
+    const ctx = brightnessCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, width, height);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    let total = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+        total += 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2];
+    }
+    return total / (width * height * 255);
+}